@@ -0,0 +1,60 @@
+require('dotenv').config();
+const readline = require('readline');
+const { parseArgs } = require('util');
+const pool = require('./db');
+const { ROLES, MIN_PASSWORD_LENGTH, createUser } = require('./lib/auth');
+
+// Create an admin account:
+//   npm run create-user -- --email you@example.com --name "Your Name" --role owner
+// The password is prompted for (or read from ADMIN_PASSWORD for scripted setups).
+
+// Prompt without echoing what's typed
+function promptHidden(question) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl._writeToOutput = text => {
+      if (text.startsWith(question)) rl.output.write(text);
+    };
+    rl.question(question, answer => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      email: { type: 'string' },
+      name: { type: 'string' },
+      role: { type: 'string', default: 'editor' }
+    }
+  });
+
+  if (!values.email) {
+    console.error(`Usage: npm run create-user -- --email <email> [--name <name>] [--role ${ROLES.join('|')}]`);
+    process.exit(1);
+  }
+
+  try {
+    let password = process.env.ADMIN_PASSWORD;
+    if (!password) {
+      password = await promptHidden(`Password (min ${MIN_PASSWORD_LENGTH} characters): `);
+      const confirmation = await promptHidden('Confirm password: ');
+      if (password !== confirmation) {
+        throw new Error('Passwords do not match');
+      }
+    }
+
+    const user = await createUser(pool, { email: values.email, name: values.name, password, role: values.role });
+    console.log(`✅ Created ${user.role} ${user.email} (id ${user.id})`);
+    process.exit(0);
+  } catch (error) {
+    const message = error.code === '23505' ? 'An admin with that email already exists' : error.message;
+    console.error('Could not create user:', message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,9 @@
+const { Pool } = require('pg');
+
+// Shared database connection for the server and the CLI scripts
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+module.exports = pool;
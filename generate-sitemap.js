@@ -1,84 +1,45 @@
 require('dotenv').config();
-const { Pool } = require('pg');
-const fs = require('fs');
+const fs = require('fs/promises');
+const path = require('path');
+const { parseArgs } = require('util');
+const pool = require('./db');
+const { BASE_URL } = require('./lib/config');
+const sitemap = require('./lib/sitemap');
 
-const pool = new Pool({
-  user: process.env.DB_USER,
-  host: process.env.DB_HOST,
-  database: process.env.DB_DATABASE,
-  password: process.env.DB_PASSWORD,
-  port: process.env.DB_PORT
-});
+// The server generates /sitemap.xml and /robots.txt on the fly. This writes
+// the same files to a directory, e.g. for static hosting or a search console
+// upload:
+//   npm run export-sitemap -- --out sitemap-export
+// URLs start with BASE_URL (see lib/config.js).
 
-async function generateSitemap() {
-  try {
-   const baseUrl = process.env.BASE_URL || 'https://bestfairlawn.com';
-    
-    // Start sitemap
-    let sitemap = '<?xml version="1.0" encoding="UTF-8"?>\n';
-    sitemap += '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n';
-    
-    // Homepage
-    sitemap += '  <url>\n';
-    sitemap += `    <loc>${baseUrl}/</loc>\n`;
-    sitemap += '    <changefreq>daily</changefreq>\n';
-    sitemap += '    <priority>1.0</priority>\n';
-    sitemap += '  </url>\n';
-    
-    // Categories page
-    sitemap += '  <url>\n';
-    sitemap += `    <loc>${baseUrl}/categories</loc>\n`;
-    sitemap += '    <changefreq>weekly</changefreq>\n';
-    sitemap += '    <priority>0.9</priority>\n';
-    sitemap += '  </url>\n';
-    
-    // Get all categories
-    const categoriesResult = await pool.query(
-      "SELECT DISTINCT category FROM businesses WHERE status = 'approved'"
-    );
-    
-    for (const cat of categoriesResult.rows) {
-      sitemap += '  <url>\n';
-      sitemap += `    <loc>${baseUrl}/category/${encodeURIComponent(cat.category)}</loc>\n`;
-      sitemap += '    <changefreq>weekly</changefreq>\n';
-      sitemap += '    <priority>0.8</priority>\n';
-      sitemap += '  </url>\n';
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      out: { type: 'string', default: 'sitemap-export' }
     }
-    
-    // Get all approved businesses
-    const businessesResult = await pool.query(
-      "SELECT slug, updated_at FROM businesses WHERE status = 'approved' ORDER BY slug"
-    );
-    
-    for (const business of businessesResult.rows) {
-      const lastmod = business.updated_at ? new Date(business.updated_at).toISOString().split('T')[0] : new Date().toISOString().split('T')[0];
-      sitemap += '  <url>\n';
-      sitemap += `    <loc>${baseUrl}/business/${business.slug}</loc>\n`;
-      sitemap += `    <lastmod>${lastmod}</lastmod>\n`;
-      sitemap += '    <changefreq>monthly</changefreq>\n';
-      sitemap += '    <priority>0.7</priority>\n';
-      sitemap += '  </url>\n';
+  });
+
+  try {
+    const outDir = path.resolve(values.out);
+    await fs.mkdir(outDir, { recursive: true });
+    await fs.writeFile(path.join(outDir, 'sitemap.xml'), await sitemap.getSitemap(pool, 'index'));
+    await fs.writeFile(path.join(outDir, 'robots.txt'), sitemap.robotsTxt());
+
+    const children = await sitemap.listSitemaps(pool);
+    for (const child of children) {
+      const file = path.join(outDir, child.path);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, await sitemap.getSitemap(pool, child.name));
     }
-    
-    // Close sitemap
-    sitemap += '</urlset>';
-    
-    // Write to public directory
-    fs.writeFileSync('./public/sitemap.xml', sitemap);
-    
-    console.log('✅ Sitemap generated successfully!');
-    console.log(`   Homepage: 1 URL`);
-    console.log(`   Categories: ${categoriesResult.rows.length + 1} URLs`);
-    console.log(`   Businesses: ${businessesResult.rows.length} URLs`);
-    console.log(`   Total: ${businessesResult.rows.length + categoriesResult.rows.length + 2} URLs`);
-    console.log('\n📍 Sitemap saved to: ./public/sitemap.xml');
-    console.log('🌐 Accessible at: http://localhost:3000/sitemap.xml');
-    
+
+    console.log(`✅ Sitemap exported for ${BASE_URL}`);
+    console.log(`   Index: sitemap.xml with ${children.length} child sitemaps`);
+    console.log(`📍 Saved to: ${outDir}`);
     process.exit(0);
   } catch (error) {
-    console.error('Error generating sitemap:', error);
+    console.error('Error exporting sitemap:', error);
     process.exit(1);
   }
 }
 
-generateSitemap();
\ No newline at end of file
+main();
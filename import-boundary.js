@@ -0,0 +1,46 @@
+require('dotenv').config();
+const fs = require('fs/promises');
+const { parseArgs } = require('util');
+const pool = require('./db');
+const { parseBoundary, saveBoundary } = require('./lib/boundaries');
+
+// Set a municipality's boundary from a local GeoJSON file (a Polygon or
+// MultiPolygon geometry, Feature or FeatureCollection, e.g. exported from the
+// county GIS site):
+//   npm run import-boundary -- --municipality fair-lawn --file fair-lawn.geojson
+// Scrapes then keep only places inside it. The municipality's bounding box
+// (used by grid searches) is updated to match.
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      municipality: { type: 'string' },
+      file: { type: 'string' }
+    }
+  });
+
+  if (!values.municipality || !values.file) {
+    console.error('Usage: npm run import-boundary -- --municipality <slug> --file <boundary.geojson>');
+    process.exit(1);
+  }
+
+  try {
+    const boundary = parseBoundary(JSON.parse(await fs.readFile(values.file, 'utf8')));
+
+    const result = await pool.query('SELECT id FROM municipalities WHERE slug = $1', [values.municipality]);
+    if (result.rows.length === 0) {
+      throw new Error(`No municipality with slug "${values.municipality}"`);
+    }
+
+    const municipality = await saveBoundary(pool, result.rows[0].id, boundary);
+    const polygons = boundary.type === 'Polygon' ? 1 : boundary.coordinates.length;
+    console.log(`✅ Saved a ${polygons}-polygon boundary for ${municipality.name}, ${municipality.state}`);
+    console.log(`   Bounds: ${municipality.min_latitude}, ${municipality.min_longitude} to ${municipality.max_latitude}, ${municipality.max_longitude}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Could not import boundary:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,198 @@
+// Filtering, sorting and paging for the admin dashboard's business table,
+// and the numbers for its stats cards. Unlike lib/listings.js this covers
+// pending listings too (never deleted ones) and searches with plain
+// substring matches, which suit admins looking for a name or an address.
+const { buildTree } = require('./categories');
+
+const PER_PAGE = 50;
+const STATUSES = ['pending', 'approved'];
+const RECENT_DAYS = 7;
+
+// Sortable columns and the direction a first click sorts them in
+const SORTS = {
+  name: { column: 'lower(b.name)', dir: 'asc' },
+  category: { column: 'lower(COALESCE(b.subcategory, b.category))', dir: 'asc' },
+  rating: { column: 'b.rating', dir: 'desc' },
+  scraped: { column: 'b.scraped_at', dir: 'desc' },
+  updated: { column: 'b.updated_at', dir: 'desc' }
+};
+
+// What makes a listing count as needing content
+const NEEDS_CONTENT = "(b.needs_content OR COALESCE(b.description, '') = '')";
+const NO_PHOTO = "COALESCE(b.image_url, '') = ''";
+
+function isDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+}
+
+// Dashboard filters from the query string. Anything unrecognised falls back
+// to the default: the pending queue, newest first.
+function parseFilters(query) {
+  const text = name => (typeof query[name] === 'string' ? query[name].trim() : '');
+  const pick = (name, options, fallback = '') => (options.includes(text(name)) ? text(name) : fallback);
+
+  const sort = pick('sort', Object.keys(SORTS), 'scraped');
+  return {
+    q: text('q').substring(0, 100),
+    status: pick('status', [...STATUSES, 'all'], 'pending'),
+    category: parseInt(text('category')) || '',
+    municipality: parseInt(text('municipality')) || '',
+    content: pick('content', ['missing', 'present']),
+    photo: pick('photo', ['missing', 'present']),
+    from: isDate(text('from')) ? text('from') : '',
+    to: isDate(text('to')) ? text('to') : '',
+    sort,
+    dir: pick('dir', ['asc', 'desc'], SORTS[sort].dir)
+  };
+}
+
+// Query string for filters with some of them changed (page is left out
+// unless given)
+function filterQuery(filters, changes = {}) {
+  const params = new URLSearchParams();
+  for (const [name, value] of Object.entries({ ...filters, ...changes })) {
+    if (value !== '' && value !== null && value !== undefined) params.set(name, value);
+  }
+  return params.toString();
+}
+
+function buildWhere(filters) {
+  const params = [];
+  const conditions = ["b.status <> 'deleted'"];
+
+  if (filters.status !== 'all') {
+    params.push(filters.status);
+    conditions.push(`b.status = $${params.length}`);
+  }
+  if (filters.q) {
+    params.push(`%${filters.q.replace(/[\\%_]/g, '\\$&')}%`);
+    const p = `$${params.length}`;
+    const matches = [`b.name ILIKE ${p}`, `b.street ILIKE ${p}`, `b.slug ILIKE ${p}`, `b.website ILIKE ${p}`];
+    // Phones are stored as +1XXXXXXXXXX, so match on the digits
+    const digits = filters.q.replace(/\D/g, '');
+    if (digits.length >= 3 && /^[\d\s()+.-]+$/.test(filters.q)) {
+      params.push(`%${digits}%`);
+      matches.push(`b.phone LIKE $${params.length}`);
+    }
+    conditions.push(`(${matches.join(' OR ')})`);
+  }
+  // A parent category includes its subcategories
+  if (filters.category) {
+    params.push(filters.category);
+    conditions.push(`b.category_id IN (SELECT id FROM categories WHERE id = $${params.length} OR parent_id = $${params.length})`);
+  }
+  if (filters.municipality) {
+    params.push(filters.municipality);
+    conditions.push(`b.municipality_id = $${params.length}`);
+  }
+  if (filters.content) {
+    conditions.push(filters.content === 'missing' ? NEEDS_CONTENT : `NOT ${NEEDS_CONTENT}`);
+  }
+  if (filters.photo) {
+    conditions.push(filters.photo === 'missing' ? NO_PHOTO : `NOT ${NO_PHOTO}`);
+  }
+  if (filters.from) {
+    params.push(filters.from);
+    conditions.push(`b.scraped_at >= $${params.length}::date`);
+  }
+  if (filters.to) {
+    params.push(filters.to);
+    conditions.push(`b.scraped_at < $${params.length}::date + 1`);
+  }
+
+  return { where: conditions.join(' AND '), params };
+}
+
+// One page of businesses matching the filters, each with its open change
+// count, whether a visitor suggested it and its municipality's name.
+// Returns { businesses, total, page, totalPages }.
+async function listBusinesses(pool, filters, page = 1) {
+  const { where, params } = buildWhere(filters);
+
+  const countResult = await pool.query(`SELECT COUNT(*) FROM businesses b WHERE ${where}`, params);
+  const total = parseInt(countResult.rows[0].count);
+  const totalPages = Math.max(1, Math.ceil(total / PER_PAGE));
+  const currentPage = Math.min(Math.max(1, parseInt(page) || 1), totalPages);
+
+  const sort = SORTS[filters.sort];
+  const dir = filters.dir === 'asc' ? 'ASC' : 'DESC';
+  const result = await pool.query(
+    `SELECT b.id, b.name, b.slug, b.status, b.category, b.subcategory, b.street, b.city,
+       b.rating, b.total_ratings, b.scraped_at, b.updated_at, b.needs_content, b.image_url,
+       m.name AS municipality_name,
+       (SELECT COUNT(*) FROM pending_changes pc
+        WHERE pc.business_id = b.id AND pc.status = 'pending')::int AS pending_change_count,
+       EXISTS (SELECT 1 FROM business_suggestions s WHERE s.business_id = b.id) AS suggested
+     FROM businesses b LEFT JOIN municipalities m ON m.id = b.municipality_id
+     WHERE ${where}
+     ORDER BY ${sort.column} ${dir} NULLS LAST, b.id ${dir}
+     LIMIT ${PER_PAGE} OFFSET ${(currentPage - 1) * PER_PAGE}`,
+    params
+  );
+
+  return { businesses: result.rows, total, page: currentPage, totalPages };
+}
+
+// Numbers for the stats cards: counts by status and of listings needing
+// attention, approvals in the last RECENT_DAYS days (with the latest few)
+// and pending/approved counts per top-level category
+async function getStats(pool, allCategories) {
+  const counts = await pool.query(
+    `SELECT
+       COUNT(*) FILTER (WHERE b.status = 'pending')::int AS pending,
+       COUNT(*) FILTER (WHERE b.status = 'approved')::int AS approved,
+       COUNT(*) FILTER (WHERE ${NEEDS_CONTENT})::int AS needs_content,
+       COUNT(*) FILTER (WHERE ${NO_PHOTO})::int AS no_photo,
+       COUNT(*) FILTER (WHERE EXISTS (SELECT 1 FROM pending_changes pc
+         WHERE pc.business_id = b.id AND pc.status = 'pending'))::int AS with_changes
+     FROM businesses b WHERE b.status <> 'deleted'`
+  );
+
+  // Approvals are read from the audit log, which has every way of approving
+  // (the approve buttons, bulk approve and Save & Approve)
+  const approvedAt = `FROM audit_log l JOIN businesses b ON b.id = l.business_id
+     WHERE l.after->>'status' = 'approved' AND l.before->>'status' IS DISTINCT FROM 'approved'
+       AND b.status = 'approved' AND l.created_at > NOW() - make_interval(days => ${RECENT_DAYS})`;
+  const recentCount = await pool.query(`SELECT COUNT(DISTINCT b.id)::int AS count ${approvedAt}`);
+  const recent = await pool.query(
+    `SELECT * FROM (
+       SELECT DISTINCT ON (b.id) b.id, b.name, b.slug, l.created_at AS approved_at, l.actor_email
+       ${approvedAt}
+       ORDER BY b.id, l.created_at DESC
+     ) latest
+     ORDER BY approved_at DESC LIMIT 5`
+  );
+
+  const byCategory = await pool.query(
+    `SELECT category_id,
+       COUNT(*) FILTER (WHERE status = 'pending')::int AS pending,
+       COUNT(*) FILTER (WHERE status = 'approved')::int AS approved
+     FROM businesses WHERE status <> 'deleted'
+     GROUP BY category_id`
+  );
+  const categoryCounts = new Map(byCategory.rows.map(row => [row.category_id, row]));
+  const categories = buildTree(allCategories)
+    .map(category => {
+      const rows = [category, ...category.children].map(c => categoryCounts.get(c.id)).filter(Boolean);
+      return {
+        id: category.id,
+        name: category.name,
+        pending: rows.reduce((sum, row) => sum + row.pending, 0),
+        approved: rows.reduce((sum, row) => sum + row.approved, 0)
+      };
+    })
+    .filter(category => category.pending + category.approved > 0)
+    .sort((a, b) => (b.pending + b.approved) - (a.pending + a.approved));
+  const uncategorized = categoryCounts.get(null);
+
+  return {
+    ...counts.rows[0],
+    recentlyApprovedCount: recentCount.rows[0].count,
+    recentlyApproved: recent.rows,
+    recentDays: RECENT_DAYS,
+    categories,
+    uncategorized: uncategorized ? uncategorized.pending + uncategorized.approved : 0
+  };
+}
+
+module.exports = { PER_PAGE, SORTS, parseFilters, filterQuery, listBusinesses, getStats };
@@ -0,0 +1,250 @@
+// AI-written descriptions and keywords.
+// Prompts come from prompt_templates (see migrations/011_ai_content.sql): a
+// category's own template if it has one, else its parent category's, else the
+// default. AI_PROVIDER picks who answers them:
+//   anthropic - the Anthropic API (AI_MODEL, default claude-sonnet-4-20250514);
+//               the default when ANTHROPIC_API_KEY is set
+//   stub      - canned text built from the business details, for offline
+//               development and tests; refused in production
+// With neither, generating fails instead of quietly using placeholder text
+// (scraped listings are then flagged as needing content).
+// Every provider takes { kind, prompt, maxTokens, context } and returns
+// { text, model, usage: { inputTokens, outputTokens } }.
+// Calls are retried through lib/external-calls.js and can be counted against
+// a run's budget; failures are thrown to the caller.
+const Anthropic = require('@anthropic-ai/sdk');
+const { withRetry, estimateTokens } = require('./external-calls');
+
+const KINDS = ['description', 'keywords'];
+const PLACEHOLDERS = ['name', 'type', 'category', 'address', 'municipality', 'state'];
+
+// Used when there's no database to read templates from
+const DEFAULT_TEMPLATES = {
+  description: {
+    template: 'Write a friendly, SEO-optimized 150-word description for {{name}}, a {{type}} located at {{address}} in {{municipality}}, {{state}}. Focus on what makes them valuable to the local community. Use natural language and include keywords like "{{municipality}}" and "{{type}}". Write in third person.',
+    max_tokens: 300
+  },
+  keywords: {
+    template: 'Generate 8 SEO keywords for {{name}}, a {{type}} in {{municipality}}, {{state}}. Return only comma-separated keywords that locals might search for. Include variations with "{{municipality}}", "near me", and service-specific terms.',
+    max_tokens: 150
+  }
+};
+
+let anthropic = null;
+
+const providers = {
+  async anthropic({ prompt, maxTokens }) {
+    if (!anthropic) {
+      // Retries go through withRetry like every other external call
+      anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY, maxRetries: 0 });
+    }
+    const model = process.env.AI_MODEL || 'claude-sonnet-4-20250514';
+    const message = await anthropic.messages.create({
+      model,
+      max_tokens: maxTokens,
+      messages: [{ role: 'user', content: prompt }]
+    });
+    return {
+      text: message.content[0].text,
+      model,
+      usage: { inputTokens: message.usage.input_tokens, outputTokens: message.usage.output_tokens }
+    };
+  },
+
+  async stub({ kind, prompt, context }) {
+    const text = kind === 'keywords'
+      ? [
+        `${context.type} ${context.municipality}`,
+        `${context.name}`,
+        `${context.type} near me`,
+        `${context.category} ${context.municipality} ${context.state}`
+      ].join(', ')
+      : `${context.name} is a ${context.type} at ${context.address} in ${context.municipality}, ${context.state}. ` +
+        `Locals count on them for ${context.category.toLowerCase()} close to home.`;
+    return { text, model: 'stub', usage: { inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(text) } };
+  }
+};
+
+// The configured provider's name, or null when there is none
+function providerName() {
+  return process.env.AI_PROVIDER || (process.env.ANTHROPIC_API_KEY ? 'anthropic' : null);
+}
+
+// Replace {{placeholder}}s; unknown ones are left as they are
+function renderTemplate(template, context) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+    (context[key] === undefined || context[key] === null ? match : String(context[key]))
+  );
+}
+
+// Values for the placeholders. municipality is { name, state }.
+function buildContext(business, municipality) {
+  return {
+    name: business.name,
+    type: business.subcategory || business.category || 'business',
+    category: business.category || 'Services',
+    address: business.street || '',
+    municipality: municipality.name,
+    state: municipality.state
+  };
+}
+
+// The template for a kind of content and a category
+async function getTemplate(pool, kind, categoryId = null) {
+  if (!pool) return DEFAULT_TEMPLATES[kind];
+
+  const result = await pool.query(
+    `SELECT t.* FROM prompt_templates t
+     LEFT JOIN categories c ON c.id = $2
+     WHERE t.kind = $1 AND (t.category_id IS NULL OR t.category_id = c.id OR t.category_id = c.parent_id)
+     ORDER BY (t.category_id = c.id) DESC NULLS LAST
+     LIMIT 1`,
+    [kind, categoryId]
+  );
+  return result.rows[0] || DEFAULT_TEMPLATES[kind];
+}
+
+// options.budget (from createBudget) counts the tokens against a run's cap;
+// options.log receives retry messages
+async function generate(pool, kind, business, municipality, options = {}) {
+  const template = await getTemplate(pool, kind, business.category_id);
+  const context = buildContext(business, municipality);
+  const name = providerName();
+  if (!name) {
+    throw new Error('No AI provider is configured (set ANTHROPIC_API_KEY, or AI_PROVIDER=stub for development)');
+  }
+  if (name === 'stub' && process.env.NODE_ENV === 'production') {
+    throw new Error('The stub AI provider is for development only');
+  }
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown AI_PROVIDER: ${name}`);
+  }
+
+  const prompt = renderTemplate(template.template, context);
+  const { budget } = options;
+  const reserved = budget ? budget.reserveTokens(estimateTokens(prompt) + template.max_tokens) : 0;
+  let result = null;
+  try {
+    result = await withRetry(
+      () => provider({ kind, prompt, maxTokens: template.max_tokens, context }),
+      { label: `AI ${kind}`, log: options.log }
+    );
+    return result;
+  } finally {
+    if (budget) budget.settleTokens(reserved, result && result.usage);
+  }
+}
+
+// Returns { text, model }; throws if the provider failed
+async function generateDescription(pool, business, municipality, options = {}) {
+  const result = await generate(pool, 'description', business, municipality, options);
+  const text = result.text.trim();
+  if (!text) {
+    throw new Error('The AI returned an empty description');
+  }
+  return { text, model: result.model };
+}
+
+// Returns an array of keywords; throws if the provider failed
+async function generateKeywords(pool, business, municipality, options = {}) {
+  const result = await generate(pool, 'keywords', business, municipality, options);
+  return result.text.split(',').map(k => k.trim()).filter(Boolean);
+}
+
+// Worst-case tokens for one business (a description and keywords) with the
+// default templates, for cost estimates before a scrape
+async function estimateBusinessTokens(pool) {
+  const estimate = { inputTokens: 0, outputTokens: 0 };
+  for (const kind of KINDS) {
+    const template = await getTemplate(pool, kind);
+    // Filled-in placeholders add roughly a sentence
+    estimate.inputTokens += estimateTokens(template.template) + 30;
+    estimate.outputTokens += template.max_tokens;
+  }
+  return estimate;
+}
+
+// Store a fresh description draft. The published description is untouched;
+// the listing no longer needs content.
+async function saveDraft(pool, businessId, draft) {
+  await pool.query(
+    `UPDATE businesses SET ai_generated_description = $1, ai_model = $2, ai_generated_at = NOW(),
+       needs_content = FALSE, updated_at = NOW()
+     WHERE id = $3`,
+    [draft.text, draft.model, businessId]
+  );
+}
+
+// Publish the current draft
+async function acceptDraft(pool, businessId) {
+  const result = await pool.query(
+    `UPDATE businesses SET description = ai_generated_description, updated_at = NOW()
+     WHERE id = $1 AND ai_generated_description IS NOT NULL
+     RETURNING id`,
+    [businessId]
+  );
+  return result.rows.length > 0;
+}
+
+// Default templates plus every category override, for the admin prompts page
+async function listTemplates(pool) {
+  const result = await pool.query(
+    `SELECT t.*, c.name AS category_name
+     FROM prompt_templates t LEFT JOIN categories c ON c.id = t.category_id
+     ORDER BY t.kind, t.category_id IS NOT NULL, c.sort_order, c.name`
+  );
+  return result.rows;
+}
+
+// Create or replace the template for a kind and category (null = default).
+// Returns { template } or { error }.
+async function saveTemplate(pool, { kind, categoryId, template, maxTokens, adminUserId }) {
+  if (!KINDS.includes(kind)) {
+    return { error: 'Unknown template kind' };
+  }
+  const text = (template || '').trim();
+  if (!text) {
+    return { error: 'The template cannot be empty' };
+  }
+  const tokens = parseInt(maxTokens) || DEFAULT_TEMPLATES[kind].max_tokens;
+  if (tokens < 50 || tokens > 4000) {
+    return { error: 'Max tokens must be between 50 and 4000' };
+  }
+
+  const result = await pool.query(
+    `INSERT INTO prompt_templates (kind, category_id, template, max_tokens, updated_by)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (kind, COALESCE(category_id, 0)) DO UPDATE SET
+       template = EXCLUDED.template, max_tokens = EXCLUDED.max_tokens,
+       updated_by = EXCLUDED.updated_by, updated_at = NOW()
+     RETURNING *`,
+    [kind, categoryId || null, text, tokens, adminUserId || null]
+  );
+  return { template: result.rows[0] };
+}
+
+// Remove a category override (the default templates can't be removed)
+async function deleteTemplate(pool, templateId) {
+  const result = await pool.query(
+    'DELETE FROM prompt_templates WHERE id = $1 AND category_id IS NOT NULL RETURNING id',
+    [templateId]
+  );
+  return result.rows.length > 0;
+}
+
+module.exports = {
+  KINDS,
+  PLACEHOLDERS,
+  providerName,
+  renderTemplate,
+  getTemplate,
+  generateDescription,
+  generateKeywords,
+  estimateBusinessTokens,
+  saveDraft,
+  acceptDraft,
+  listTemplates,
+  saveTemplate,
+  deleteTemplate
+};
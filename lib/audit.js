@@ -0,0 +1,266 @@
+// Audit log for admin actions on businesses.
+// Every admin mutation runs through auditBusinessChange, which snapshots the
+// affected rows before and after inside one transaction and writes an
+// audit_log entry per business, then drops the cached sitemaps. Any entry can
+// later be reverted: the fields that entry changed are set back to their
+// "before" values, as long as none of them has been changed again since.
+const crypto = require('crypto');
+const sitemap = require('./sitemap');
+
+const PER_PAGE = 50;
+const REVERT_CONFLICT = 'REVERT_CONFLICT';
+
+// Columns that are derived or bookkeeping - not captured and never restored
+const IGNORED_FIELDS = ['id', 'created_at', 'updated_at', 'last_refreshed_at', 'search_vector', 'search_text'];
+
+const ACTION_LABELS = {
+  approve: 'Approved',
+  bulk_approve: 'Bulk approved',
+  update: 'Edited',
+  delete: 'Deleted',
+  bulk_delete: 'Bulk deleted',
+  restore: 'Restored',
+  revert: 'Reverted',
+  change_accept: 'Accepted change',
+  change_reject: 'Rejected change',
+  refresh: 'Refreshed from Google',
+  photo_update: 'Photo changed',
+  photo_remove: 'Photo removed',
+  recategorize: 'Re-categorised',
+  category_rename: 'Category renamed',
+  ai_draft: 'AI draft generated',
+  ai_accept: 'AI draft published',
+  merge: 'Merged duplicates',
+  import: 'Imported from CSV',
+  override_rejection: 'Added from a rejected place',
+  suggestion_match: 'Matched on Google Places'
+};
+
+async function snapshotBusinesses(client, businessIds, lock = false) {
+  const result = await client.query(
+    `SELECT id, to_jsonb(b) - 'search_vector' - 'search_text' AS data
+     FROM businesses b WHERE id = ANY($1) ${lock ? 'FOR UPDATE' : ''}`,
+    [businessIds]
+  );
+  return new Map(result.rows.map(row => [row.id, row.data]));
+}
+
+// Fields whose value differs between two snapshots
+function changedFields(before, after) {
+  if (!before || !after) return [];
+  return Object.keys(before).filter(field =>
+    !IGNORED_FIELDS.includes(field) && JSON.stringify(before[field]) !== JSON.stringify(after[field])
+  );
+}
+
+// Run mutate(client) in a transaction and log one entry per business.
+// options: { actor, action, businessIds, details, revertsId, skipUnchanged }
+// skipUnchanged leaves out entries for businesses mutate didn't change (for
+// background jobs that touch many listings). Returns whatever mutate returns.
+async function auditBusinessChange(pool, options, mutate) {
+  const businessIds = options.businessIds.map(id => parseInt(id)).filter(id => !isNaN(id));
+  const batchId = businessIds.length > 1 ? crypto.randomUUID() : null;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const before = await snapshotBusinesses(client, businessIds, true);
+    const result = await mutate(client);
+    const after = await snapshotBusinesses(client, businessIds);
+
+    for (const businessId of businessIds) {
+      if (!before.has(businessId) && !after.has(businessId)) continue;
+      if (options.skipUnchanged && before.has(businessId) && after.has(businessId)
+        && changedFields(before.get(businessId), after.get(businessId)).length === 0) continue;
+      await client.query(
+        `INSERT INTO audit_log (admin_user_id, actor_email, action, business_id, batch_id, before, after, details, reverts_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [
+          options.actor ? options.actor.id : null,
+          options.actor ? options.actor.email : null,
+          options.action,
+          businessId,
+          batchId,
+          before.get(businessId) || null,
+          after.get(businessId) || null,
+          options.details ? JSON.stringify(options.details) : null,
+          options.revertsId || null
+        ]
+      );
+    }
+
+    await client.query('COMMIT');
+    sitemap.invalidate();
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function getEntry(pool, entryId) {
+  const result = await pool.query('SELECT * FROM audit_log WHERE id = $1', [entryId]);
+  return result.rows[0] || null;
+}
+
+// Whether an entry can still be reverted, and why not if it can't
+function revertBlocker(entry) {
+  if (entry.reverted_at) return 'Already reverted';
+  if (!entry.business_id) return 'The business no longer exists';
+  if (!entry.before) return entry.after && entry.after.status !== 'deleted' ? null : 'Nothing to revert';
+  if (changedFields(entry.before, entry.after).length === 0) return 'Nothing to revert';
+  return null;
+}
+
+// Refuse to revert fields that were changed again after the entry, so later
+// edits aren't silently overwritten. Run inside the audited transaction,
+// which holds the row lock. The error lists the fields in conflicts.
+async function checkRevertConflicts(client, entry, fields) {
+  const current = (await snapshotBusinesses(client, [entry.business_id])).get(entry.business_id);
+  const conflicts = fields.filter(field =>
+    !current || JSON.stringify(current[field]) !== JSON.stringify(entry.after[field])
+  );
+  if (conflicts.length > 0) {
+    const error = new Error(`Changed again since this entry: ${conflicts.join(', ')}`);
+    error.code = REVERT_CONFLICT;
+    error.conflicts = conflicts;
+    throw error;
+  }
+}
+
+// Put back the "before" values of the fields an entry changed. Reverting a
+// delete is logged as a restore. Returns the new entry's action; throws a
+// REVERT_CONFLICT error when those fields have changed since.
+async function revertEntry(pool, entry, actor) {
+  const blocker = revertBlocker(entry);
+  if (blocker) throw new Error(blocker);
+
+  // Undoing the creation of a business (an import) deletes it
+  if (!entry.before) {
+    await auditBusinessChange(pool, {
+      actor,
+      action: 'delete',
+      businessIds: [entry.business_id],
+      details: { reverted_action: entry.action },
+      revertsId: entry.id
+    }, async client => {
+      await checkRevertConflicts(client, entry, ['status']);
+      await client.query(
+        "UPDATE businesses SET status = 'deleted', deleted_at = NOW(), updated_at = NOW() WHERE id = $1 AND status <> 'deleted'",
+        [entry.business_id]
+      );
+      await client.query('UPDATE audit_log SET reverted_at = NOW() WHERE id = $1', [entry.id]);
+    });
+    return 'delete';
+  }
+
+  const fields = changedFields(entry.before, entry.after);
+  const action = entry.action === 'delete' || entry.action === 'bulk_delete' ? 'restore' : 'revert';
+
+  await auditBusinessChange(pool, {
+    actor,
+    action,
+    businessIds: [entry.business_id],
+    details: { reverted_action: entry.action, fields },
+    revertsId: entry.id
+  }, async client => {
+    await checkRevertConflicts(client, entry, fields);
+    const values = fields.map(field => {
+      const value = entry.before[field];
+      // jsonb columns (opening_hours) come back as objects and go in as JSON
+      return value !== null && typeof value === 'object' && !Array.isArray(value) ? JSON.stringify(value) : value;
+    });
+    const sets = fields.map((field, i) => `"${field.replace(/"/g, '')}" = $${i + 1}`);
+    await client.query(
+      `UPDATE businesses SET ${sets.join(', ')}, updated_at = NOW() WHERE id = $${fields.length + 1}`,
+      [...values, entry.business_id]
+    );
+    await client.query('UPDATE audit_log SET reverted_at = NOW() WHERE id = $1', [entry.id]);
+  });
+
+  return action;
+}
+
+// Revert every entry of a bulk action that hasn't been reverted yet,
+// skipping businesses changed again since. Returns { reverted, conflicted }
+// counts of entries.
+async function revertBatch(pool, batchId, actor) {
+  const result = await pool.query(
+    'SELECT * FROM audit_log WHERE batch_id = $1 AND reverted_at IS NULL ORDER BY id',
+    [batchId]
+  );
+  let reverted = 0;
+  let conflicted = 0;
+  for (const entry of result.rows) {
+    if (revertBlocker(entry)) continue;
+    try {
+      await revertEntry(pool, entry, actor);
+      reverted++;
+    } catch (err) {
+      if (err.code !== REVERT_CONFLICT) throw err;
+      conflicted++;
+    }
+  }
+  return { reverted, conflicted };
+}
+
+// filters: { action, businessId, adminUserId, search }
+async function listEntries(pool, filters = {}, page = 1) {
+  const params = [];
+  const conditions = [];
+
+  if (filters.action) {
+    params.push(filters.action);
+    conditions.push(`l.action = $${params.length}`);
+  }
+  if (filters.businessId) {
+    params.push(parseInt(filters.businessId) || 0);
+    conditions.push(`l.business_id = $${params.length}`);
+  }
+  if (filters.adminUserId) {
+    params.push(parseInt(filters.adminUserId) || 0);
+    conditions.push(`l.admin_user_id = $${params.length}`);
+  }
+  if (filters.search) {
+    params.push(`%${filters.search}%`);
+    conditions.push(`COALESCE(b.name, l.after->>'name', l.before->>'name') ILIKE $${params.length}`);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const from = 'FROM audit_log l LEFT JOIN businesses b ON b.id = l.business_id';
+
+  const countResult = await pool.query(`SELECT COUNT(*) ${from} ${where}`, params);
+  const total = parseInt(countResult.rows[0].count);
+  const totalPages = Math.max(1, Math.ceil(total / PER_PAGE));
+  const currentPage = Math.min(Math.max(1, parseInt(page) || 1), totalPages);
+
+  const result = await pool.query(
+    `SELECT l.*, COALESCE(b.name, l.after->>'name', l.before->>'name') AS business_name
+     ${from} ${where}
+     ORDER BY l.id DESC
+     LIMIT ${PER_PAGE} OFFSET ${(currentPage - 1) * PER_PAGE}`,
+    params
+  );
+
+  const entries = result.rows.map(entry => ({
+    ...entry,
+    changedFields: changedFields(entry.before, entry.after),
+    revertBlocker: revertBlocker(entry)
+  }));
+
+  return { entries, total, page: currentPage, totalPages };
+}
+
+module.exports = {
+  ACTION_LABELS,
+  REVERT_CONFLICT,
+  changedFields,
+  auditBusinessChange,
+  getEntry,
+  revertBlocker,
+  revertEntry,
+  revertBatch,
+  listEntries
+};
@@ -0,0 +1,202 @@
+// Admin authentication.
+// Accounts live in admin_users with scrypt password hashes. The session only
+// stores the user id; the row is loaded on every admin request so role
+// changes take effect immediately. Also provides role checks, login
+// rate-limiting/lockout and CSRF tokens for admin POSTs.
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { normalizeEmail } = require('./email');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['editor', 'owner'];
+const ROLE_RANK = { editor: 1, owner: 2 };
+const MIN_PASSWORD_LENGTH = 12;
+
+// Per-account lockout after repeated wrong passwords
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MINUTES = 15;
+
+// Per-IP limit on login attempts, whichever account they target
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const MAX_LOGIN_ATTEMPTS_PER_IP = 20;
+
+const KEY_LENGTH = 64;
+
+// Stored as scrypt:<salt hex>:<hash hex>
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = (stored || '').split(':');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+async function createUser(pool, { email, name, password, role = 'editor' }) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+  }
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  const result = await pool.query(
+    `INSERT INTO admin_users (email, name, password_hash, role)
+     VALUES ($1, $2, $3, $4) RETURNING id, email, name, role`,
+    [normalizeEmail(email), name || null, await hashPassword(password), role]
+  );
+  return result.rows[0];
+}
+
+// Check an email/password pair. Returns { user } on success or { error }.
+async function authenticate(pool, email, password) {
+  const result = await pool.query('SELECT * FROM admin_users WHERE email = $1', [normalizeEmail(email)]);
+  const user = result.rows[0];
+
+  if (!user) {
+    // Hash anyway so unknown emails take as long as wrong passwords
+    await hashPassword(password || '');
+    return { error: 'Invalid email or password' };
+  }
+
+  if (user.locked_until && new Date(user.locked_until) > new Date()) {
+    return { error: `Too many failed attempts. Try again after ${new Date(user.locked_until).toLocaleTimeString('en-US')}.` };
+  }
+
+  if (!(await verifyPassword(password || '', user.password_hash))) {
+    await pool.query(
+      `UPDATE admin_users SET
+         failed_login_count = failed_login_count + 1,
+         locked_until = CASE WHEN failed_login_count + 1 >= $2
+           THEN NOW() + make_interval(mins => $3) ELSE locked_until END
+       WHERE id = $1`,
+      [user.id, MAX_FAILED_LOGINS, LOCKOUT_MINUTES]
+    );
+    return { error: 'Invalid email or password' };
+  }
+
+  await pool.query(
+    `UPDATE admin_users SET failed_login_count = 0, locked_until = NULL, last_login_at = NOW()
+     WHERE id = $1`,
+    [user.id]
+  );
+  return { user };
+}
+
+// In-memory per-IP attempt counter for POST /admin/login
+const loginAttempts = new Map();
+
+function loginRateLimit(req, res, next) {
+  const now = Date.now();
+  let entry = loginAttempts.get(req.ip);
+  if (!entry || entry.resetAt <= now) {
+    entry = { count: 0, resetAt: now + LOGIN_WINDOW_MS };
+    loginAttempts.set(req.ip, entry);
+  }
+
+  entry.count++;
+  if (entry.count > MAX_LOGIN_ATTEMPTS_PER_IP) {
+    return res.status(429).render('admin/login', { error: 'Too many login attempts. Please wait a few minutes and try again.' });
+  }
+
+  // Drop expired entries now and then so the map doesn't grow forever
+  if (loginAttempts.size > 1000) {
+    for (const [ip, attempt] of loginAttempts) {
+      if (attempt.resetAt <= now) loginAttempts.delete(ip);
+    }
+  }
+  next();
+}
+
+function clearLoginAttempts(req) {
+  loginAttempts.delete(req.ip);
+}
+
+// Loads the signed-in admin into req.adminUser / res.locals.adminUser
+function loadAdminUser(pool) {
+  return async (req, res, next) => {
+    res.locals.adminUser = null;
+    if (!req.session.adminUserId) return next();
+
+    try {
+      const result = await pool.query(
+        'SELECT id, email, name, role FROM admin_users WHERE id = $1',
+        [req.session.adminUserId]
+      );
+      if (result.rows.length === 0) {
+        delete req.session.adminUserId;
+      } else {
+        req.adminUser = result.rows[0];
+        res.locals.adminUser = req.adminUser;
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+function hasRole(user, role) {
+  return Boolean(user) && ROLE_RANK[user.role] >= ROLE_RANK[role];
+}
+
+// Route guard. Signed-out users are sent to the login page (or get a JSON
+// 403 with { json: true }); signed-in users without the role get a 403.
+function requireRole(role, options = {}) {
+  return (req, res, next) => {
+    if (hasRole(req.adminUser, role)) return next();
+
+    if (options.json) {
+      return res.status(403).json({ error: req.adminUser ? 'Forbidden' : 'Unauthorized' });
+    }
+    if (!req.adminUser) {
+      return res.redirect('/admin');
+    }
+    res.status(403).send('You do not have permission to do that');
+  };
+}
+
+// Per-session CSRF token. Forms send it as _csrf, fetch() calls as the
+// X-CSRF-Token header. Every non-GET admin request must include it.
+function csrfProtection(req, res, next) {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+  }
+  res.locals.csrfToken = req.session.csrfToken;
+
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return next();
+
+  const sent = (req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body) && req.body._csrf)
+    || req.get('X-CSRF-Token') || '';
+  const expected = Buffer.from(req.session.csrfToken);
+  const actual = Buffer.from(String(sent));
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    if (req.is('json') || req.get('X-CSRF-Token') !== undefined) {
+      return res.status(403).json({ error: 'Invalid or missing CSRF token' });
+    }
+    return res.status(403).send('Invalid or missing CSRF token. Go back, reload the page and try again.');
+  }
+  next();
+}
+
+module.exports = {
+  ROLES,
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword,
+  createUser,
+  authenticate,
+  loginRateLimit,
+  clearLoginAttempts,
+  loadAdminUser,
+  hasRole,
+  requireRole,
+  csrfProtection
+};
@@ -0,0 +1,151 @@
+// Municipality boundaries (see migrations/014_boundaries.sql).
+// checkLocation decides whether a Google place belongs to a municipality:
+//   1. its location is inside the municipality's GeoJSON boundary, when
+//      there is a boundary and the place has a location
+//   2. otherwise the ZIP code in its address is one of the municipality's,
+//      unless another municipality shares that ZIP (shared_zip_codes, see
+//      lib/municipalities.js) - then the ZIP can't tell them apart
+//   3. otherwise the city part of its address is the municipality's name
+// GeoJSON positions are [longitude, latitude].
+
+// Ray casting: does a horizontal ray from the point cross the ring an odd
+// number of times?
+function inRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// A polygon is an outer ring followed by any holes
+function inPolygon(point, rings) {
+  return inRing(point, rings[0]) && !rings.slice(1).some(hole => inRing(point, hole));
+}
+
+function containsPoint(geometry, latitude, longitude) {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  return polygons.some(rings => inPolygon([longitude, latitude], rings));
+}
+
+function isValidRing(ring) {
+  return Array.isArray(ring) && ring.length >= 4 &&
+    ring.every(position => Array.isArray(position) && position.length >= 2 && position.every(Number.isFinite));
+}
+
+// The Polygon or MultiPolygon in a GeoJSON geometry, Feature or
+// FeatureCollection. Several polygons are combined into one MultiPolygon.
+// Throws if there are none or they're malformed.
+function parseBoundary(geojson) {
+  const polygons = [];
+  const collect = node => {
+    if (!node || typeof node !== 'object') return;
+    if (node.type === 'FeatureCollection' && Array.isArray(node.features)) node.features.forEach(collect);
+    else if (node.type === 'GeometryCollection' && Array.isArray(node.geometries)) node.geometries.forEach(collect);
+    else if (node.type === 'Feature') collect(node.geometry);
+    else if (node.type === 'Polygon') polygons.push(node.coordinates);
+    else if (node.type === 'MultiPolygon' && Array.isArray(node.coordinates)) polygons.push(...node.coordinates);
+  };
+  collect(geojson);
+
+  if (polygons.length === 0) {
+    throw new Error('No Polygon or MultiPolygon found in the GeoJSON');
+  }
+  if (!polygons.every(rings => Array.isArray(rings) && rings.length > 0 && rings.every(isValidRing))) {
+    throw new Error('Every polygon ring needs at least 4 [longitude, latitude] positions');
+  }
+
+  return polygons.length === 1
+    ? { type: 'Polygon', coordinates: polygons[0] }
+    : { type: 'MultiPolygon', coordinates: polygons };
+}
+
+// Bounding box of a boundary, in the { low, high } shape of getBounds
+function boundsOf(geometry) {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  const positions = polygons.flatMap(rings => rings[0]);
+  const longitudes = positions.map(position => position[0]);
+  const latitudes = positions.map(position => position[1]);
+  return {
+    low: { latitude: Math.min(...latitudes), longitude: Math.min(...longitudes) },
+    high: { latitude: Math.max(...latitudes), longitude: Math.max(...longitudes) }
+  };
+}
+
+// The last ZIP code in an address ("..., Fair Lawn, NJ 07410, USA")
+function extractZip(address) {
+  const matches = (address || '').match(/\b\d{5}(?=(-\d{4})?\b)/g);
+  return matches ? matches[matches.length - 1] : null;
+}
+
+// The city in Google's "Street, [Unit,] City, ST ZIP, Country" addresses: the
+// part just before the state
+function extractCity(address) {
+  const parts = (address || '').split(',').map(part => part.trim());
+  const stateIndex = parts.findIndex(part => /^[A-Z]{2}( \d{5}(-\d{4})?)?$/.test(part));
+  return stateIndex > 0 ? parts[stateIndex - 1] : null;
+}
+
+// Does a Places API result belong to the municipality? Returns
+// { isValid, reason } - reason says why not.
+function checkLocation(municipality, place) {
+  const address = place.formattedAddress || '';
+  const { latitude, longitude } = place.location || {};
+
+  if (municipality.boundary && Number.isFinite(latitude) && Number.isFinite(longitude)) {
+    const inside = containsPoint(municipality.boundary, latitude, longitude);
+    return {
+      isValid: inside,
+      reason: inside ? null : `Located outside the ${municipality.name} boundary (${latitude.toFixed(5)}, ${longitude.toFixed(5)})`
+    };
+  }
+
+  const zip = extractZip(address);
+  const zipCodes = municipality.zip_codes || [];
+  if (zipCodes.length > 0 && zip) {
+    if (!zipCodes.includes(zip)) {
+      return { isValid: false, reason: `ZIP code ${zip} is not in ${municipality.name} (${zipCodes.join(', ')})` };
+    }
+    if (!(municipality.shared_zip_codes || []).includes(zip)) {
+      return { isValid: true, reason: null };
+    }
+  }
+
+  const city = extractCity(address);
+  const matches = Boolean(city) && city.toLowerCase() === municipality.name.toLowerCase();
+  return {
+    isValid: matches,
+    reason: matches ? null : (city ? `Located in ${city}, not ${municipality.name}` : `Could not tell which town "${address}" is in`)
+  };
+}
+
+// Store a parsed boundary and make its bounding box the municipality's bounds
+// (used by grid searches)
+async function saveBoundary(pool, municipalityId, boundary) {
+  const bounds = boundsOf(boundary);
+  const result = await pool.query(
+    `UPDATE municipalities SET boundary = $1,
+       min_latitude = $2, min_longitude = $3, max_latitude = $4, max_longitude = $5
+     WHERE id = $6 RETURNING *`,
+    [
+      JSON.stringify(boundary),
+      bounds.low.latitude, bounds.low.longitude, bounds.high.latitude, bounds.high.longitude,
+      municipalityId
+    ]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  containsPoint,
+  parseBoundary,
+  boundsOf,
+  extractZip,
+  extractCity,
+  checkLocation,
+  saveBoundary
+};
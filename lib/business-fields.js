@@ -0,0 +1,280 @@
+// Validation of business columns, shared by the admin edit form, the CSV
+// import and public suggestions. Each check takes a form value and returns
+// { value } or { error }; empty optional fields come back as null.
+// Phones are stored in E.164 ("+12015551234") and shown with formatPhone.
+// ZIPs are checked as 5 digits and stored after the state ("NJ 07410").
+const categories = require('./categories');
+const slugs = require('./slugs');
+const { PHOTO_URL_PATH } = require('./photos');
+const { toDailyHours, buildOpeningHours, readHoursForm } = require('./hours');
+
+const MAX_KEYWORDS = 20;
+const MAX_KEYWORD_LENGTH = 100;
+
+const BUSINESS_STATUSES = {
+  OPERATIONAL: 'Open',
+  CLOSED_TEMPORARILY: 'Temporarily closed',
+  CLOSED_PERMANENTLY: 'Permanently closed'
+};
+
+const PRICE_LEVELS = ['Free', '$', '$$', '$$$', '$$$$'];
+
+// Labels for the fields on the admin edit form
+const FIELD_LABELS = {
+  name: 'Name',
+  slug: 'Slug',
+  category_id: 'Category',
+  subcategory: 'Subcategory',
+  street: 'Street',
+  city: 'City',
+  state: 'State',
+  zip: 'ZIP',
+  phone: 'Phone',
+  website: 'Website',
+  google_maps_url: 'Google Maps link',
+  image_url: 'Photo',
+  latitude: 'Latitude',
+  longitude: 'Longitude',
+  price_level: 'Price level',
+  business_status: 'Business status',
+  opening_hours: 'Hours',
+  keywords: 'Keywords',
+  description: 'Description',
+  status: 'Status'
+};
+
+// "+12015551234" from any formatting of a US number with area code, or an
+// international number written with its + and country code
+function normalizePhone(input) {
+  const text = (input || '').trim();
+  const digits = text.replace(/\D/g, '');
+  if (text.startsWith('+') && !text.startsWith('+1')) {
+    return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+  }
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+  return null;
+}
+
+// "(201) 555-1234" for US numbers; anything else is shown as stored
+function formatPhone(phone) {
+  const match = (phone || '').match(/^\+1(\d{3})(\d{3})(\d{4})$/);
+  return match ? `(${match[1]}) ${match[2]}-${match[3]}` : phone;
+}
+
+// An http(s) URL, with https:// added when the scheme is missing
+function normalizeWebsite(input) {
+  const website = /^https?:\/\//i.test(input) ? input : `https://${input}`;
+  try {
+    const url = new URL(website);
+    return /\s/.test(input) || !url.hostname.includes('.') ? null : website;
+  } catch (err) {
+    return null;
+  }
+}
+
+// The 5-digit ZIP from "07410", "07410-1234" or "NJ 07410" (the stored format)
+function normalizeZip(input) {
+  const match = input.match(/^(?:[A-Za-z]{2}\s+)?(\d{5})(?:-\d{4})?$/);
+  return match ? match[1] : null;
+}
+
+function checkText(label, max, required = false) {
+  return input => {
+    if (!input) return required ? { error: `${label} is required` } : { value: null };
+    if (input.length > max) return { error: `${label} can be at most ${max} characters` };
+    return { value: input };
+  };
+}
+
+function checkUrl(label) {
+  return input => {
+    if (!input) return { value: null };
+    const url = normalizeWebsite(input);
+    if (!url) return { error: `${label} should be a web address like example.com` };
+    return { value: url };
+  };
+}
+
+const CHECKS = {
+  name: checkText('Name', 255, true),
+  subcategory: checkText('Subcategory', 100),
+  street: checkText('Street', 255),
+  city: checkText('City', 100),
+  state: input => {
+    if (!input) return { value: null };
+    if (!/^[A-Za-z]{2}$/.test(input)) return { error: 'State should be a two-letter code like NJ' };
+    return { value: input.toUpperCase() };
+  },
+  zip: input => {
+    if (!input) return { value: null };
+    const zip = normalizeZip(input);
+    return zip ? { value: zip } : { error: 'ZIP should be 5 digits, like 07410' };
+  },
+  phone: input => {
+    if (!input) return { value: null };
+    const phone = normalizePhone(input);
+    return phone ? { value: phone } : { error: 'Phone should be a US number with area code, or start with + and the country code' };
+  },
+  website: input => {
+    const checked = checkUrl('Website')(input);
+    if (checked.value && checked.value.length > 255) return { error: 'Website can be at most 255 characters' };
+    return checked;
+  },
+  google_maps_url: checkUrl('Google Maps link'),
+  // A photo served from our uploads, or an image URL elsewhere
+  image_url: input => (input.startsWith(`${PHOTO_URL_PATH}/`) ? { value: input } : checkUrl('Photo')(input)),
+  price_level: input => {
+    if (!input) return { value: null };
+    const level = Number(input);
+    return Number.isInteger(level) && PRICE_LEVELS[level] ? { value: level } : { error: 'Choose a price level' };
+  },
+  business_status: input => {
+    if (!input) return { value: null };
+    return BUSINESS_STATUSES[input] ? { value: input } : { error: 'Choose a business status' };
+  },
+  description: input => ({ value: input || null }),
+  // Deleting goes through the delete route so it's owner-only
+  status: input => (['pending', 'approved'].includes(input) ? { value: input } : { error: 'Choose pending or approved' })
+};
+
+function checkField(field, input) {
+  return CHECKS[field](String(input === undefined || input === null ? '' : input).trim());
+}
+
+// Latitude and longitude are set together or not at all.
+// Returns { value: { latitude, longitude } } (both null when empty) or { error }.
+function checkCoordinates(latitudeInput, longitudeInput) {
+  const latitudeText = String(latitudeInput || '').trim();
+  const longitudeText = String(longitudeInput || '').trim();
+  if (!latitudeText && !longitudeText) return { value: { latitude: null, longitude: null } };
+
+  const latitude = Number(latitudeText);
+  const longitude = Number(longitudeText);
+  if (!latitudeText || !longitudeText || !Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+    return { error: 'Latitude and longitude should both be set, as decimal degrees' };
+  }
+  if (Math.abs(latitude) > 90) return { error: 'Latitude should be between -90 and 90' };
+  if (Math.abs(longitude) > 180) return { error: 'Longitude should be between -180 and 180' };
+  return { value: { latitude, longitude } };
+}
+
+// Keywords from a list or a string split on ; or |, trimmed and without
+// repeats (ignoring case)
+function parseKeywords(input) {
+  const list = Array.isArray(input) ? input : String(input || '').split(/[;|]/);
+  const keywords = [];
+  for (const item of list) {
+    const keyword = String(item).trim();
+    if (keyword && !keywords.some(k => k.toLowerCase() === keyword.toLowerCase())) keywords.push(keyword);
+  }
+  return keywords;
+}
+
+function checkKeywords(input) {
+  const keywords = parseKeywords(input);
+  if (keywords.length > MAX_KEYWORDS) return { error: `Use at most ${MAX_KEYWORDS} keywords` };
+  if (keywords.some(keyword => keyword.length > MAX_KEYWORD_LENGTH)) {
+    return { error: `Keywords can be at most ${MAX_KEYWORD_LENGTH} characters each` };
+  }
+  return { value: keywords };
+}
+
+// Validate the admin edit form for a business. Returns { values, errors }:
+// values are column values for the businesses table, errors map fields to
+// messages. Hours are only in values when the form differs from the stored
+// hours, so split hours the form can't show survive other edits.
+async function validateBusiness(pool, input, business) {
+  const values = {};
+  const errors = {};
+  const apply = (field, checked) => {
+    if (checked.error) errors[field] = checked.error;
+    else values[field] = checked.value;
+  };
+
+  for (const field of Object.keys(CHECKS)) {
+    apply(field, checkField(field, input[field]));
+  }
+  if (values.zip) values.zip = values.state ? `${values.state} ${values.zip}` : values.zip;
+
+  const coordinates = checkCoordinates(input.latitude, input.longitude);
+  if (coordinates.error) {
+    errors.latitude = coordinates.error;
+  } else {
+    Object.assign(values, coordinates.value);
+  }
+
+  apply('keywords', checkKeywords(input.keywords || []));
+
+  const allCategories = await categories.getCategories(pool);
+  const category = allCategories.find(c => c.id === parseInt(input.category_id));
+  if (category) {
+    values.category_id = category.id;
+    values.category = category.name;
+  } else {
+    errors.category_id = 'Choose a category from the list';
+  }
+
+  // The slug only changes when it's edited; an empty one is made from the name
+  const slug = String(input.slug || '').trim();
+  if (!slug) {
+    if (values.name) values.slug = await slugs.uniqueSlug(pool, categories.slugify(values.name), business.id);
+  } else if (slug !== business.slug) {
+    const checked = await slugs.validateSlug(pool, slug, business.id);
+    if (checked.error) errors.slug = checked.error;
+    else values.slug = checked.slug;
+  } else {
+    values.slug = slug;
+  }
+
+  const days = readHoursForm(input);
+  if (days.some(day => day && !(/^\d{2}:\d{2}$/.test(day.open) && /^\d{2}:\d{2}$/.test(day.close)))) {
+    errors.opening_hours = 'Enter opening and closing times for each open day';
+  } else {
+    const hours = buildOpeningHours(days);
+    if (JSON.stringify(toDailyHours(hours)) !== JSON.stringify(toDailyHours(business.opening_hours))) {
+      values.opening_hours = hours;
+    }
+  }
+
+  return { values, errors };
+}
+
+// The edit form's values for a stored business
+function formValues(business) {
+  return {
+    ...business,
+    category_id: business.category_id ? String(business.category_id) : '',
+    zip: business.zip ? normalizeZip(business.zip) || business.zip : '',
+    phone: business.phone ? formatPhone(business.phone) : '',
+    price_level: business.price_level === null || business.price_level === undefined ? '' : String(business.price_level),
+    keywords: business.keywords || [],
+    days: toDailyHours(business.opening_hours)
+  };
+}
+
+// The edit form's values as submitted, to show again with errors
+function submittedValues(input) {
+  return {
+    ...input,
+    keywords: parseKeywords(input.keywords || []),
+    days: readHoursForm(input)
+  };
+}
+
+module.exports = {
+  BUSINESS_STATUSES,
+  PRICE_LEVELS,
+  FIELD_LABELS,
+  normalizePhone,
+  formatPhone,
+  normalizeWebsite,
+  normalizeZip,
+  checkField,
+  checkCoordinates,
+  parseKeywords,
+  checkKeywords,
+  validateBusiness,
+  formValues,
+  submittedValues
+};
@@ -0,0 +1,485 @@
+// Bulk export and import of business listings (admin Import / Export page).
+// Exports are CSV or JSON, filtered by status, category and municipality.
+// Imports take a CSV of manually sourced businesses: its columns are mapped to
+// IMPORT_FIELDS, every row is validated, and rows are matched to existing
+// listings by Google place id or slug (old slugs included). planImport is the
+// dry run; applyImport writes the plan as one audited batch. New listings
+// are pending until an editor approves them; updated ones keep their status.
+// Empty cells leave the current value alone.
+const csv = require('./csv');
+const categories = require('./categories');
+const slugs = require('./slugs');
+const { auditBusinessChange } = require('./audit');
+const { getMunicipalities } = require('./municipalities');
+const { checkField, checkCoordinates, checkKeywords } = require('./business-fields');
+
+const MAX_IMPORT_ROWS = 2000;
+
+// Export columns, in order. The importable ones read back in unchanged.
+const EXPORT_COLUMNS = [
+  'id', 'name', 'slug', 'status', 'municipality', 'category', 'google_place_id',
+  'street', 'city', 'state', 'zip', 'phone', 'website', 'description',
+  'latitude', 'longitude', 'keywords', 'rating', 'total_ratings', 'price_level',
+  'business_status', 'opening_hours', 'google_maps_url', 'image_url',
+  'created_at', 'updated_at'
+];
+
+const EXPORT_STATUSES = ['pending', 'approved', 'deleted'];
+
+const IMPORT_FIELDS = {
+  name: 'Name',
+  slug: 'Slug',
+  google_place_id: 'Google Place ID',
+  category: 'Category',
+  municipality: 'Municipality',
+  street: 'Street',
+  city: 'City',
+  state: 'State',
+  zip: 'ZIP',
+  phone: 'Phone',
+  website: 'Website',
+  description: 'Description',
+  latitude: 'Latitude',
+  longitude: 'Longitude',
+  keywords: 'Keywords'
+};
+
+// Other common headers for the fields, used to guess the column mapping
+const HEADER_ALIASES = {
+  name: ['business', 'business_name', 'title'],
+  google_place_id: ['place_id', 'google_id'],
+  category: ['category_slug', 'type'],
+  municipality: ['town', 'municipality_slug'],
+  street: ['address', 'street_address', 'address_1'],
+  zip: ['zip_code', 'zipcode', 'postal_code', 'postcode'],
+  phone: ['phone_number', 'telephone', 'tel'],
+  website: ['url', 'web', 'website_url'],
+  description: ['about', 'summary'],
+  latitude: ['lat'],
+  longitude: ['lng', 'lon', 'long']
+};
+
+// ==================== EXPORT ====================
+
+// Businesses matching filters: { status, category, municipality } (slugs).
+// Without a status every listing but deleted ones is exported. A parent
+// category includes its subcategories.
+async function exportBusinesses(pool, filters = {}) {
+  const params = [];
+  const conditions = [];
+
+  if (EXPORT_STATUSES.includes(filters.status)) {
+    params.push(filters.status);
+    conditions.push(`b.status = $${params.length}`);
+  } else {
+    conditions.push("b.status <> 'deleted'");
+  }
+  if (filters.category) {
+    params.push(filters.category);
+    conditions.push(`$${params.length} IN (c.slug, p.slug)`);
+  }
+  if (filters.municipality) {
+    params.push(filters.municipality);
+    conditions.push(`m.slug = $${params.length}`);
+  }
+
+  const result = await pool.query(
+    `SELECT b.*, m.slug AS municipality_slug, c.slug AS category_slug
+     FROM businesses b
+     LEFT JOIN municipalities m ON m.id = b.municipality_id
+     LEFT JOIN categories c ON c.id = b.category_id
+     LEFT JOIN categories p ON p.id = c.parent_id
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY b.name, b.id`,
+    params
+  );
+
+  const toNumber = value => (value === null ? null : Number(value));
+  return result.rows.map(business => ({
+    id: business.id,
+    name: business.name,
+    slug: business.slug,
+    status: business.status,
+    municipality: business.municipality_slug,
+    category: business.category_slug,
+    google_place_id: business.google_place_id,
+    street: business.street,
+    city: business.city,
+    state: business.state,
+    zip: business.zip,
+    phone: business.phone,
+    website: business.website,
+    description: business.description,
+    latitude: toNumber(business.latitude),
+    longitude: toNumber(business.longitude),
+    keywords: business.keywords || [],
+    rating: toNumber(business.rating),
+    total_ratings: business.total_ratings,
+    price_level: business.price_level,
+    business_status: business.business_status,
+    opening_hours: business.opening_hours,
+    google_maps_url: business.google_maps_url,
+    image_url: business.image_url,
+    created_at: business.created_at,
+    updated_at: business.updated_at
+  }));
+}
+
+// Exported businesses as CSV. Keywords are joined with "; " and opening
+// hours are written as JSON. The byte order mark makes spreadsheets read the
+// file as UTF-8.
+function toCsv(businesses) {
+  return '\uFEFF' + csv.stringify([
+    EXPORT_COLUMNS,
+    ...businesses.map(business => EXPORT_COLUMNS.map(column =>
+      (column === 'keywords' ? business.keywords.join('; ') : business[column])
+    ))
+  ]);
+}
+
+// ==================== IMPORT ====================
+
+// The header row and data rows of an uploaded CSV. Returns
+// { headers, rows } or { error }.
+function readCsv(text) {
+  const [headers, ...rows] = csv.parse(text);
+  if (!headers) {
+    return { error: 'The CSV file is empty' };
+  }
+  if (rows.length === 0) {
+    return { error: 'The CSV file has a header row but no businesses' };
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return { error: `A CSV file can have at most ${MAX_IMPORT_ROWS} rows; split it into smaller files` };
+  }
+  return {
+    headers: headers.map(header => header.trim()),
+    rows: rows.map(cells => cells.map(cell => csv.unescapeCell(cell.trim())))
+  };
+}
+
+function headerKey(header) {
+  return header.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/(^_|_$)/g, '');
+}
+
+// Column index per field, from header names like the export's
+// ({ name: 0, phone: 3 }). Unrecognised fields are left out.
+function guessMapping(headers) {
+  const keys = headers.map(headerKey);
+  const mapping = {};
+  for (const field of Object.keys(IMPORT_FIELDS)) {
+    const names = [field, headerKey(IMPORT_FIELDS[field]), ...(HEADER_ALIASES[field] || [])];
+    const index = keys.findIndex(key => names.includes(key));
+    if (index !== -1) mapping[field] = index;
+  }
+  return mapping;
+}
+
+// A mapping as posted by the import form ({ field: "index" }), keeping only
+// known fields and columns that exist
+function cleanMapping(input, headers) {
+  const mapping = {};
+  if (!input || typeof input !== 'object') return mapping;
+  for (const field of Object.keys(IMPORT_FIELDS)) {
+    const index = parseInt(input[field]);
+    if (index >= 0 && index < headers.length) mapping[field] = index;
+  }
+  return mapping;
+}
+
+function findCategory(allCategories, input) {
+  const key = input.toLowerCase();
+  return allCategories.find(c => c.slug === key || c.name.toLowerCase() === key) || null;
+}
+
+function findMunicipality(municipalities, input) {
+  const key = input.toLowerCase();
+  return municipalities.find(m => m.slug === key || m.name.toLowerCase() === key) || null;
+}
+
+// Validate the mapped cells of one row. Returns { values, errors }; values
+// are column values for the businesses table (zip still bare - see planImport).
+function parseRow(cells, mapping, lookups) {
+  const values = {};
+  const errors = [];
+  const cell = field => (mapping[field] === undefined ? '' : cells[mapping[field]] || '');
+
+  // Empty cells are left out, so they don't clear anything
+  const check = (field, input) => {
+    if (!input) return;
+    const checked = checkField(field, input);
+    if (checked.error) errors.push(checked.error);
+    else values[field] = checked.value;
+  };
+
+  check('name', cell('name'));
+
+  const slug = cell('slug');
+  if (slug) values.slug = slug;
+
+  const placeId = cell('google_place_id');
+  if (placeId) {
+    if (!/^[\w-]{1,255}$/.test(placeId)) errors.push(`"${placeId}" is not a Google place id`);
+    values.google_place_id = placeId;
+  }
+
+  const categoryInput = cell('category');
+  if (categoryInput) {
+    const category = findCategory(lookups.categories, categoryInput);
+    if (category) {
+      values.category_id = category.id;
+      values.category = category.name;
+    } else {
+      errors.push(`Unknown category "${categoryInput}"`);
+    }
+  }
+
+  const municipalityInput = cell('municipality');
+  if (municipalityInput) {
+    const municipality = findMunicipality(lookups.municipalities, municipalityInput);
+    if (municipality) {
+      values.municipality_id = municipality.id;
+    } else {
+      errors.push(`Unknown municipality "${municipalityInput}"`);
+    }
+  }
+
+  check('street', cell('street'));
+  check('city', cell('city'));
+  check('state', cell('state'));
+  check('zip', cell('zip'));
+  check('phone', cell('phone'));
+  check('website', cell('website'));
+  check('description', cell('description'));
+
+  const latitude = cell('latitude');
+  const longitude = cell('longitude');
+  if (latitude || longitude) {
+    const coordinates = checkCoordinates(latitude, longitude);
+    if (coordinates.error) errors.push(coordinates.error);
+    else Object.assign(values, coordinates.value);
+  }
+
+  const keywords = cell('keywords');
+  if (keywords) {
+    const checked = checkKeywords(keywords);
+    if (checked.error) errors.push(checked.error);
+    else values.keywords = checked.value;
+  }
+
+  return { values, errors };
+}
+
+// Existing listings the rows refer to, by place id and by current or old
+// slug (lowercased)
+async function findExisting(pool, placeIds, slugList) {
+  const byPlaceId = await pool.query(
+    'SELECT * FROM businesses WHERE google_place_id = ANY($1)',
+    [placeIds]
+  );
+  const bySlug = await pool.query(
+    `SELECT lower(s.slug) AS matched_slug, b.*
+     FROM (SELECT slug, id AS business_id FROM businesses
+           UNION ALL SELECT slug, business_id FROM slug_history) s
+     JOIN businesses b ON b.id = s.business_id
+     WHERE lower(s.slug) = ANY($1)`,
+    [slugList.map(slug => slug.toLowerCase())]
+  );
+  return {
+    byPlaceId: new Map(byPlaceId.rows.map(business => [business.google_place_id, business])),
+    bySlug: new Map(bySlug.rows.map(business => [business.matched_slug, business]))
+  };
+}
+
+function sameValue(current, value) {
+  if (typeof value === 'number') return current !== null && Number(current) === value;
+  return JSON.stringify(current === undefined ? null : current) === JSON.stringify(value);
+}
+
+// First free slug for a new listing, also avoiding slugs taken earlier in
+// the same file
+async function freeSlug(pool, base, plannedSlugs) {
+  for (let n = 1; ; n++) {
+    const slug = n === 1 ? base : `${base}-${n}`;
+    if (!plannedSlugs.has(slug.toLowerCase()) && !await slugs.isTaken(pool, slug)) return slug;
+  }
+}
+
+// Dry run of an import. Returns one entry per row:
+//   { row, action, name, errors, values, business, changes }
+// action is 'create', 'update', 'unchanged' or 'error'. Creates carry the
+// full values of the new listing; updates the changed columns of business.
+// Rows without a municipality column go to defaultMunicipalityId.
+async function planImport(pool, rows, mapping, defaultMunicipalityId) {
+  const lookups = {
+    categories: await categories.getCategories(pool),
+    municipalities: await getMunicipalities(pool)
+  };
+  const defaultMunicipality = lookups.municipalities.find(m => m.id === parseInt(defaultMunicipalityId)) ||
+    lookups.municipalities[0];
+
+  const parsed = rows.map(cells => parseRow(cells, mapping, lookups));
+  const existing = await findExisting(
+    pool,
+    parsed.map(row => row.values.google_place_id).filter(Boolean),
+    parsed.map(row => row.values.slug).filter(Boolean)
+  );
+
+  const plan = [];
+  const plannedIds = new Set();
+  const plannedSlugs = new Set();
+  const plannedPlaceIds = new Set();
+
+  for (let i = 0; i < parsed.length; i++) {
+    const { values, errors } = parsed[i];
+    const entry = { row: i + 1, values, errors, business: null, changes: null };
+
+    // Match on place id first; a slug only identifies the listing otherwise
+    const placeMatch = values.google_place_id ? existing.byPlaceId.get(values.google_place_id) : null;
+    const slugMatch = values.slug ? existing.bySlug.get(values.slug.toLowerCase()) : null;
+    const business = placeMatch || slugMatch || null;
+
+    if (placeMatch && slugMatch && placeMatch.id !== slugMatch.id) {
+      errors.push(`The slug "${values.slug}" belongs to a different listing than the place id`);
+    } else if (!placeMatch && slugMatch && values.google_place_id && slugMatch.google_place_id) {
+      errors.push(`The listing "${slugMatch.slug}" has a different place id`);
+    }
+    if (values.google_place_id) {
+      if (plannedPlaceIds.has(values.google_place_id)) errors.push('The place id is used by an earlier row');
+      plannedPlaceIds.add(values.google_place_id);
+    }
+
+    if (business) {
+      entry.business = business;
+      if (business.status === 'deleted') errors.push('Matches a deleted listing');
+      if (plannedIds.has(business.id)) errors.push('The listing is changed by an earlier row');
+      plannedIds.add(business.id);
+
+      // Matched by slug, the slug is just the key; matched by place id a
+      // different slug renames the listing
+      const changes = {};
+      if (values.slug && placeMatch && values.slug !== business.slug) {
+        const checked = await slugs.validateSlug(pool, values.slug, business.id);
+        if (checked.error) errors.push(checked.error);
+        changes.slug = values.slug;
+      }
+      if (values.zip) {
+        values.zip = `${values.state || business.state || defaultMunicipality.state} ${values.zip}`;
+      }
+      for (const [field, value] of Object.entries(values)) {
+        if (field !== 'slug' && !sameValue(business[field], value)) changes[field] = value;
+      }
+      if (changes.slug) {
+        if (plannedSlugs.has(changes.slug.toLowerCase())) errors.push('The slug is used by an earlier row');
+        plannedSlugs.add(changes.slug.toLowerCase());
+      }
+      entry.changes = changes;
+      entry.action = Object.keys(changes).length > 0 ? 'update' : 'unchanged';
+    } else {
+      if (!values.name) errors.push('Name is required for a new listing');
+      if (!values.category_id && !errors.some(error => error.startsWith('Unknown category'))) {
+        errors.push('Category is required for a new listing');
+      }
+
+      const municipality = lookups.municipalities.find(m => m.id === values.municipality_id) || defaultMunicipality;
+      values.municipality_id = municipality.id;
+      values.city = values.city || municipality.name;
+      values.state = values.state || municipality.state;
+      if (values.zip) values.zip = `${values.state} ${values.zip}`;
+
+      if (values.slug) {
+        const checked = await slugs.validateSlug(pool, values.slug, null);
+        if (checked.error) errors.push(checked.error);
+        if (plannedSlugs.has(values.slug.toLowerCase())) errors.push('The slug is used by an earlier row');
+      } else if (values.name) {
+        const base = categories.slugify(values.name).substring(0, 240).replace(/-$/, '');
+        values.slug = await freeSlug(pool, base || 'business', plannedSlugs);
+      }
+      if (values.slug) plannedSlugs.add(values.slug.toLowerCase());
+      entry.action = 'create';
+    }
+
+    if (errors.length > 0) entry.action = 'error';
+    entry.name = values.name || (business ? business.name : '');
+    plan.push(entry);
+  }
+
+  return plan;
+}
+
+// Counts per action for a plan
+function summarize(plan) {
+  const summary = { create: 0, update: 0, unchanged: 0, error: 0 };
+  for (const entry of plan) summary[entry.action]++;
+  return summary;
+}
+
+// Write the creates and updates of a plan (rows with errors are skipped) as
+// one audit log batch. Returns { created, updated }.
+async function applyImport(pool, actor, plan) {
+  const creates = plan.filter(entry => entry.action === 'create');
+  const updates = plan.filter(entry => entry.action === 'update');
+  if (creates.length === 0 && updates.length === 0) {
+    return { created: 0, updated: 0 };
+  }
+
+  // Ids for the new rows are taken up front so the audit log records them too
+  const ids = await pool.query(
+    "SELECT nextval(pg_get_serial_sequence('businesses', 'id'))::int AS id FROM generate_series(1, $1)",
+    [creates.length]
+  );
+  creates.forEach((entry, i) => { entry.id = ids.rows[i].id; });
+
+  await auditBusinessChange(pool, {
+    actor,
+    action: 'import',
+    businessIds: [...updates.map(entry => entry.business.id), ...creates.map(entry => entry.id)],
+    details: { created: creates.length, updated: updates.length }
+  }, async client => {
+    for (const entry of updates) {
+      const fields = Object.keys(entry.changes);
+      const sets = fields.map((field, i) => `${field} = $${i + 1}`);
+      if (entry.changes.description) sets.push('needs_content = FALSE');
+      await client.query(
+        `UPDATE businesses SET ${sets.join(', ')}, updated_at = NOW()
+         WHERE id = $${fields.length + 1} AND status <> 'deleted'`,
+        [...fields.map(field => entry.changes[field]), entry.business.id]
+      );
+    }
+
+    for (const entry of creates) {
+      const values = entry.values;
+      await client.query(
+        `INSERT INTO businesses (
+          id, name, slug, google_place_id, category, category_id, municipality_id,
+          street, city, state, zip, phone, website, description,
+          latitude, longitude, keywords, needs_content, status, scraped_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, 'pending', NOW())`,
+        [
+          entry.id, values.name, values.slug, values.google_place_id || null,
+          values.category, values.category_id, values.municipality_id,
+          values.street || null, values.city, values.state, values.zip || null,
+          values.phone || null, values.website || null, values.description || null,
+          values.latitude ?? null, values.longitude ?? null, values.keywords || null,
+          !values.description
+        ]
+      );
+    }
+  });
+
+  return { created: creates.length, updated: updates.length };
+}
+
+module.exports = {
+  EXPORT_STATUSES,
+  IMPORT_FIELDS,
+  MAX_IMPORT_ROWS,
+  exportBusinesses,
+  toCsv,
+  readCsv,
+  guessMapping,
+  cleanMapping,
+  planImport,
+  summarize,
+  applyImport
+};
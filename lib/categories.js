@@ -0,0 +1,306 @@
+// Category taxonomy (see migrations/010_categories.sql).
+// Categories can be nested one level deep through parent_id. Google primary
+// types map to categories through type_mappings; the scraper records every
+// type it sees there so unmapped ones show up on the admin categories page.
+// Businesses whose type isn't mapped go to the FALLBACK_SLUG category.
+const { auditBusinessChange } = require('./audit');
+const sitemap = require('./sitemap');
+
+const FALLBACK_SLUG = 'services';
+const CACHE_TTL_MS = 60 * 1000;
+
+let cached = null;
+let cachedAt = 0;
+
+function slugify(text) {
+  return (text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
+}
+
+// All categories in display order, cached briefly like municipalities
+async function getCategories(pool) {
+  if (!cached || Date.now() - cachedAt > CACHE_TTL_MS) {
+    const result = await pool.query('SELECT * FROM categories ORDER BY sort_order, name');
+    cached = result.rows;
+    cachedAt = Date.now();
+  }
+  return cached;
+}
+
+function clearCache() {
+  cached = null;
+  sitemap.invalidate();
+}
+
+async function getFallbackCategory(pool) {
+  const categories = await getCategories(pool);
+  return categories.find(c => c.slug === FALLBACK_SLUG) || null;
+}
+
+// Top-level categories, each with a `children` array
+function buildTree(categories) {
+  const topLevel = categories.filter(c => !c.parent_id || !categories.some(p => p.id === c.parent_id));
+  return topLevel.map(category => ({
+    ...category,
+    children: categories.filter(c => c.parent_id === category.id)
+  }));
+}
+
+// Category tree with approved business counts for one municipality.
+// A parent's count includes its subcategories. Empty categories are left out.
+async function listWithCounts(pool, municipalityId) {
+  const categories = await getCategories(pool);
+  const result = await pool.query(
+    `SELECT category_id, COUNT(*) AS business_count
+     FROM businesses
+     WHERE status = 'approved' AND municipality_id = $1
+     GROUP BY category_id`,
+    [municipalityId]
+  );
+  const counts = new Map(result.rows.map(row => [row.category_id, parseInt(row.business_count)]));
+
+  return buildTree(categories.map(c => ({ ...c, business_count: counts.get(c.id) || 0 })))
+    .map(category => {
+      const children = category.children.filter(c => c.business_count > 0);
+      return {
+        ...category,
+        children,
+        business_count: category.business_count + children.reduce((sum, c) => sum + c.business_count, 0)
+      };
+    })
+    .filter(category => category.business_count > 0);
+}
+
+async function getBySlug(pool, slug) {
+  const categories = await getCategories(pool);
+  return categories.find(c => c.slug === slug) || null;
+}
+
+// Old /category/:name URLs used the category name
+async function getByName(pool, name) {
+  const categories = await getCategories(pool);
+  return categories.find(c => c.name.toLowerCase() === (name || '').toLowerCase()) || null;
+}
+
+// Ids of a category and its subcategories
+async function withChildren(pool, category) {
+  const categories = await getCategories(pool);
+  return [category.id, ...categories.filter(c => c.parent_id === category.id).map(c => c.id)];
+}
+
+// Category for a Google primary type, recording that the type was seen.
+// Returns the fallback category when the type isn't mapped.
+async function categorizeType(pool, googleType) {
+  let categoryId = null;
+  if (googleType) {
+    const result = await pool.query(
+      `INSERT INTO type_mappings (google_type, seen_count, last_seen_at)
+       VALUES ($1, 1, NOW())
+       ON CONFLICT (google_type) DO UPDATE SET
+         seen_count = type_mappings.seen_count + 1, last_seen_at = NOW()
+       RETURNING category_id`,
+      [googleType]
+    );
+    categoryId = result.rows[0].category_id;
+  }
+
+  const categories = await getCategories(pool);
+  return categories.find(c => c.id === categoryId) || await getFallbackCategory(pool);
+}
+
+// Every mapping (unmapped types first) with how many businesses have the
+// type and how many of those aren't in the mapped category yet
+async function listTypeMappings(pool) {
+  const fallback = await getFallbackCategory(pool);
+  const result = await pool.query(
+    `SELECT t.*, c.name AS category_name,
+       COUNT(b.id)::int AS business_count,
+       COUNT(b.id) FILTER (WHERE b.category_id IS DISTINCT FROM COALESCE(t.category_id, $1))::int AS outdated_count
+     FROM type_mappings t
+     LEFT JOIN categories c ON c.id = t.category_id
+     LEFT JOIN businesses b ON b.primary_type = t.google_type AND b.status <> 'deleted'
+     GROUP BY t.google_type, c.name
+     ORDER BY (t.category_id IS NULL) DESC, t.seen_count DESC, t.google_type`,
+    [fallback ? fallback.id : null]
+  );
+  return result.rows;
+}
+
+async function setTypeMapping(pool, googleType, categoryId) {
+  const result = await pool.query(
+    `INSERT INTO type_mappings (google_type, category_id)
+     VALUES ($1, $2)
+     ON CONFLICT (google_type) DO UPDATE SET category_id = $2, updated_at = NOW()
+     RETURNING *`,
+    [googleType, categoryId]
+  );
+  return result.rows[0];
+}
+
+// Check and normalise category form values. Returns { values } or { error }.
+async function validateCategory(pool, input, categoryId = null) {
+  const name = (input.name || '').trim();
+  if (!name || name.length > 100) {
+    return { error: 'Name is required (up to 100 characters)' };
+  }
+
+  const slug = slugify(input.slug || name).substring(0, 100);
+  if (!slug) {
+    return { error: 'Slug must contain letters or numbers' };
+  }
+
+  const categories = await getCategories(pool);
+  if (categories.some(c => c.id !== categoryId && (c.slug === slug || c.name.toLowerCase() === name.toLowerCase()))) {
+    return { error: 'Another category already uses that name or slug' };
+  }
+
+  // Only one level of nesting
+  const parentId = parseInt(input.parent_id) || null;
+  if (parentId) {
+    const parent = categories.find(c => c.id === parentId);
+    if (!parent || parent.id === categoryId || parent.parent_id) {
+      return { error: 'The parent must be a different top-level category' };
+    }
+    if (categoryId && categories.some(c => c.parent_id === categoryId)) {
+      return { error: 'A category with subcategories cannot itself be nested' };
+    }
+  }
+
+  return {
+    values: {
+      name,
+      slug,
+      description: (input.description || '').trim() || null,
+      icon: (input.icon || '').trim().substring(0, 20) || null,
+      sort_order: parseInt(input.sort_order) || 0,
+      parent_id: parentId
+    }
+  };
+}
+
+async function createCategory(pool, input) {
+  const { values, error } = await validateCategory(pool, input);
+  if (error) return { error };
+
+  const result = await pool.query(
+    `INSERT INTO categories (name, slug, description, icon, sort_order, parent_id)
+     VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+    [values.name, values.slug, values.description, values.icon, values.sort_order, values.parent_id]
+  );
+  clearCache();
+  return { category: result.rows[0] };
+}
+
+// Renaming also updates the category name stored on its businesses, logged
+// to the audit log as one batch (and bumping updated_at, so open edit forms
+// see the change)
+async function updateCategory(pool, categoryId, input, actor) {
+  const { values, error } = await validateCategory(pool, input, categoryId);
+  if (error) return { error };
+
+  const renamed = await pool.query(
+    'SELECT id FROM businesses WHERE category_id = $1 AND category IS DISTINCT FROM $2',
+    [categoryId, values.name]
+  );
+
+  const category = await auditBusinessChange(pool, {
+    actor,
+    action: 'category_rename',
+    businessIds: renamed.rows.map(row => row.id),
+    details: { category_id: categoryId, name: values.name }
+  }, async client => {
+    const result = await client.query(
+      `UPDATE categories SET name = $1, slug = $2, description = $3, icon = $4,
+         sort_order = $5, parent_id = $6, updated_at = NOW()
+       WHERE id = $7 RETURNING *`,
+      [values.name, values.slug, values.description, values.icon, values.sort_order, values.parent_id, categoryId]
+    );
+    if (result.rows.length > 0) {
+      await client.query(
+        'UPDATE businesses SET category = $1, updated_at = NOW() WHERE category_id = $2 AND category IS DISTINCT FROM $1',
+        [values.name, categoryId]
+      );
+    }
+    return result.rows[0] || null;
+  });
+  clearCache();
+  return category ? { category } : { error: 'Category not found' };
+}
+
+// Only empty categories can be deleted. Their type mappings become unmapped
+// and their subcategories move to the top level.
+async function deleteCategory(pool, categoryId) {
+  const categories = await getCategories(pool);
+  const category = categories.find(c => c.id === categoryId);
+  if (!category) {
+    return { error: 'Category not found' };
+  }
+  if (category.slug === FALLBACK_SLUG) {
+    return { error: 'The fallback category cannot be deleted' };
+  }
+
+  const inUse = await pool.query(
+    "SELECT COUNT(*) FROM businesses WHERE category_id = $1 AND status <> 'deleted'",
+    [categoryId]
+  );
+  if (parseInt(inUse.rows[0].count) > 0) {
+    return { error: 'Move this category\'s businesses elsewhere (remap their types and re-categorise) before deleting it' };
+  }
+
+  await pool.query('DELETE FROM categories WHERE id = $1', [categoryId]);
+  clearCache();
+  return { category };
+}
+
+// Move businesses into the category their primary type maps to (one type,
+// or every type when googleType is null). Logged to the audit log as one
+// batch. Returns the number of businesses moved.
+async function recategorize(pool, actor, googleType = null) {
+  const fallback = await getFallbackCategory(pool);
+  const fallbackId = fallback ? fallback.id : null;
+
+  const outdated = await pool.query(
+    `SELECT b.id FROM businesses b
+     LEFT JOIN type_mappings t ON t.google_type = b.primary_type
+     WHERE b.status <> 'deleted' AND b.primary_type IS NOT NULL
+       AND ($1::text IS NULL OR b.primary_type = $1)
+       AND b.category_id IS DISTINCT FROM COALESCE(t.category_id, $2)`,
+    [googleType, fallbackId]
+  );
+  const businessIds = outdated.rows.map(row => row.id);
+  if (businessIds.length === 0) return 0;
+
+  await auditBusinessChange(pool, {
+    actor,
+    action: 'recategorize',
+    businessIds,
+    details: googleType ? { google_type: googleType } : null
+  }, client => client.query(
+    `UPDATE businesses b SET category_id = c.id, category = c.name, updated_at = NOW()
+     FROM businesses b2
+     LEFT JOIN type_mappings t ON t.google_type = b2.primary_type
+     JOIN categories c ON c.id = COALESCE(t.category_id, $2)
+     WHERE b2.id = b.id AND b.id = ANY($1)`,
+    [businessIds, fallbackId]
+  ));
+
+  return businessIds.length;
+}
+
+module.exports = {
+  FALLBACK_SLUG,
+  slugify,
+  getCategories,
+  getFallbackCategory,
+  buildTree,
+  listWithCounts,
+  getBySlug,
+  getByName,
+  withChildren,
+  categorizeType,
+  listTypeMappings,
+  setTypeMapping,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  recategorize
+};
@@ -0,0 +1,41 @@
+// Delivery of verification codes for business owner claims and sign-in.
+// CODE_SENDER picks how messages go out:
+//   console (default) - printed to the server log, for development
+//   file              - appended to CODE_SENDER_FILE (default ./tmp/codes.log)
+//   webhook           - POSTed as JSON to CODE_SENDER_WEBHOOK_URL, for an
+//                       email/SMS relay that does the actual delivery
+// Every sender takes { channel: 'email' | 'sms', to, subject, text }.
+const fs = require('fs/promises');
+const path = require('path');
+const axios = require('axios');
+
+const senders = {
+  async console(message) {
+    console.log(`📨 [${message.channel} to ${message.to}] ${message.subject}\n${message.text}`);
+  },
+
+  async file(message) {
+    const file = process.env.CODE_SENDER_FILE || path.join(__dirname, '..', 'tmp', 'codes.log');
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const entry = `[${new Date().toISOString()}] ${message.channel} to ${message.to}: ${message.subject}\n${message.text}\n\n`;
+    await fs.appendFile(file, entry);
+  },
+
+  async webhook(message) {
+    if (!process.env.CODE_SENDER_WEBHOOK_URL) {
+      throw new Error('CODE_SENDER_WEBHOOK_URL is not set');
+    }
+    await axios.post(process.env.CODE_SENDER_WEBHOOK_URL, message, { timeout: 10000 });
+  }
+};
+
+async function sendMessage(message) {
+  const name = process.env.CODE_SENDER || 'console';
+  const sender = senders[name];
+  if (!sender) {
+    throw new Error(`Unknown CODE_SENDER: ${name}`);
+  }
+  await sender(message);
+}
+
+module.exports = { sendMessage };
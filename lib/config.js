@@ -0,0 +1,22 @@
+// Site settings shared by the server and the CLI scripts.
+//   BASE_URL                  public origin of the site, for canonical URLs,
+//                             share tags, sitemaps and robots.txt
+//                             (default https://bestfairlawn.com)
+//   SITE_NAME                 brand in share tags and structured data
+//                             (default Fair Lawn Directory)
+//   SHARE_IMAGE               image for pages without a photo of their own
+//                             (default /images/og-image.jpg)
+//   GOOGLE_SITE_VERIFICATION  Search Console verification token
+// The database connection lives in db.js (DATABASE_URL).
+
+const BASE_URL = (process.env.BASE_URL || 'https://bestfairlawn.com').replace(/\/+$/, '');
+const SITE_NAME = process.env.SITE_NAME || 'Fair Lawn Directory';
+const SHARE_IMAGE = process.env.SHARE_IMAGE || '/images/og-image.jpg';
+const GOOGLE_SITE_VERIFICATION = process.env.GOOGLE_SITE_VERIFICATION ?? 'k-K3R0LPZ0SsW0fZCIVE-HeMVKqi3Ha_7FTK4Yx-ZZ4';
+
+// An absolute URL for a site path ("/business/x"); full URLs pass through
+function absoluteUrl(pathOrUrl) {
+  return /^https?:\/\//i.test(pathOrUrl) ? pathOrUrl : `${BASE_URL}${pathOrUrl}`;
+}
+
+module.exports = { BASE_URL, SITE_NAME, SHARE_IMAGE, GOOGLE_SITE_VERIFICATION, absoluteUrl };
@@ -0,0 +1,75 @@
+// Minimal CSV reading and writing (RFC 4180: comma separated, fields with
+// commas, quotes or line breaks wrapped in double quotes, "" for a quote).
+
+// Rows of a CSV document as arrays of strings. Accepts CRLF or LF line
+// endings and a leading byte order mark; blank lines are skipped.
+function parse(text) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Spreadsheets run cells starting with these as formulas; a leading quote
+// makes them plain text
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+  if (FORMULA_PREFIX.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// A CSV document from an array of rows (arrays of values)
+function stringify(rows) {
+  return rows.map(row => row.map(formatCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// Undo the formula guard added by stringify, for files exported here
+function unescapeCell(text) {
+  return /^'[=+\-@\t\r]/.test(text) ? text.substring(1) : text;
+}
+
+module.exports = { parse, stringify, unescapeCell };
@@ -0,0 +1,329 @@
+// Duplicate listings (see migrations/015_duplicates.sql).
+// Candidate pairs are listings that share a phone number, a website domain or
+// a word of their name. Each pair is scored out of 100:
+//   name similarity   up to 50 (trigram similarity of the normalised names)
+//   same phone        25
+//   same website      20 (the domain; shared hosts like facebook.com don't count)
+//   distance          15 within 50m, 8 within 200m
+// Pairs scoring MIN_SCORE or more are shown on /admin/duplicates. Merging
+// keeps one listing, copies the chosen fields over from the other and soft
+// deletes it with merged_into_id set, so its slug redirects to the kept one.
+const audit = require('./audit');
+const { websiteDomain } = require('./owner-claims');
+const { distanceMeters } = require('./geo');
+
+const MIN_SCORE = 50;
+const MERGE_REFUSED = 'MERGE_REFUSED';
+const MAX_BLOCK_SIZE = 200; // name words shared by more listings than this are too common to compare on
+
+// Words that say nothing about which business it is
+const NAME_STOPWORDS = ['the', 'and', 'of', 'llc', 'inc', 'co', 'corp', 'company', 'ltd', 'pc', 'pa', 'llp'];
+
+// Hosts many unrelated businesses share
+const SHARED_HOSTS = ['facebook.com', 'instagram.com', 'business.site', 'sites.google.com', 'linktr.ee', 'yelp.com', 'wixsite.com', 'square.site', 'godaddysites.com'];
+
+// Field groups an admin picks between when merging, with the columns each
+// one copies from the merged listing. The Google place (and its rating) isn't
+// one: refreshes would overwrite it, so keep the listing whose place is current.
+const MERGE_FIELDS = {
+  name: { label: 'Name', columns: ['name'] },
+  category: { label: 'Category', columns: ['category_id', 'category', 'subcategory', 'primary_type'] },
+  description: {
+    label: 'Description',
+    columns: ['description', 'keywords', 'ai_generated_description', 'ai_model', 'ai_generated_at', 'needs_content']
+  },
+  phone: { label: 'Phone', columns: ['phone'] },
+  website: { label: 'Website', columns: ['website'] },
+  address: { label: 'Address', columns: ['street', 'city', 'state', 'zip', 'latitude', 'longitude'] },
+  opening_hours: { label: 'Opening Hours', columns: ['opening_hours', 'business_status'] },
+  photo: { label: 'Photo', columns: ['image_url', 'photo_reference'] }
+};
+
+// "Joe's Pizza & Pasta, LLC" -> "joes pizza pasta"
+function normalizeName(name) {
+  return (name || '')
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['\u2019]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(word => word && !NAME_STOPWORDS.includes(word))
+    .join(' ');
+}
+
+// The last 10 digits, so "+1 201-555-0100" and "(201) 555-0100" match
+function normalizePhone(phone) {
+  const digits = (phone || '').replace(/\D/g, '');
+  return digits.length >= 10 ? digits.slice(-10) : null;
+}
+
+function normalizeDomain(website) {
+  const domain = websiteDomain(website);
+  if (!domain || SHARED_HOSTS.some(host => domain === host || domain.endsWith(`.${host}`))) return null;
+  return domain;
+}
+
+// Trigrams the way pg_trgm makes them: each word padded with two spaces in
+// front and one behind
+function trigrams(text) {
+  const result = new Set();
+  for (const word of text.split(' ').filter(Boolean)) {
+    const padded = `  ${word} `;
+    for (let i = 0; i < padded.length - 2; i++) result.add(padded.slice(i, i + 3));
+  }
+  return result;
+}
+
+// 0 to 1, like pg_trgm's similarity()
+function nameSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const x = trigrams(a);
+  const y = trigrams(b);
+  let shared = 0;
+  for (const trigram of x) if (y.has(trigram)) shared++;
+  return shared / (x.size + y.size - shared);
+}
+
+function formatDistance(meters) {
+  return meters < 1000 ? `${Math.round(meters)}m apart` : `${(meters / 1000).toFixed(1)}km apart`;
+}
+
+// { score, reasons, distance } for two business rows
+function scorePair(a, b) {
+  let score = 0;
+  const reasons = [];
+
+  const similarity = nameSimilarity(normalizeName(a.name), normalizeName(b.name));
+  if (similarity >= 0.3) {
+    score += Math.round(similarity * 50);
+    reasons.push(similarity === 1 ? 'Same name' : `Names ${Math.round(similarity * 100)}% alike`);
+  }
+
+  const phone = normalizePhone(a.phone);
+  if (phone && phone === normalizePhone(b.phone)) {
+    score += 25;
+    reasons.push('Same phone');
+  }
+
+  const domain = normalizeDomain(a.website);
+  if (domain && domain === normalizeDomain(b.website)) {
+    score += 20;
+    reasons.push(`Same website (${domain})`);
+  }
+
+  const distance = distanceMeters(a, b);
+  if (distance !== null) {
+    if (distance <= 50) score += 15;
+    else if (distance <= 200) score += 8;
+    reasons.push(formatDistance(distance));
+  }
+
+  return { score, reasons, distance };
+}
+
+// Keys two listings must share at least one of to be compared
+function blockingKeys(business) {
+  const keys = normalizeName(business.name).split(' ')
+    .filter(word => word.length >= 3)
+    .map(word => `name:${word}`);
+  const phone = normalizePhone(business.phone);
+  if (phone) keys.push(`phone:${phone}`);
+  const domain = normalizeDomain(business.website);
+  if (domain) keys.push(`site:${domain}`);
+  return [...new Set(keys)];
+}
+
+const PAIR_COLUMNS = `b.id, b.name, b.slug, b.status, b.phone, b.website, b.street, b.latitude, b.longitude,
+  b.google_place_id, b.created_at, m.name AS municipality_name`;
+
+// Candidate pairs scoring minScore or more, best first, without pairs that
+// were dismissed. Each pair is { a, b, score, reasons } with a.id < b.id.
+async function findCandidates(pool, { minScore = MIN_SCORE } = {}) {
+  const result = await pool.query(
+    `SELECT ${PAIR_COLUMNS}
+     FROM businesses b JOIN municipalities m ON m.id = b.municipality_id
+     WHERE b.status <> 'deleted'
+     ORDER BY b.id`
+  );
+  const dismissed = await pool.query('SELECT business_id, other_business_id FROM duplicate_dismissals');
+  const dismissedKeys = new Set(dismissed.rows.map(row => `${row.business_id}:${row.other_business_id}`));
+
+  const blocks = new Map();
+  for (const business of result.rows) {
+    for (const key of blockingKeys(business)) {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(business);
+    }
+  }
+
+  // Rows come ordered by id, so within a block a.id < b.id
+  const seen = new Set();
+  const pairs = [];
+  for (const [key, members] of blocks) {
+    if (key.startsWith('name:') && members.length > MAX_BLOCK_SIZE) continue;
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const pairKey = `${members[i].id}:${members[j].id}`;
+        if (seen.has(pairKey) || dismissedKeys.has(pairKey)) continue;
+        seen.add(pairKey);
+
+        const { score, reasons } = scorePair(members[i], members[j]);
+        if (score >= minScore) pairs.push({ a: members[i], b: members[j], score, reasons });
+      }
+    }
+  }
+
+  return pairs.sort((x, y) => y.score - x.score || x.a.id - y.a.id || x.b.id - y.b.id);
+}
+
+// Two live listings side by side for the merge page, or null if either is
+// missing or deleted
+async function getPair(pool, id, otherId) {
+  const result = await pool.query(
+    `SELECT b.*, m.name AS municipality_name
+     FROM businesses b JOIN municipalities m ON m.id = b.municipality_id
+     WHERE b.id = ANY($1) AND b.status <> 'deleted'
+     ORDER BY b.id`,
+    [[id, otherId]]
+  );
+  if (result.rows.length !== 2) return null;
+
+  const [a, b] = result.rows;
+  return { a, b, ...scorePair(a, b) };
+}
+
+// Remember that two listings aren't duplicates
+async function dismissPair(pool, id, otherId, adminUserId) {
+  await pool.query(
+    `INSERT INTO duplicate_dismissals (business_id, other_business_id, dismissed_by)
+     VALUES (LEAST($1::int, $2::int), GREATEST($1::int, $2::int), $3)
+     ON CONFLICT DO NOTHING`,
+    [id, otherId, adminUserId || null]
+  );
+}
+
+// Merge mergeId into keepId. choices maps a MERGE_FIELDS group to the id of
+// the listing whose values to use; other groups keep the kept listing's.
+// The kept listing is approved if either was. The merged listing keeps its
+// slug and google_place_id, so the scraper still recognises the place. Its
+// reviews, claims, reports, suggestions and open pending changes move to the
+// kept listing (an open change to a field the kept listing already has one
+// for is rejected). Logged as one audit batch, so it can be reverted from
+// the audit log - the moved rows stay where they are.
+// Returns { error } or { keepId }.
+async function mergeBusinesses(pool, actor, { keepId, mergeId, choices = {} }) {
+  if (!keepId || !mergeId || keepId === mergeId) {
+    return { error: 'Choose two different listings to merge' };
+  }
+
+  const groups = Object.keys(MERGE_FIELDS).filter(group => parseInt(choices[group]) === mergeId);
+  const sets = [
+    ...groups.flatMap(group => MERGE_FIELDS[group].columns).map(column => `${column} = m.${column}`),
+    "status = CASE WHEN 'approved' IN (k.status, m.status) THEN 'approved' ELSE k.status END",
+    'reviewed_at = COALESCE(k.reviewed_at, m.reviewed_at)',
+    'updated_at = NOW()'
+  ];
+
+  try {
+    await audit.auditBusinessChange(pool, {
+      actor,
+      action: 'merge',
+      businessIds: [keepId, mergeId],
+      details: { kept_id: keepId, merged_id: mergeId, fields: groups }
+    }, async client => {
+      // Checked under the row locks, so a concurrent delete or claim can't slip in
+      const pair = await client.query(
+        "SELECT id FROM businesses WHERE id = ANY($1) AND status <> 'deleted' FOR UPDATE",
+        [[keepId, mergeId]]
+      );
+      if (pair.rows.length !== 2) {
+        throw mergeRefused('Both listings must exist and not be deleted');
+      }
+      const claim = await client.query(
+        "SELECT 1 FROM business_claims WHERE business_id = $1 AND status = 'verified'",
+        [mergeId]
+      );
+      if (claim.rows.length > 0) {
+        throw mergeRefused('The listing being merged away has a verified owner - keep that listing instead, or revoke the claim first');
+      }
+
+      await client.query(
+        `UPDATE businesses k SET ${sets.join(', ')}
+         FROM businesses m WHERE k.id = $1 AND m.id = $2`,
+        [keepId, mergeId]
+      );
+      await client.query(
+        `UPDATE businesses SET status = 'deleted', deleted_at = NOW(), merged_into_id = $1, updated_at = NOW()
+         WHERE id = $2`,
+        [keepId, mergeId]
+      );
+
+      // One open change per business/field/source
+      await client.query(
+        `UPDATE pending_changes m SET status = 'rejected', resolved_at = NOW()
+         WHERE m.business_id = $2 AND m.status = 'pending'
+           AND EXISTS (SELECT 1 FROM pending_changes k
+                       WHERE k.business_id = $1 AND k.status = 'pending'
+                         AND k.field = m.field AND k.source = m.source)`,
+        [keepId, mergeId]
+      );
+      await client.query(
+        "UPDATE pending_changes SET business_id = $1 WHERE business_id = $2 AND status = 'pending'",
+        [keepId, mergeId]
+      );
+      for (const table of ['reviews', 'business_claims', 'business_reports', 'business_suggestions']) {
+        await client.query(`UPDATE ${table} SET business_id = $1 WHERE business_id = $2`, [keepId, mergeId]);
+      }
+    });
+  } catch (err) {
+    if (err.code === MERGE_REFUSED) return { error: err.message };
+    throw err;
+  }
+
+  return { keepId };
+}
+
+function mergeRefused(message) {
+  const error = new Error(message);
+  error.code = MERGE_REFUSED;
+  return error;
+}
+
+// The approved listing a merged-away slug now lives at, following merges of
+// merges. Returns { slug, municipality_id, municipality_slug } or null.
+async function findMergedTarget(pool, slug) {
+  const result = await pool.query(
+    `WITH RECURSIVE chain AS (
+       SELECT id, merged_into_id, status, 0 AS depth
+       FROM businesses WHERE slug = $1 AND merged_into_id IS NOT NULL
+       UNION ALL
+       SELECT b.id, b.merged_into_id, b.status, chain.depth + 1
+       FROM businesses b JOIN chain ON b.id = chain.merged_into_id
+       WHERE chain.depth < 10
+     )
+     SELECT b.slug, b.municipality_id, m.slug AS municipality_slug
+     FROM chain
+     JOIN businesses b ON b.id = chain.id
+     JOIN municipalities m ON m.id = b.municipality_id
+     WHERE chain.status = 'approved' AND chain.merged_into_id IS NULL
+     ORDER BY chain.depth
+     LIMIT 1`,
+    [slug]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  MIN_SCORE,
+  MERGE_FIELDS,
+  normalizeName,
+  normalizePhone,
+  nameSimilarity,
+  scorePair,
+  findCandidates,
+  getPair,
+  dismissPair,
+  mergeBusinesses,
+  findMergedTarget
+};
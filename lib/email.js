@@ -0,0 +1,14 @@
+// Email addresses as the admin sign-in, owner claims and the public forms
+// take them: trimmed and lower-cased, and checked the same way everywhere.
+// Columns holding an address are VARCHAR(255).
+const MAX_EMAIL_LENGTH = 255;
+
+function normalizeEmail(email) {
+  return (email || '').trim().toLowerCase();
+}
+
+function isValidEmail(email) {
+  return email.length <= MAX_EMAIL_LENGTH && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+module.exports = { normalizeEmail, isValidEmail };
@@ -0,0 +1,185 @@
+// Shared layer for calls to paid external APIs (Google Places, Anthropic).
+// withRetry retries rate limits (429), server errors (5xx) and network
+// failures with exponential backoff, honouring Retry-After. mapLimit runs work
+// with bounded parallelism. A budget caps the Google requests and AI tokens of
+// one run; going over throws an error with code BUDGET_EXCEEDED.
+//
+// Configuration (all optional):
+//   SCRAPE_CONCURRENCY          places worked on at once (default 3)
+//   SCRAPE_MAX_GOOGLE_REQUESTS  default per-run cap on Google requests (500)
+//   SCRAPE_MAX_AI_TOKENS        default per-run cap on AI tokens (200000)
+//   GOOGLE_SEARCH_COST, GOOGLE_DETAILS_COST, GOOGLE_PHOTO_COST
+//                               USD per 1000 requests (35, 20, 7)
+//   AI_INPUT_COST, AI_OUTPUT_COST
+//                               USD per million tokens (3, 15)
+
+const BUDGET_EXCEEDED = 'BUDGET_EXCEEDED';
+
+const MAX_RETRIES = 4;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30000;
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+const DEFAULT_CONCURRENCY = parseInt(process.env.SCRAPE_CONCURRENCY) || 3;
+const DEFAULT_MAX_GOOGLE_REQUESTS = parseInt(process.env.SCRAPE_MAX_GOOGLE_REQUESTS) || 500;
+const DEFAULT_MAX_AI_TOKENS = parseInt(process.env.SCRAPE_MAX_AI_TOKENS) || 200000;
+
+const PRICES = {
+  search: parseFloat(process.env.GOOGLE_SEARCH_COST) || 35,
+  details: parseFloat(process.env.GOOGLE_DETAILS_COST) || 20,
+  photo: parseFloat(process.env.GOOGLE_PHOTO_COST) || 7,
+  aiInput: parseFloat(process.env.AI_INPUT_COST) || 3,
+  aiOutput: parseFloat(process.env.AI_OUTPUT_COST) || 15
+};
+
+// HTTP status of an axios or Anthropic SDK error
+function errorStatus(error) {
+  return error.response?.status || error.status || null;
+}
+
+function isRetryable(error) {
+  const status = errorStatus(error);
+  if (status) return status === 429 || status >= 500;
+  return RETRYABLE_CODES.includes(error.code) || error.name === 'APIConnectionError' || error.name === 'APIConnectionTimeoutError';
+}
+
+// Seconds from a Retry-After header, if the error carries one
+function retryAfterMs(error) {
+  const headers = error.response?.headers || error.headers;
+  if (!headers) return null;
+  const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  const seconds = parseFloat(value);
+  return Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+// A short description of an API error, including Google's error body
+function describeError(error) {
+  const data = error.response?.data;
+  if (data && !Buffer.isBuffer(data)) return JSON.stringify(data);
+  return error.message;
+}
+
+// Call fn until it succeeds, it fails with an error that isn't worth
+// retrying, or the retries run out. The last error is thrown.
+async function withRetry(fn, { label = 'Request', log = console.log, retries = MAX_RETRIES, baseDelayMs = BASE_DELAY_MS } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (error.code === BUDGET_EXCEEDED || attempt >= retries || !isRetryable(error)) throw error;
+
+      const backoff = Math.min(baseDelayMs * 2 ** attempt, MAX_DELAY_MS);
+      const delay = retryAfterMs(error) ?? backoff / 2 + Math.random() * backoff / 2;
+      log(`  ⏳ ${label} failed (${errorStatus(error) || error.code || error.message}), retrying in ${(delay / 1000).toFixed(1)}s (${attempt + 1}/${retries})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Run fn over items with at most `limit` calls in flight. Results keep the
+// order of items.
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// USD cost of a number of requests and tokens
+function estimateCost({ searches = 0, details = 0, photos = 0, inputTokens = 0, outputTokens = 0 }) {
+  return (searches * PRICES.search + details * PRICES.details + photos * PRICES.photo) / 1000 +
+    (inputTokens * PRICES.aiInput + outputTokens * PRICES.aiOutput) / 1000000;
+}
+
+// Rough token count of a prompt
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function budgetError(message) {
+  const error = new Error(message);
+  error.code = BUDGET_EXCEEDED;
+  return error;
+}
+
+// Usage counters and caps for one run. A null cap means no limit.
+// AI calls reserve their worst case up front so parallel calls can't
+// overshoot the token cap, then settle with what the provider reports.
+function createBudget({ maxGoogleRequests = null, maxAiTokens = null } = {}) {
+  let reservedTokens = 0;
+
+  const budget = {
+    maxGoogleRequests,
+    maxAiTokens,
+    google: { search: 0, details: 0, photo: 0 },
+    aiInputTokens: 0,
+    aiOutputTokens: 0,
+
+    googleRequests() {
+      return budget.google.search + budget.google.details + budget.google.photo;
+    },
+
+    aiTokens() {
+      return budget.aiInputTokens + budget.aiOutputTokens;
+    },
+
+    // Count a Google request (kind: search, details or photo) before making it
+    useGoogle(kind) {
+      if (maxGoogleRequests && budget.googleRequests() >= maxGoogleRequests) {
+        throw budgetError(`Google request cap of ${maxGoogleRequests} reached`);
+      }
+      budget.google[kind]++;
+    },
+
+    reserveTokens(tokens) {
+      if (maxAiTokens && budget.aiTokens() + reservedTokens + tokens > maxAiTokens) {
+        throw budgetError(`AI token cap of ${maxAiTokens} reached`);
+      }
+      reservedTokens += tokens;
+      return tokens;
+    },
+
+    // usage is { inputTokens, outputTokens }, or null if the call failed
+    settleTokens(reserved, usage) {
+      reservedTokens -= reserved;
+      if (usage) {
+        budget.aiInputTokens += usage.inputTokens || 0;
+        budget.aiOutputTokens += usage.outputTokens || 0;
+      }
+    },
+
+    cost() {
+      return estimateCost({
+        searches: budget.google.search,
+        details: budget.google.details,
+        photos: budget.google.photo,
+        inputTokens: budget.aiInputTokens,
+        outputTokens: budget.aiOutputTokens
+      });
+    }
+  };
+  return budget;
+}
+
+module.exports = {
+  BUDGET_EXCEEDED,
+  DEFAULT_CONCURRENCY,
+  DEFAULT_MAX_GOOGLE_REQUESTS,
+  DEFAULT_MAX_AI_TOKENS,
+  PRICES,
+  errorStatus,
+  describeError,
+  withRetry,
+  mapLimit,
+  estimateCost,
+  estimateTokens,
+  createBudget
+};
@@ -0,0 +1,55 @@
+// Coordinates and distances: the "nearest" listing sort, the map's bounding
+// box queries and duplicate detection. Distances are great-circle
+// (haversine) distances in metres.
+const EARTH_RADIUS_METERS = 6371000;
+const METERS_PER_MILE = 1609.344;
+
+// Metres between two points (haversine), or null without coordinates
+function distanceMeters(a, b) {
+  const coords = [a.latitude, a.longitude, b.latitude, b.longitude].map(parseFloat);
+  if (coords.some(value => !Number.isFinite(value))) return null;
+
+  const [lat1, lng1, lat2, lng2] = coords.map(value => value * Math.PI / 180);
+  const h = Math.sin((lat2 - lat1) / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin((lng2 - lng1) / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+}
+
+// The same distance in SQL, from a point given as query placeholders ("$3",
+// "$4") to a business's latitude/longitude. NULL without coordinates.
+function distanceSql(latParam, lngParam) {
+  const lat = `${latParam}::float8`;
+  const lng = `${lngParam}::float8`;
+  return `(${2 * EARTH_RADIUS_METERS} * asin(LEAST(1, sqrt(
+    power(sin(radians(latitude - ${lat}) / 2), 2) +
+    cos(radians(${lat})) * cos(radians(latitude)) * power(sin(radians(longitude - ${lng}) / 2), 2)))))`;
+}
+
+// { latitude, longitude } from query string values, or null if either is
+// missing or out of range
+function parsePoint(lat, lng) {
+  const latitude = parseFloat(lat);
+  const longitude = parseFloat(lng);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+  return { latitude, longitude };
+}
+
+// { west, south, east, north } from a "west,south,east,north" bounding box
+// (the order Leaflet's toBBoxString uses), or null if it isn't one
+function parseBounds(bbox) {
+  const values = String(bbox || '').split(',').map(parseFloat);
+  if (values.length !== 4 || values.some(value => !Number.isFinite(value))) return null;
+
+  const [west, south, east, north] = values;
+  if (south > north || Math.abs(south) > 90 || Math.abs(north) > 90) return null;
+  return { west, south, east, north };
+}
+
+// "0.4 mi" for listing cards
+function formatDistance(meters) {
+  const miles = meters / METERS_PER_MILE;
+  if (miles < 0.1) return 'under 0.1 mi';
+  return `${miles < 10 ? miles.toFixed(1) : Math.round(miles)} mi`;
+}
+
+module.exports = { distanceMeters, distanceSql, parsePoint, parseBounds, formatDistance };
@@ -0,0 +1,234 @@
+// Opening hours.
+// Businesses store Google's `regularOpeningHours` as-is: a list of periods,
+// each with an open and close point ({ day, hour, minute }, day 0 = Sunday).
+// A period may run past midnight (close on the next day) and a period with no
+// close means open 24/7. All times are local to the directory's time zone.
+
+const TIME_ZONE = 'America/New_York';
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DISPLAY_ORDER = [1, 2, 3, 4, 5, 6, 0]; // Monday first
+
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+// Minutes since Sunday 00:00. Google leaves out zero fields.
+function pointToMinutes(point) {
+  return (point.day || 0) * MINUTES_PER_DAY + (point.hour || 0) * 60 + (point.minute || 0);
+}
+
+// Periods as { start, end } minute ranges; end may go past the end of the
+// week for spans over Saturday night
+function getIntervals(hours) {
+  const periods = (hours && Array.isArray(hours.periods)) ? hours.periods : [];
+  return periods
+    .filter(period => period.open)
+    .map(period => {
+      if (!period.close) {
+        return { start: 0, end: MINUTES_PER_WEEK, allWeek: true };
+      }
+      const start = pointToMinutes(period.open);
+      let end = pointToMinutes(period.close);
+      if (end <= start) end += MINUTES_PER_WEEK;
+      return { start, end, day: period.open.day || 0 };
+    })
+    .sort((a, b) => a.start - b.start);
+}
+
+// Current minute of the week in TIME_ZONE
+function localWeekMinute(date) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: TIME_ZONE,
+    weekday: 'long',
+    hour: 'numeric',
+    minute: 'numeric',
+    hourCycle: 'h23'
+  }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+
+  return DAY_NAMES.indexOf(parts.weekday) * MINUTES_PER_DAY
+    + parseInt(parts.hour) * 60
+    + parseInt(parts.minute);
+}
+
+function containsMinute(interval, minute) {
+  return (minute >= interval.start && minute < interval.end)
+    || (minute + MINUTES_PER_WEEK >= interval.start && minute + MINUTES_PER_WEEK < interval.end);
+}
+
+// "9 AM", "9:30 PM", "12 AM"
+function formatTime(minuteOfWeek) {
+  const minuteOfDay = ((minuteOfWeek % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const hour24 = Math.floor(minuteOfDay / 60);
+  const minute = minuteOfDay % 60;
+  const hour12 = hour24 % 12 === 0 ? 12 : hour24 % 12;
+  const suffix = hour24 < 12 ? 'AM' : 'PM';
+  return minute === 0 ? `${hour12} ${suffix}` : `${hour12}:${String(minute).padStart(2, '0')} ${suffix}`;
+}
+
+// "09:00" for schema.org
+function formatIsoTime(minuteOfWeek) {
+  const minuteOfDay = minuteOfWeek % MINUTES_PER_DAY;
+  return `${String(Math.floor(minuteOfDay / 60)).padStart(2, '0')}:${String(minuteOfDay % 60).padStart(2, '0')}`;
+}
+
+function isOpenAt(hours, date = new Date()) {
+  const minute = localWeekMinute(date);
+  return getIntervals(hours).some(interval => containsMinute(interval, minute));
+}
+
+// Badge data for cards: { isOpen, label } or null when hours are unknown.
+// e.g. "Open now · Closes at 9 PM", "Closed · Opens tomorrow at 8 AM"
+function getOpenStatus(hours, date = new Date()) {
+  const intervals = getIntervals(hours);
+  if (intervals.length === 0) return null;
+
+  if (intervals.some(interval => interval.allWeek)) {
+    return { isOpen: true, label: 'Open 24 hours' };
+  }
+
+  const minute = localWeekMinute(date);
+  const current = intervals.find(interval => containsMinute(interval, minute));
+  if (current) {
+    return { isOpen: true, label: `Open now · Closes at ${formatTime(current.end)}` };
+  }
+
+  // Next opening, counting forward from now (wrapping into next week)
+  const waits = intervals.map(interval => ((interval.start - minute) % MINUTES_PER_WEEK + MINUTES_PER_WEEK) % MINUTES_PER_WEEK);
+  const wait = Math.min(...waits);
+  const opensAt = minute + wait;
+  const daysAhead = Math.floor(opensAt / MINUTES_PER_DAY) - Math.floor(minute / MINUTES_PER_DAY);
+
+  let when;
+  if (daysAhead === 0) {
+    when = `at ${formatTime(opensAt)}`;
+  } else if (daysAhead === 1) {
+    when = `tomorrow at ${formatTime(opensAt)}`;
+  } else {
+    when = `${DAY_NAMES[Math.floor(opensAt / MINUTES_PER_DAY) % 7]} at ${formatTime(opensAt)}`;
+  }
+  return { isOpen: false, label: `Closed · Opens ${when}` };
+}
+
+// Monday-first weekly table: [{ day, isToday, hours: ['9 AM – 5 PM', ...] }].
+// Overnight spans are listed on the day they open.
+function getWeeklySchedule(hours, date = new Date()) {
+  const intervals = getIntervals(hours);
+  if (intervals.length === 0) return null;
+
+  const today = Math.floor(localWeekMinute(date) / MINUTES_PER_DAY);
+  const allWeek = intervals.some(interval => interval.allWeek);
+
+  return DISPLAY_ORDER.map(day => {
+    let dayHours;
+    if (allWeek) {
+      dayHours = ['Open 24 hours'];
+    } else {
+      dayHours = intervals
+        .filter(interval => interval.day === day)
+        .map(interval => (interval.end - interval.start === MINUTES_PER_DAY && interval.start % MINUTES_PER_DAY === 0)
+          ? 'Open 24 hours'
+          : `${formatTime(interval.start)} – ${formatTime(interval.end)}`);
+    }
+    return {
+      day: DAY_NAMES[day],
+      isToday: day === today,
+      hours: dayHours.length > 0 ? dayHours : ['Closed']
+    };
+  });
+}
+
+// schema.org OpeningHoursSpecification entries for LocalBusiness JSON-LD
+function toOpeningHoursSpecification(hours) {
+  const intervals = getIntervals(hours);
+  if (intervals.some(interval => interval.allWeek)) {
+    return [{
+      '@type': 'OpeningHoursSpecification',
+      dayOfWeek: DAY_NAMES,
+      opens: '00:00',
+      closes: '23:59'
+    }];
+  }
+  return intervals.map(interval => ({
+    '@type': 'OpeningHoursSpecification',
+    dayOfWeek: DAY_NAMES[interval.day],
+    opens: formatIsoTime(interval.start),
+    closes: formatIsoTime(interval.end)
+  }));
+}
+
+// "HH:MM" from a period point, for form inputs
+function pointToInput(point) {
+  return `${String(point.hour || 0).padStart(2, '0')}:${String(point.minute || 0).padStart(2, '0')}`;
+}
+
+// One { open, close } per day (index 0 = Sunday) for the hours forms,
+// or null for closed days. Days with split hours show the first period only.
+function toDailyHours(hours) {
+  const days = [null, null, null, null, null, null, null];
+  const periods = (hours && Array.isArray(hours.periods)) ? hours.periods : [];
+  for (const period of periods) {
+    if (!period.open) continue;
+    if (!period.close) return days.map(() => ({ open: '00:00', close: '00:00' }));
+    const day = period.open.day || 0;
+    if (!days[day]) {
+      days[day] = { open: pointToInput(period.open), close: pointToInput(period.close) };
+    }
+  }
+  return days;
+}
+
+// Build a regularOpeningHours-style object from the hours forms.
+// days[d] = { open: 'HH:MM', close: 'HH:MM' } or null when closed; a close at
+// or before the open time runs past midnight. Returns null if every day is closed.
+function buildOpeningHours(days) {
+  const periods = [];
+  const descriptions = {};
+
+  days.forEach((entry, day) => {
+    const open = entry && /^\d{2}:\d{2}$/.test(entry.open) ? entry.open.split(':').map(Number) : null;
+    const close = entry && /^\d{2}:\d{2}$/.test(entry.close) ? entry.close.split(':').map(Number) : null;
+    if (!open || !close) {
+      descriptions[day] = `${DAY_NAMES[day]}: Closed`;
+      return;
+    }
+
+    const openMinute = open[0] * 60 + open[1];
+    const closeMinute = close[0] * 60 + close[1];
+    const closeDay = closeMinute <= openMinute ? (day + 1) % 7 : day;
+    periods.push({
+      open: { day, hour: open[0], minute: open[1] },
+      close: { day: closeDay, hour: close[0], minute: close[1] }
+    });
+    descriptions[day] = closeMinute === openMinute
+      ? `${DAY_NAMES[day]}: Open 24 hours`
+      : `${DAY_NAMES[day]}: ${formatTime(openMinute)} – ${formatTime(closeMinute)}`;
+  });
+
+  if (periods.length === 0) return null;
+  return {
+    periods,
+    weekdayDescriptions: DISPLAY_ORDER.map(day => descriptions[day])
+  };
+}
+
+// The days array for buildOpeningHours from the hours form fields
+// (open_<day>, close_<day> and a closed_<day> checkbox)
+function readHoursForm(body) {
+  return DAY_NAMES.map((name, day) => (body[`closed_${day}`]
+    ? null
+    : { open: body[`open_${day}`] || '', close: body[`close_${day}`] || '' }));
+}
+
+module.exports = {
+  TIME_ZONE,
+  DAY_NAMES,
+  DISPLAY_ORDER,
+  isOpenAt,
+  getOpenStatus,
+  getWeeklySchedule,
+  toOpeningHoursSpecification,
+  toDailyHours,
+  buildOpeningHours,
+  readHoursForm
+};
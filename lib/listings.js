@@ -0,0 +1,157 @@
+// Filtering, sorting and paging for public business listings.
+// The homepage and the JSON API accept the same query parameters
+// (search, category, rating, price, open, sort, page), so both build on this.
+// The nearest sort needs the visitor's coordinates (lat, lng).
+const { buildSearch } = require('./search');
+const { TIME_ZONE } = require('./hours');
+const { distanceSql } = require('./geo');
+
+const SORT_OPTIONS = {
+  'name': 'name ASC',
+  'rating': 'rating DESC NULLS LAST',
+  'reviews': 'total_ratings DESC',
+  'newest': 'scraped_at DESC'
+};
+
+// Builds the WHERE/ORDER BY for approved businesses matching the filters.
+// filters: { municipalityId, search, category, rating, price, openNow, sort,
+//            near: { latitude, longitude }, bounds: { west, south, east, north } }
+function buildListingQuery(filters) {
+  const params = [];
+  const conditions = ["status = 'approved'"];
+
+  // Municipality scope (omitted = every municipality)
+  if (filters.municipalityId) {
+    params.push(filters.municipalityId);
+    conditions.push(`municipality_id = $${params.length}`);
+  }
+
+  // Search filter (full-text with fuzzy fallback, see lib/search.js)
+  const search = filters.search ? buildSearch(filters.search, params) : null;
+  if (search) {
+    conditions.push(search.condition);
+  }
+
+  // Category filter - a slug (or, for older links, a name) matching the
+  // category or its parent, so a parent category includes its subcategories
+  if (filters.category) {
+    params.push(filters.category);
+    conditions.push(`category_id IN (
+      SELECT c.id FROM categories c LEFT JOIN categories p ON p.id = c.parent_id
+      WHERE $${params.length} IN (c.slug, c.name, p.slug, p.name))`);
+  }
+
+  // Rating filter
+  const minRating = parseFloat(filters.rating);
+  if (!isNaN(minRating)) {
+    params.push(minRating);
+    conditions.push(`rating >= $${params.length}`);
+  }
+
+  // Price level filter
+  const priceLevel = parseInt(filters.price);
+  if (!isNaN(priceLevel)) {
+    params.push(priceLevel);
+    conditions.push(`price_level = $${params.length}`);
+  }
+
+  // Open now filter (business_is_open is defined in migrations/005_opening_hours.sql)
+  if (filters.openNow) {
+    params.push(TIME_ZONE);
+    conditions.push(`business_is_open(opening_hours, NOW(), $${params.length})`);
+  }
+
+  // Map viewport (see lib/geo.js parseBounds)
+  if (filters.bounds) {
+    const { west, south, east, north } = filters.bounds;
+    params.push(south, north, west, east);
+    conditions.push(`latitude BETWEEN $${params.length - 3} AND $${params.length - 2}`);
+    conditions.push(`longitude BETWEEN $${params.length - 1} AND $${params.length}`);
+  }
+
+  // Distance from the visitor, selected as distance_meters. Its parameters
+  // come after the WHERE ones and only go with the row query.
+  let distance = null;
+  const selectParams = [];
+  if (filters.near) {
+    selectParams.push(filters.near.latitude, filters.near.longitude);
+    distance = distanceSql(`$${params.length + 1}`, `$${params.length + 2}`);
+  }
+
+  // Sorting - relevance is only available (and the default) when searching,
+  // nearest only with the visitor's coordinates
+  const sortOptions = { ...SORT_OPTIONS };
+  if (search) {
+    sortOptions.relevance = 'rank DESC, name ASC';
+  }
+  if (distance) {
+    sortOptions.nearest = 'distance_meters ASC NULLS LAST, name ASC';
+  }
+  // hasOwn so ?sort=constructor and the like don't match Object.prototype
+  const sortBy = Object.hasOwn(sortOptions, filters.sort) ? filters.sort : (search ? 'relevance' : 'name');
+
+  return {
+    where: conditions.join(' AND '),
+    params,
+    selectParams,
+    search,
+    distance,
+    sortBy,
+    orderBy: sortOptions[sortBy]
+  };
+}
+
+function listingColumns(listing) {
+  const columns = ['*'];
+  if (listing.search) {
+    columns.push(`${listing.search.rank} AS rank`, `${listing.search.snippet} AS snippet`);
+  }
+  if (listing.distance) {
+    columns.push(`${listing.distance} AS distance_meters`);
+  }
+  return columns.join(', ');
+}
+
+// Runs a listing query for one page. Returns the rows plus what callers need
+// for pagination and cache headers.
+async function fetchListingPage(pool, listing, page, perPage) {
+  const currentPage = Math.max(parseInt(page) || 1, 1);
+
+  // Get total count first (for pagination)
+  const countResult = await pool.query(
+    `SELECT COUNT(*), MAX(updated_at) AS last_modified FROM businesses WHERE ${listing.where}`,
+    listing.params
+  );
+  const total = parseInt(countResult.rows[0].count);
+  const offset = (currentPage - 1) * perPage;
+
+  const result = await pool.query(
+    `SELECT ${listingColumns(listing)} FROM businesses WHERE ${listing.where}
+     ORDER BY ${listing.orderBy}
+     LIMIT ${perPage} OFFSET ${offset}`,
+    [...listing.params, ...listing.selectParams]
+  );
+
+  return {
+    rows: result.rows,
+    total,
+    page: currentPage,
+    perPage,
+    totalPages: Math.ceil(total / perPage),
+    lastModified: countResult.rows[0].last_modified
+  };
+}
+
+// Runs a listing query without paging, for pages that show every match (a
+// category) and the map. At most limit rows when given.
+async function fetchAllListings(pool, listing, limit = null) {
+  const result = await pool.query(
+    `SELECT ${listingColumns(listing)} FROM businesses WHERE ${listing.where}
+     ORDER BY ${listing.orderBy}
+     ${limit ? `LIMIT ${parseInt(limit)}` : ''}`,
+    [...listing.params, ...listing.selectParams]
+  );
+  return result.rows;
+}
+
+module.exports = { SORT_OPTIONS, buildListingQuery, fetchListingPage, fetchAllListings };
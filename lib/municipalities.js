@@ -0,0 +1,106 @@
+// Municipality lookup and request scoping.
+// Public pages are served for one municipality at a time, picked from a
+// `/:municipalitySlug/` path prefix, a matching subdomain, or DEFAULT_MUNICIPALITY.
+
+const DEFAULT_SLUG = process.env.DEFAULT_MUNICIPALITY || 'fair-lawn';
+const CACHE_TTL_MS = 60 * 1000;
+
+// Rows come with shared_zip_codes: their ZIP codes that another
+// municipality lists too (see lib/boundaries.js)
+const SELECT_MUNICIPALITIES = `
+  SELECT m.*, ARRAY(
+    SELECT DISTINCT zip FROM municipalities o, unnest(o.zip_codes) AS zip
+    WHERE o.id <> m.id AND zip = ANY(m.zip_codes)
+  ) AS shared_zip_codes
+  FROM municipalities m`;
+
+let cached = null;
+let cachedAt = 0;
+
+// All municipalities, cached briefly since the table rarely changes
+async function getMunicipalities(pool) {
+  if (!cached || Date.now() - cachedAt > CACHE_TTL_MS) {
+    const result = await pool.query(`${SELECT_MUNICIPALITIES} ORDER BY m.name`);
+    cached = result.rows;
+    cachedAt = Date.now();
+  }
+  return cached;
+}
+
+// A path on this site: one leading slash, not followed by another slash or a
+// backslash (which browsers read as the start of a host)
+function isLocalPath(url) {
+  return /^\/(?![\/\\])/.test(url);
+}
+
+// One municipality, read fresh (for scrape jobs and other location checks)
+async function getMunicipality(pool, municipalityId) {
+  const result = await pool.query(`${SELECT_MUNICIPALITIES} WHERE m.id = $1`, [municipalityId]);
+  return result.rows[0] || null;
+}
+
+function findBySlug(municipalities, slug) {
+  return municipalities.find(m => m.slug === slug) || null;
+}
+
+// Middleware: sets req.municipality plus res.locals.municipality and
+// res.locals.basePath (the prefix to put in front of every public link)
+function resolveMunicipality(pool) {
+  return async (req, res, next) => {
+    try {
+      const municipalities = await getMunicipalities(pool);
+      const prefixSlug = req.params.municipalitySlug;
+      let municipality;
+      let basePath = '';
+
+      if (prefixSlug) {
+        municipality = findBySlug(municipalities, prefixSlug);
+        if (!municipality) {
+          // Not a municipality (e.g. /admin) - let the rest of the app handle it
+          return next('router');
+        }
+        if (municipality.slug === DEFAULT_SLUG) {
+          // The default town lives at the root, keep a single URL per page.
+          // Leading slashes are collapsed so /fair-lawn//evil.com can't
+          // become a protocol-relative redirect to another host.
+          const rest = req.originalUrl.substring(prefixSlug.length + 1);
+          const target = '/' + rest.replace(/^[\/\\]+/, '');
+          return res.redirect(301, isLocalPath(target) ? target : '/');
+        }
+        basePath = `/${municipality.slug}`;
+      } else {
+        municipality = req.subdomains.map(sub => findBySlug(municipalities, sub)).find(Boolean)
+          || findBySlug(municipalities, DEFAULT_SLUG)
+          || municipalities[0];
+      }
+
+      if (!municipality) {
+        return res.status(500).send('No municipalities configured');
+      }
+
+      req.municipality = municipality;
+      res.locals.municipality = municipality;
+      res.locals.basePath = basePath;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+// A municipality's bounding box as { low, high } (each { latitude, longitude }),
+// or null if it hasn't been set
+function getBounds(municipality) {
+  const values = [municipality.min_latitude, municipality.min_longitude, municipality.max_latitude, municipality.max_longitude];
+  if (values.some(value => value === null || value === undefined)) return null;
+
+  const [minLat, minLng, maxLat, maxLng] = values.map(parseFloat);
+  return { low: { latitude: minLat, longitude: minLng }, high: { latitude: maxLat, longitude: maxLng } };
+}
+
+// The prefix of a municipality's public pages ('' for the default town)
+function basePathFor(municipality) {
+  return municipality.slug === DEFAULT_SLUG ? '' : `/${municipality.slug}`;
+}
+
+module.exports = { getMunicipalities, getMunicipality, resolveMunicipality, getBounds, basePathFor, DEFAULT_SLUG };
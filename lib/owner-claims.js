@@ -0,0 +1,409 @@
+// Business owner claims and self-service edits.
+// A claim is verified with a one-time code sent either to an email address at
+// the business's website domain or to its listed phone number (through
+// lib/code-sender.js). Verified owners sign in later with a code sent to
+// their email. Their edits are queued as pending changes (source 'owner')
+// and only go live once an admin accepts them.
+//
+// Codes cost money to send, so requests are limited per email, per IP and
+// (for claims) per business, and a business gets no new claim code while
+// one is still active.
+// Owners' photo uploads are limited per email too, as each one is a stored file.
+const crypto = require('crypto');
+const { sendMessage } = require('./code-sender');
+const { queueChange } = require('./pending-changes');
+const { hashIp, tooManySubmissions } = require('./public-forms');
+const { normalizeEmail, isValidEmail } = require('./email');
+const { savePhoto, deletePhoto } = require('./photos');
+
+const CODE_TTL_MINUTES = 15;
+const MAX_CODE_ATTEMPTS = 5;
+const MAX_CODES_PER_HOUR = 5;
+const CODE_LIMIT_PER_IP = { max: 10, hours: 24 };
+const CLAIM_CODE_LIMIT_PER_BUSINESS = { max: 3, hours: 24 };
+const PHOTO_UPLOAD_LIMIT = { max: 10, hours: 24 };
+
+// Fields owners can propose changes to
+const OWNER_FIELDS = ['description', 'phone', 'website', 'opening_hours', 'image_url'];
+
+// "joespizza.com" from "https://www.joespizza.com/menu"
+function websiteDomain(website) {
+  if (!website) return null;
+  try {
+    const url = new URL(/^https?:\/\//i.test(website) ? website : `https://${website}`);
+    return url.hostname.toLowerCase().replace(/^www\./, '') || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function emailMatchesDomain(email, domain) {
+  const emailDomain = email.split('@')[1] || '';
+  return emailDomain === domain || emailDomain.endsWith(`.${domain}`);
+}
+
+// "number ending in 4351" - enough for the owner to recognise it
+function maskPhone(phone) {
+  const digits = (phone || '').replace(/\D/g, '');
+  return digits.length >= 4 ? `number ending in ${digits.slice(-4)}` : 'listed phone number';
+}
+
+// Which verification methods a business supports
+function claimMethods(business) {
+  return {
+    email: websiteDomain(business.website),
+    phone: business.phone ? maskPhone(business.phone) : null
+  };
+}
+
+function hashCode(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+async function getVerifiedClaim(pool, businessId) {
+  const result = await pool.query(
+    "SELECT * FROM business_claims WHERE business_id = $1 AND status = 'verified'",
+    [businessId]
+  );
+  return result.rows[0] || null;
+}
+
+async function tooManyCodes(pool, email) {
+  const result = await pool.query(
+    "SELECT COUNT(*) FROM owner_codes WHERE email = $1 AND created_at > NOW() - INTERVAL '1 hour'",
+    [email]
+  );
+  return parseInt(result.rows[0].count) >= MAX_CODES_PER_HOUR;
+}
+
+// Claim codes sent for a business in the last `hours` hours, and whether one
+// of them can still be used
+async function businessCodeUsage(pool, businessId, hours) {
+  const result = await pool.query(
+    `SELECT COUNT(*)::int AS count,
+       COALESCE(BOOL_OR(o.used_at IS NULL AND o.expires_at > NOW()), FALSE) AS active
+     FROM owner_codes o JOIN business_claims c ON c.id = o.claim_id
+     WHERE c.business_id = $1 AND o.created_at > NOW() - make_interval(hours => $2)`,
+    [businessId, hours]
+  );
+  return result.rows[0];
+}
+
+// Store a fresh code (replacing any unused ones) and return it
+async function issueCode(pool, email, claimId, ipHash) {
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  await pool.query(
+    'UPDATE owner_codes SET used_at = NOW() WHERE email = $1 AND claim_id IS NOT DISTINCT FROM $2 AND used_at IS NULL',
+    [email, claimId]
+  );
+  await pool.query(
+    `INSERT INTO owner_codes (email, claim_id, code_hash, expires_at, ip_hash)
+     VALUES ($1, $2, $3, NOW() + make_interval(mins => $4), $5)`,
+    [email, claimId, hashCode(code), CODE_TTL_MINUTES, ipHash]
+  );
+  return code;
+}
+
+// Why a claim code can't be sent now, as { error } (with rateLimited when a
+// limit was hit), or null. Runs under the business's lock in createClaim so
+// parallel requests can't all pass.
+async function claimCodeBlocker(client, business, email, ipHash) {
+  if (await getVerifiedClaim(client, business.id)) {
+    return { error: 'This business has already been claimed. Contact us if you believe that is a mistake.' };
+  }
+  if (await tooManyCodes(client, email) || await tooManySubmissions(client, 'owner_codes', ipHash, CODE_LIMIT_PER_IP)) {
+    return { error: 'Too many codes requested. Please try again later.', rateLimited: true };
+  }
+  const usage = await businessCodeUsage(client, business.id, CLAIM_CODE_LIMIT_PER_BUSINESS.hours);
+  if (usage.active) {
+    return {
+      error: `A code for this business was sent in the last ${CODE_TTL_MINUTES} minutes. Use that code, or try again once it expires.`,
+      rateLimited: true
+    };
+  }
+  if (usage.count >= CLAIM_CODE_LIMIT_PER_BUSINESS.max) {
+    return { error: 'Too many codes have been requested for this business today. Please try again tomorrow.', rateLimited: true };
+  }
+  return null;
+}
+
+// Start a claim and send its verification code.
+// Returns { claim, sentTo } or { error } (with rateLimited when a limit was hit).
+async function createClaim(pool, business, { name, email, method }, ip) {
+  email = normalizeEmail(email);
+  if (!isValidEmail(email)) {
+    return { error: 'Enter a valid email address' };
+  }
+
+  const methods = claimMethods(business);
+  let message;
+  let sentTo;
+  if (method === 'email') {
+    if (!methods.email) {
+      return { error: 'This business has no website to verify an email address against' };
+    }
+    if (!emailMatchesDomain(email, methods.email)) {
+      return { error: `Use an email address at ${methods.email}, or verify by phone instead` };
+    }
+    message = { channel: 'email', to: email };
+    sentTo = email;
+  } else if (method === 'phone') {
+    if (!methods.phone) {
+      return { error: 'This business has no phone number to verify against' };
+    }
+    message = { channel: 'sms', to: business.phone };
+    sentTo = `the ${methods.phone}`;
+  } else {
+    return { error: 'Choose how to verify' };
+  }
+
+  const ipHash = hashIp(ip);
+  let claim;
+  let code;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // One claim request per business at a time (the key's first half keeps
+    // it apart from other advisory locks)
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('owner_claims'), $1)", [business.id]);
+    const blocker = await claimCodeBlocker(client, business, email, ipHash);
+    if (blocker) {
+      await client.query('ROLLBACK');
+      return blocker;
+    }
+
+    const result = await client.query(
+      `INSERT INTO business_claims (business_id, name, email, method)
+       VALUES ($1, $2, $3, $4) RETURNING *`,
+      [business.id, (name || '').trim().substring(0, 255) || null, email, method]
+    );
+    claim = result.rows[0];
+    code = await issueCode(client, email, claim.id, ipHash);
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  await sendMessage({
+    ...message,
+    subject: `Your code to claim ${business.name}`,
+    text: `Your verification code for claiming ${business.name} on the business directory is ${code}. It expires in ${CODE_TTL_MINUTES} minutes.`
+  });
+
+  return { claim, sentTo };
+}
+
+// Email a sign-in code if the address owns any listing. Says nothing about
+// whether it does, so the form can't be used to look up owners.
+async function startSignIn(pool, email, ip) {
+  email = normalizeEmail(email);
+  const ipHash = hashIp(ip);
+  if (!isValidEmail(email) || await tooManyCodes(pool, email) ||
+      await tooManySubmissions(pool, 'owner_codes', ipHash, CODE_LIMIT_PER_IP)) return;
+
+  const claims = await pool.query(
+    "SELECT 1 FROM business_claims WHERE email = $1 AND status = 'verified' LIMIT 1",
+    [email]
+  );
+  if (claims.rows.length === 0) return;
+
+  const code = await issueCode(pool, email, null, ipHash);
+  await sendMessage({
+    channel: 'email',
+    to: email,
+    subject: 'Your sign-in code',
+    text: `Your code to sign in and manage your business listing is ${code}. It expires in ${CODE_TTL_MINUTES} minutes.`
+  });
+}
+
+// Check a code for a claim (claimId set) or a sign-in. Verifies the claim
+// on success. Returns { email } or { error }.
+async function verifyCode(pool, email, claimId, code) {
+  const result = await pool.query(
+    `SELECT * FROM owner_codes
+     WHERE email = $1 AND claim_id IS NOT DISTINCT FROM $2 AND used_at IS NULL AND expires_at > NOW()
+     ORDER BY id DESC LIMIT 1`,
+    [email, claimId]
+  );
+  const stored = result.rows[0];
+  if (!stored) {
+    return { error: 'That code has expired. Request a new one.' };
+  }
+
+  if (stored.attempts >= MAX_CODE_ATTEMPTS) {
+    await pool.query('UPDATE owner_codes SET used_at = NOW() WHERE id = $1', [stored.id]);
+    return { error: 'Too many wrong attempts. Request a new code.' };
+  }
+
+  const expected = Buffer.from(stored.code_hash, 'hex');
+  const actual = Buffer.from(hashCode((code || '').replace(/\s/g, '')), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    await pool.query('UPDATE owner_codes SET attempts = attempts + 1 WHERE id = $1', [stored.id]);
+    return { error: 'That code is not right. Check it and try again.' };
+  }
+
+  await pool.query('UPDATE owner_codes SET used_at = NOW() WHERE id = $1', [stored.id]);
+
+  if (claimId) {
+    try {
+      const verified = await pool.query(
+        `UPDATE business_claims SET status = 'verified', verified_at = NOW()
+         WHERE id = $1 AND status = 'pending' RETURNING id`,
+        [claimId]
+      );
+      if (verified.rows.length === 0) {
+        return { error: 'This claim is no longer pending' };
+      }
+    } catch (err) {
+      // Someone else verified a claim on the same business first
+      if (err.code === '23505') {
+        return { error: 'This business has already been claimed' };
+      }
+      throw err;
+    }
+  }
+
+  return { email };
+}
+
+async function listOwnedBusinesses(pool, email) {
+  const result = await pool.query(
+    `SELECT b.*, c.id AS claim_id,
+       (SELECT COUNT(*) FROM pending_changes pc
+        WHERE pc.business_id = b.id AND pc.source = 'owner' AND pc.status = 'pending')::int AS pending_change_count
+     FROM business_claims c JOIN businesses b ON b.id = c.business_id
+     WHERE c.email = $1 AND c.status = 'verified' AND b.status <> 'deleted'
+     ORDER BY b.name`,
+    [email]
+  );
+  return result.rows;
+}
+
+// The business if this email has a verified claim on it, else null
+async function getOwnedBusiness(pool, email, businessId) {
+  const result = await pool.query(
+    `SELECT b.*, c.id AS claim_id
+     FROM business_claims c JOIN businesses b ON b.id = c.business_id
+     WHERE c.email = $1 AND c.status = 'verified' AND b.id = $2 AND b.status <> 'deleted'`,
+    [email, parseInt(businessId) || 0]
+  );
+  return result.rows[0] || null;
+}
+
+// Queue the fields that differ from the live listing.
+// Returns { queued, skipped } where skipped are values an admin already rejected.
+async function proposeChanges(pool, business, values) {
+  const queued = [];
+  const skipped = [];
+
+  for (const field of OWNER_FIELDS) {
+    if (!(field in values)) continue;
+    const oldValue = business[field] === undefined ? null : business[field];
+    const newValue = values[field];
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) continue;
+
+    if (await queueChange(pool, business.id, field, oldValue, newValue, 'owner', business.claim_id)) {
+      queued.push(field);
+    } else {
+      skipped.push(field);
+    }
+  }
+
+  return { queued, skipped };
+}
+
+// Store an owner's photo and queue it for review. Uploads are limited per
+// owner email, and files that end up unused (not queued, or replaced by this
+// upload before review) are deleted.
+// Returns { queued } or { error, rateLimited }.
+async function proposePhoto(pool, business, email, data) {
+  let imageUrl = null;
+  let replaced = null;
+  let result;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // One upload per owner at a time, so parallel uploads can't all pass the limit
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('owner_photo_uploads'), hashtext($1))", [email]);
+    const uploads = await client.query(
+      `SELECT COUNT(*)::int AS count FROM owner_photo_uploads
+       WHERE email = $1 AND created_at > NOW() - make_interval(hours => $2)`,
+      [email, PHOTO_UPLOAD_LIMIT.hours]
+    );
+    if (uploads.rows[0].count >= PHOTO_UPLOAD_LIMIT.max) {
+      await client.query('ROLLBACK');
+      return { error: 'You have uploaded several photos today. Please try again tomorrow.', rateLimited: true };
+    }
+    await client.query('INSERT INTO owner_photo_uploads (email, business_id) VALUES ($1, $2)', [email, business.id]);
+
+    const open = await client.query(
+      `SELECT new_value FROM pending_changes
+       WHERE business_id = $1 AND field = 'image_url' AND source = 'owner' AND status = 'pending'
+       FOR UPDATE`,
+      [business.id]
+    );
+    imageUrl = await savePhoto(business.slug, data);
+    result = await proposeChanges(client, business, { image_url: imageUrl });
+    if (result.queued.length > 0 && open.rows.length > 0) replaced = open.rows[0].new_value;
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    await deletePhoto(imageUrl);
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  if (result.queued.length === 0) await deletePhoto(imageUrl);
+  if (replaced && replaced !== business.image_url) await deletePhoto(replaced);
+  return { queued: result.queued };
+}
+
+// Recent owner proposals for the owner dashboard, open ones first
+async function listOwnerChanges(pool, businessId) {
+  const result = await pool.query(
+    `SELECT * FROM pending_changes
+     WHERE business_id = $1 AND source = 'owner'
+     ORDER BY (status = 'pending') DESC, id DESC
+     LIMIT 20`,
+    [businessId]
+  );
+  return result.rows;
+}
+
+async function listClaims(pool, businessId) {
+  const result = await pool.query(
+    "SELECT * FROM business_claims WHERE business_id = $1 AND status <> 'pending' ORDER BY id DESC",
+    [businessId]
+  );
+  return result.rows;
+}
+
+// Admin: take a listing away from its owner. Their open proposals stay queued.
+async function revokeClaim(pool, claimId) {
+  const result = await pool.query(
+    "UPDATE business_claims SET status = 'revoked' WHERE id = $1 AND status = 'verified' RETURNING *",
+    [claimId]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  OWNER_FIELDS,
+  websiteDomain,
+  claimMethods,
+  getVerifiedClaim,
+  createClaim,
+  startSignIn,
+  verifyCode,
+  listOwnedBusinesses,
+  getOwnedBusiness,
+  proposeChanges,
+  proposePhoto,
+  listOwnerChanges,
+  listClaims,
+  revokeClaim
+};
@@ -0,0 +1,100 @@
+// Field-level changes waiting for admin approval.
+// Each row proposes a new value for one column of one business; accepting it
+// writes the value to the business, rejecting it keeps the current value and
+// stops the same proposal from being queued again.
+
+// Columns a pending change is allowed to write
+const CHANGEABLE_FIELDS = ['phone', 'website', 'opening_hours', 'business_status', 'description', 'image_url'];
+
+const FIELD_LABELS = {
+  phone: 'Phone',
+  website: 'Website',
+  opening_hours: 'Opening Hours',
+  business_status: 'Business Status',
+  description: 'Description',
+  image_url: 'Photo'
+};
+
+// Queue a change unless the same value was already rejected. An open change
+// for the same field and source is replaced. Sources are 'google_refresh' and
+// 'owner' (with the owner's claimId). Returns true if queued.
+async function queueChange(pool, businessId, field, oldValue, newValue, source, claimId = null) {
+  if (!CHANGEABLE_FIELDS.includes(field)) {
+    throw new Error(`Field cannot be changed: ${field}`);
+  }
+
+  const rejected = await pool.query(
+    `SELECT 1 FROM pending_changes
+     WHERE business_id = $1 AND field = $2 AND status = 'rejected' AND new_value = $3::jsonb
+     LIMIT 1`,
+    [businessId, field, JSON.stringify(newValue)]
+  );
+  if (rejected.rows.length > 0) return false;
+
+  await pool.query(
+    `INSERT INTO pending_changes (business_id, field, old_value, new_value, source, claim_id)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (business_id, field, source) WHERE status = 'pending'
+     DO UPDATE SET old_value = EXCLUDED.old_value, new_value = EXCLUDED.new_value,
+       claim_id = EXCLUDED.claim_id, created_at = NOW()`,
+    [businessId, field, JSON.stringify(oldValue), JSON.stringify(newValue), source, claimId]
+  );
+  return true;
+}
+
+async function listChanges(pool, businessId) {
+  const result = await pool.query(
+    "SELECT * FROM pending_changes WHERE business_id = $1 AND status = 'pending' ORDER BY id",
+    [businessId]
+  );
+  return result.rows;
+}
+
+async function getChange(pool, changeId) {
+  const result = await pool.query('SELECT * FROM pending_changes WHERE id = $1', [changeId]);
+  return result.rows[0] || null;
+}
+
+// Apply a pending change to its business. Returns the change, or null if it
+// doesn't exist or was already resolved.
+async function acceptChange(pool, changeId) {
+  const result = await pool.query(
+    "SELECT * FROM pending_changes WHERE id = $1 AND status = 'pending'",
+    [changeId]
+  );
+  const change = result.rows[0];
+  if (!change) return null;
+
+  if (!CHANGEABLE_FIELDS.includes(change.field)) {
+    throw new Error(`Field cannot be changed: ${change.field}`);
+  }
+
+  // jsonb columns take the JSON itself; everything else takes the plain value
+  const value = change.field === 'opening_hours' && change.new_value !== null
+    ? JSON.stringify(change.new_value)
+    : change.new_value;
+
+  // A listing given a description no longer needs content
+  const needsContent = change.field === 'description' && value ? ', needs_content = FALSE' : '';
+  await pool.query(
+    `UPDATE businesses SET ${change.field} = $1${needsContent}, updated_at = NOW() WHERE id = $2`,
+    [value, change.business_id]
+  );
+  await pool.query(
+    "UPDATE pending_changes SET status = 'accepted', resolved_at = NOW() WHERE id = $1",
+    [change.id]
+  );
+  return change;
+}
+
+async function rejectChange(pool, changeId) {
+  const result = await pool.query(
+    `UPDATE pending_changes SET status = 'rejected', resolved_at = NOW()
+     WHERE id = $1 AND status = 'pending'
+     RETURNING *`,
+    [changeId]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = { CHANGEABLE_FIELDS, FIELD_LABELS, queueChange, listChanges, getChange, acceptChange, rejectChange };
@@ -0,0 +1,106 @@
+// Business photos.
+// Google's photo media URLs are signed and expire, so we download a copy
+// (Google resizes it to fit PHOTO_MAX_WIDTH x PHOTO_MAX_HEIGHT) and serve it
+// ourselves from PHOTO_URL_PATH. Admin uploads are stored the same way.
+// Set PHOTO_DIR to a persistent volume in production.
+const fs = require('fs/promises');
+const path = require('path');
+
+const PHOTO_DIR = process.env.PHOTO_DIR || path.join(__dirname, '..', 'public', 'uploads', 'businesses');
+const PHOTO_URL_PATH = '/uploads/businesses';
+const PHOTO_MAX_WIDTH = 800;
+const PHOTO_MAX_HEIGHT = 600;
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp'
+};
+
+function baseType(contentType) {
+  return (contentType || '').split(';')[0].trim();
+}
+
+// The image type the bytes themselves are (by their magic numbers), or null.
+// Content-Type headers come from the client, so they aren't trusted alone.
+function detectImageType(data) {
+  if (!Buffer.isBuffer(data)) return null;
+  if (data.length >= 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) return 'image/jpeg';
+  if (data.length >= 8 && data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (data.length >= 12 && data.toString('latin1', 0, 4) === 'RIFF' && data.toString('latin1', 8, 12) === 'WEBP') return 'image/webp';
+  return null;
+}
+
+// An upload we can store: sent as an image, and really a JPEG, PNG or WebP.
+// A mislabelled image is fine; it's stored as what it really is.
+function isSupportedImage(contentType, data) {
+  return Boolean(EXTENSIONS[baseType(contentType)]) && Boolean(detectImageType(data));
+}
+
+// Write image bytes under a name derived from the business slug and return
+// the public URL. The extension comes from the bytes, never from a header.
+// The timestamp keeps replaced photos from being served stale out of browser
+// caches.
+async function savePhoto(slug, data) {
+  const type = detectImageType(data);
+  if (!type) {
+    throw new Error('Not a JPEG, PNG or WebP image');
+  }
+
+  const safeSlug = (slug || 'business').replace(/[^a-z0-9-]/gi, '').substring(0, 80) || 'business';
+  const filename = `${safeSlug}-${Date.now()}${EXTENSIONS[type]}`;
+
+  await fs.mkdir(PHOTO_DIR, { recursive: true });
+  await fs.writeFile(path.join(PHOTO_DIR, filename), data);
+  return `${PHOTO_URL_PATH}/${filename}`;
+}
+
+// Remove a stored photo. URLs we didn't store (or already deleted files) are ignored.
+async function deletePhoto(imageUrl) {
+  if (!imageUrl || !imageUrl.startsWith(`${PHOTO_URL_PATH}/`)) return;
+
+  const filename = path.basename(imageUrl);
+  try {
+    await fs.unlink(path.join(PHOTO_DIR, filename));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error('Error deleting photo:', err.message);
+  }
+}
+
+// Download a Google Places photo and store it. Returns the URL or null.
+async function downloadPlacePhoto(scraper, photoReference, slug) {
+  if (!photoReference) return null;
+
+  const photo = await scraper.downloadPhoto(photoReference, PHOTO_MAX_WIDTH, PHOTO_MAX_HEIGHT);
+  if (!photo) return null;
+
+  try {
+    return await savePhoto(slug, photo.data);
+  } catch (err) {
+    console.error('Error saving photo:', err.message);
+    return null;
+  }
+}
+
+// Point a business at a new photo (or none). photoReference is only
+// overwritten when a new Google photo is given. The replaced file is kept so
+// the change can be reverted from the audit log.
+async function setBusinessPhoto(pool, business, imageUrl, photoReference = null) {
+  await pool.query(
+    `UPDATE businesses SET image_url = $1, photo_reference = COALESCE($2, photo_reference), updated_at = NOW()
+     WHERE id = $3`,
+    [imageUrl, photoReference, business.id]
+  );
+}
+
+module.exports = {
+  PHOTO_DIR,
+  PHOTO_URL_PATH,
+  MAX_UPLOAD_BYTES,
+  isSupportedImage,
+  savePhoto,
+  deletePhoto,
+  downloadPlacePhoto,
+  setBusinessPhoto
+};
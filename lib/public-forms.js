@@ -0,0 +1,54 @@
+// Spam protection shared by the anonymous public forms (reviews, business
+// suggestions and problem reports). Each form has a honeypot field that's
+// hidden from people, and a per-IP limit counted from the rows it created
+// (see insertWithinLimit). IPs are stored as a keyed hash, never as-is.
+const crypto = require('crypto');
+
+// Hidden from people by CSS; bots that fill in every field fill this too
+const HONEYPOT_FIELD = 'homepage';
+
+function isHoneypotFilled(fields) {
+  return Boolean(fields[HONEYPOT_FIELD]);
+}
+
+function hashIp(ip) {
+  return crypto.createHmac('sha256', process.env.SESSION_SECRET || '').update(ip || '').digest('hex');
+}
+
+// Whether ipHash already made `max` rows in `table` (which has ip_hash and
+// created_at columns) in the last `hours` hours
+async function tooManySubmissions(pool, table, ipHash, { max, hours }) {
+  const result = await pool.query(
+    `SELECT COUNT(*) FROM ${table}
+     WHERE ip_hash = $1 AND created_at > NOW() - make_interval(hours => $2)`,
+    [ipHash, hours]
+  );
+  return parseInt(result.rows[0].count) >= max;
+}
+
+// Run insert(client) in a transaction unless ipHash has hit `limit` on
+// `table` (see tooManySubmissions). The check and the insert happen under a
+// lock per table and IP, so parallel posts can't all pass the limit before
+// any of them is inserted.
+// Returns { rateLimited: true } or { result } with what insert returned.
+async function insertWithinLimit(pool, table, ipHash, limit, insert) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1), hashtext($2))', [table, ipHash]);
+    if (await tooManySubmissions(client, table, ipHash, limit)) {
+      await client.query('ROLLBACK');
+      return { rateLimited: true };
+    }
+    const result = await insert(client);
+    await client.query('COMMIT');
+    return { result };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { HONEYPOT_FIELD, isHoneypotFilled, hashIp, tooManySubmissions, insertWithinLimit };
@@ -0,0 +1,138 @@
+// Refreshing stored listings from Google Places.
+// Compares a fresh Place Details response with the stored row field by field.
+// Rating and review count change constantly and are safe to take as-is, so
+// they're applied straight away; contact details, hours and business status
+// are queued as pending changes for an admin to review. Listings that never
+// had a photo get Google's first one. The primary type is kept current too,
+// but the category only follows it when an admin re-categorises (see
+// lib/categories.js).
+const { queueChange } = require('./pending-changes');
+const { downloadPlacePhoto, setBusinessPhoto, deletePhoto } = require('./photos');
+const { normalizePhone } = require('./business-fields');
+
+// Keep only the stable parts of Google's regularOpeningHours - openNow and the
+// next open/close times change by the minute and would always show as a diff
+function normalizeHours(hours) {
+  if (!hours || (!hours.periods && !hours.weekdayDescriptions)) return null;
+  return {
+    periods: hours.periods || [],
+    weekdayDescriptions: hours.weekdayDescriptions || []
+  };
+}
+
+function normalizeText(value) {
+  const text = (value || '').trim();
+  return text === '' ? null : text;
+}
+
+// Stored phones are E.164; Google's national format is converted to match
+function normalizePhoneText(value) {
+  return normalizePhone(value) || normalizeText(value);
+}
+
+const REFRESH_FIELDS = [
+  { field: 'rating', auto: true, stored: b => b.rating, fetched: p => p.rating, normalize: v => (v === null || v === undefined ? null : parseFloat(v)) },
+  { field: 'total_ratings', auto: true, stored: b => b.total_ratings, fetched: p => p.userRatingCount, normalize: v => parseInt(v) || 0 },
+  { field: 'primary_type', auto: true, stored: b => b.primary_type, fetched: p => p.primaryType, normalize: normalizeText },
+  { field: 'phone', stored: b => b.phone, fetched: p => p.nationalPhoneNumber, normalize: normalizePhoneText },
+  { field: 'website', stored: b => b.website, fetched: p => p.websiteUri, normalize: normalizeText },
+  { field: 'opening_hours', stored: b => b.opening_hours, fetched: p => p.regularOpeningHours, normalize: normalizeHours },
+  { field: 'business_status', stored: b => b.business_status, fetched: p => p.businessStatus, normalize: normalizeText }
+];
+
+// Per-field differences between a stored business and a Place Details result
+function diffBusiness(business, place) {
+  const changes = [];
+  for (const spec of REFRESH_FIELDS) {
+    const oldValue = spec.normalize(spec.stored(business));
+    const newValue = spec.normalize(spec.fetched(place));
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ field: spec.field, oldValue, newValue, auto: !!spec.auto });
+    }
+  }
+  return changes;
+}
+
+// Google's side of a refresh: Place Details, plus the first photo for
+// listings that never had one. Nothing is written to the database, so this
+// runs before any transaction is opened. Returns null when Google didn't
+// return the place.
+async function fetchRefresh(scraper, business) {
+  const place = await scraper.getPlaceDetails(business.google_place_id);
+  if (!place) return null;
+
+  // photo_reference stays set after an admin removes a photo, so this only
+  // fills in listings that were never given one
+  const photoReference = place.photos?.[0]?.name;
+  let imageUrl = null;
+  if (photoReference && !business.photo_reference && !business.image_url) {
+    imageUrl = await downloadPlacePhoto(scraper, photoReference, business.slug);
+  }
+  return { place, photoReference, imageUrl };
+}
+
+// Apply and queue the differences between a fetched place and the business
+// as stored now (it's re-read, so a caller holding the row lock diffs
+// against current values). Returns { found, changes, applied, queued }.
+async function applyRefresh(pool, businessId, fetched) {
+  const result = await pool.query('SELECT * FROM businesses WHERE id = $1', [businessId]);
+  const business = result.rows[0];
+  if (!business) {
+    return { found: false, changes: [], applied: 0, queued: 0 };
+  }
+
+  const changes = diffBusiness(business, fetched.place);
+  const autoChanges = changes.filter(change => change.auto);
+
+  if (autoChanges.length > 0) {
+    const sets = autoChanges.map((change, i) => `${change.field} = $${i + 1}`);
+    await pool.query(
+      `UPDATE businesses SET ${sets.join(', ')}, last_refreshed_at = NOW(), updated_at = NOW()
+       WHERE id = $${autoChanges.length + 1}`,
+      [...autoChanges.map(change => change.newValue), business.id]
+    );
+  } else {
+    await pool.query('UPDATE businesses SET last_refreshed_at = NOW() WHERE id = $1', [business.id]);
+  }
+
+  // Skipped if a photo was added while the new one was downloading
+  if (fetched.imageUrl && !business.photo_reference && !business.image_url) {
+    await setBusinessPhoto(pool, business, fetched.imageUrl, fetched.photoReference);
+    changes.push({ field: 'image_url', oldValue: null, newValue: fetched.imageUrl, auto: true });
+  }
+
+  let queued = 0;
+  for (const change of changes.filter(c => !c.auto)) {
+    if (await queueChange(pool, business.id, change.field, change.oldValue, change.newValue, 'google_refresh')) {
+      queued++;
+    }
+  }
+
+  return { found: true, changes, applied: changes.filter(c => c.auto).length, queued };
+}
+
+// Re-fetch one business from Google and apply/queue the differences.
+// inTransaction(apply) runs the database step, e.g. inside
+// audit.auditBusinessChange; by default it's applied straight to the pool.
+// Returns { found, changes, applied, queued } - found is false when Google
+// didn't return the place.
+async function refreshBusiness(pool, scraper, business, inTransaction = apply => apply(pool)) {
+  const fetched = await fetchRefresh(scraper, business);
+  if (!fetched) {
+    return { found: false, changes: [], applied: 0, queued: 0 };
+  }
+
+  let outcome;
+  try {
+    outcome = await inTransaction(db => applyRefresh(db, business.id, fetched));
+  } catch (err) {
+    await deletePhoto(fetched.imageUrl);
+    throw err;
+  }
+  if (!outcome.changes.some(change => change.field === 'image_url')) {
+    await deletePhoto(fetched.imageUrl);
+  }
+  return outcome;
+}
+
+module.exports = { diffBusiness, refreshBusiness, normalizeHours };
@@ -0,0 +1,98 @@
+// Places the scraper turned away because they're outside the municipality
+// (see lib/boundaries.js). Admins can override a rejection from the dashboard,
+// which adds the place as a pending listing, or dismiss it.
+
+// Record (or refresh) a rejection. A place that was already overridden or
+// dismissed keeps its status.
+async function recordRejection(pool, { municipalityId, place, reason, jobId = null }) {
+  await pool.query(
+    `INSERT INTO rejected_places
+       (municipality_id, google_place_id, name, address, latitude, longitude, reason, place, scrape_job_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     ON CONFLICT (municipality_id, google_place_id) DO UPDATE SET
+       name = EXCLUDED.name, address = EXCLUDED.address,
+       latitude = EXCLUDED.latitude, longitude = EXCLUDED.longitude,
+       reason = EXCLUDED.reason, place = EXCLUDED.place,
+       scrape_job_id = EXCLUDED.scrape_job_id, last_seen_at = NOW()`,
+    [
+      municipalityId,
+      place.id,
+      (place.displayName?.text || 'Unknown').substring(0, 255),
+      place.formattedAddress || null,
+      place.location?.latitude ?? null,
+      place.location?.longitude ?? null,
+      reason,
+      JSON.stringify(place),
+      jobId
+    ]
+  );
+}
+
+// Open rejections, most recently seen first. Each row carries the total
+// number open as total_count.
+async function listPending(pool, limit = 50) {
+  const result = await pool.query(
+    `SELECT r.id, r.name, r.address, r.reason, r.last_seen_at, m.name AS municipality_name,
+       COUNT(*) OVER ()::int AS total_count
+     FROM rejected_places r JOIN municipalities m ON m.id = r.municipality_id
+     WHERE r.status = 'pending'
+     ORDER BY r.last_seen_at DESC, r.id DESC
+     LIMIT $1`,
+    [limit]
+  );
+  return result.rows;
+}
+
+async function getRejection(pool, rejectionId) {
+  const result = await pool.query('SELECT * FROM rejected_places WHERE id = $1', [rejectionId]);
+  return result.rows[0] || null;
+}
+
+// Take a pending rejection for overriding, before any work is spent on it,
+// so a double submit can't add the place twice. It's marked overridden
+// straight away; the listing is linked once it's saved (linkRejection), or
+// the claim is given back if that fails (releaseRejection). Returns the
+// rejection, or null if it wasn't pending.
+async function claimRejection(pool, rejectionId, adminUserId) {
+  const result = await pool.query(
+    `UPDATE rejected_places SET status = 'overridden', resolved_by = $1, resolved_at = NOW()
+     WHERE id = $2 AND status = 'pending'
+     RETURNING *`,
+    [adminUserId || null, rejectionId]
+  );
+  return result.rows[0] || null;
+}
+
+async function linkRejection(pool, rejectionId, businessId) {
+  await pool.query('UPDATE rejected_places SET business_id = $1 WHERE id = $2', [businessId, rejectionId]);
+}
+
+async function releaseRejection(pool, rejectionId) {
+  await pool.query(
+    `UPDATE rejected_places SET status = 'pending', resolved_by = NULL, resolved_at = NULL
+     WHERE id = $1 AND status = 'overridden' AND business_id IS NULL`,
+    [rejectionId]
+  );
+}
+
+// Mark a pending rejection overridden (with the listing it became) or
+// dismissed. Returns false if it wasn't pending.
+async function resolveRejection(pool, rejectionId, { status, adminUserId, businessId = null }) {
+  const result = await pool.query(
+    `UPDATE rejected_places SET status = $1, resolved_by = $2, business_id = $3, resolved_at = NOW()
+     WHERE id = $4 AND status = 'pending'
+     RETURNING id`,
+    [status, adminUserId || null, businessId, rejectionId]
+  );
+  return result.rows.length > 0;
+}
+
+module.exports = {
+  recordRejection,
+  listPending,
+  getRejection,
+  claimRejection,
+  linkRejection,
+  releaseRejection,
+  resolveRejection
+};
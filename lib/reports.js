@@ -0,0 +1,88 @@
+// Problems visitors report with a listing ("Report an issue" on business
+// pages). Reports wait in a queue on the admin dashboard; an admin fixes
+// the listing from its review form (which resolves the report when saved)
+// or dismisses the report.
+const { isHoneypotFilled, hashIp, insertWithinLimit } = require('./public-forms');
+const { normalizeEmail, isValidEmail } = require('./email');
+
+const REPORT_TYPES = {
+  closed: 'Closed for good',
+  wrong_hours: 'Wrong opening hours',
+  wrong_contact: 'Wrong phone, website or address',
+  duplicate: 'Duplicate listing'
+};
+
+const MAX_DETAILS_LENGTH = 2000;
+const REPORT_LIMIT = { max: 5, hours: 1 };
+
+// File a report. Returns { report }, { spam: true } for honeypot hits (to
+// be treated as a success) or { error } (with rateLimited when the IP has
+// hit its limit).
+async function createReport(pool, business, fields, ip) {
+  if (isHoneypotFilled(fields)) {
+    return { spam: true };
+  }
+
+  const type = fields.type;
+  const details = (fields.details || '').trim();
+  const email = normalizeEmail(fields.email);
+  if (!REPORT_TYPES[type]) {
+    return { error: 'Choose what is wrong with the listing' };
+  }
+  if (details.length > MAX_DETAILS_LENGTH) {
+    return { error: `Details can be at most ${MAX_DETAILS_LENGTH} characters` };
+  }
+  if (email && !isValidEmail(email)) {
+    return { error: 'Enter a valid email address, or leave it empty' };
+  }
+
+  const ipHash = hashIp(ip);
+  const { rateLimited, result } = await insertWithinLimit(pool, 'business_reports', ipHash, REPORT_LIMIT, client => client.query(
+    `INSERT INTO business_reports (business_id, type, details, email, ip_hash)
+     VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+    [business.id, type, details || null, email || null, ipHash]
+  ));
+  if (rateLimited) {
+    return { error: 'You have sent several reports recently. Please try again later.', rateLimited: true };
+  }
+  return { report: result.rows[0] };
+}
+
+// The open reports queue, oldest first. Each row carries the total number
+// open as total_count.
+async function listOpen(pool, limit = 50) {
+  const result = await pool.query(
+    `SELECT r.*, b.name AS business_name, b.status AS business_status,
+       COUNT(*) OVER ()::int AS total_count
+     FROM business_reports r JOIN businesses b ON b.id = r.business_id
+     WHERE r.status = 'open'
+     ORDER BY r.created_at, r.id
+     LIMIT $1`,
+    [limit]
+  );
+  return result.rows;
+}
+
+// Open reports about one business, oldest first
+async function listOpenForBusiness(pool, businessId) {
+  const result = await pool.query(
+    "SELECT * FROM business_reports WHERE business_id = $1 AND status = 'open' ORDER BY created_at, id",
+    [businessId]
+  );
+  return result.rows;
+}
+
+// Mark an open report resolved or dismissed. With businessId, only a report
+// about that business is touched. Returns the report, or null if there was
+// no such open report.
+async function closeReport(pool, reportId, { status, adminUserId, businessId = null }) {
+  const result = await pool.query(
+    `UPDATE business_reports SET status = $1, resolved_by = $2, resolved_at = NOW()
+     WHERE id = $3 AND status = 'open' AND ($4::int IS NULL OR business_id = $4)
+     RETURNING *`,
+    [status, adminUserId || null, reportId, businessId]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = { REPORT_TYPES, createReport, listOpen, listOpenForBusiness, closeReport };
@@ -0,0 +1,116 @@
+// Community reviews left on business pages.
+// Anyone can submit a star rating and a short review; it stays pending until
+// an admin approves it from the dashboard, and only approved reviews are
+// shown or counted in the local rating. Spam is kept down by the honeypot
+// and per-IP limit from lib/public-forms.js.
+const { isHoneypotFilled, hashIp, insertWithinLimit } = require('./public-forms');
+
+const MAX_NAME_LENGTH = 100;
+const MIN_BODY_LENGTH = 10;
+const MAX_BODY_LENGTH = 2000;
+
+// Per-IP limit on submissions, whichever businesses they're for
+const REVIEW_LIMIT = { max: 3, hours: 1 };
+
+// Approved reviews shown on a business page (and in its JSON-LD)
+const REVIEWS_PER_PAGE = 20;
+
+// Queue a review for moderation. fields is the submitted form.
+// Returns { review }, { spam: true } for honeypot hits (to be treated as a
+// success, so bots learn nothing) or { error } (with rateLimited when the IP
+// has hit its limit).
+async function submitReview(pool, business, fields, ip) {
+  if (isHoneypotFilled(fields)) {
+    return { spam: true };
+  }
+
+  const rating = parseInt(fields.rating);
+  const authorName = (fields.author_name || '').trim();
+  const body = (fields.body || '').trim();
+  if (!(rating >= 1 && rating <= 5)) {
+    return { error: 'Choose a rating from 1 to 5 stars' };
+  }
+  if (!authorName) {
+    return { error: 'Enter your name' };
+  }
+  if (authorName.length > MAX_NAME_LENGTH) {
+    return { error: `Your name can be at most ${MAX_NAME_LENGTH} characters` };
+  }
+  if (body.length < MIN_BODY_LENGTH) {
+    return { error: `Your review needs at least ${MIN_BODY_LENGTH} characters` };
+  }
+  if (body.length > MAX_BODY_LENGTH) {
+    return { error: `Your review can be at most ${MAX_BODY_LENGTH} characters` };
+  }
+
+  const ipHash = hashIp(ip);
+  const { rateLimited, result } = await insertWithinLimit(pool, 'reviews', ipHash, REVIEW_LIMIT, client => client.query(
+    `INSERT INTO reviews (business_id, rating, author_name, body, ip_hash)
+     VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+    [business.id, rating, authorName, body, ipHash]
+  ));
+  if (rateLimited) {
+    return { error: 'You have sent several reviews recently. Please try again later.', rateLimited: true };
+  }
+  return { review: result.rows[0] };
+}
+
+// Approved reviews of a business, newest first (all of them with a null limit)
+async function listApproved(pool, businessId, limit = REVIEWS_PER_PAGE) {
+  const result = await pool.query(
+    `SELECT id, rating, author_name, body, created_at FROM reviews
+     WHERE business_id = $1 AND status = 'approved'
+     ORDER BY created_at DESC, id DESC
+     LIMIT $2`,
+    [businessId, limit]
+  );
+  return result.rows;
+}
+
+// The local rating: { rating, count } over every approved review, rating
+// rounded to one decimal (null without reviews)
+async function getSummary(pool, businessId) {
+  const result = await pool.query(
+    `SELECT ROUND(AVG(rating), 1) AS rating, COUNT(*)::int AS count
+     FROM reviews WHERE business_id = $1 AND status = 'approved'`,
+    [businessId]
+  );
+  const row = result.rows[0];
+  return { rating: row.rating === null ? null : parseFloat(row.rating), count: row.count };
+}
+
+// The moderation queue, oldest first. Each row carries the total number
+// waiting as total_count.
+async function listPending(pool, limit = 50) {
+  const result = await pool.query(
+    `SELECT r.id, r.business_id, r.rating, r.author_name, r.body, r.created_at,
+       b.name AS business_name, COUNT(*) OVER ()::int AS total_count
+     FROM reviews r JOIN businesses b ON b.id = r.business_id
+     WHERE r.status = 'pending'
+     ORDER BY r.created_at, r.id
+     LIMIT $1`,
+    [limit]
+  );
+  return result.rows;
+}
+
+// Approve or reject a pending review, or take down an approved one.
+// Returns the review, or null if it wasn't in a state that allows that.
+async function moderateReview(pool, reviewId, { status, adminUserId }) {
+  const from = status === 'approved' ? ['pending'] : ['pending', 'approved'];
+  const result = await pool.query(
+    `UPDATE reviews SET status = $1, moderated_by = $2, moderated_at = NOW()
+     WHERE id = $3 AND status = ANY($4)
+     RETURNING *`,
+    [status, adminUserId || null, reviewId, from]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  submitReview,
+  listApproved,
+  getSummary,
+  listPending,
+  moderateReview
+};
@@ -0,0 +1,470 @@
+// Scrape job queue.
+// POST /admin/scrape only records a job; a worker running inside the server
+// process picks queued jobs up one at a time, saves businesses as they are
+// processed and writes progress back to the scrape_jobs row so the admin
+// progress page can poll it. Cancelling sets a flag the worker checks between
+// places.
+//
+// Jobs come in two modes: "search" finds new businesses by type, "refresh"
+// re-fetches the municipality's existing listings (see lib/refresh.js).
+//
+// Several server instances can share the queue. The instance running a job
+// keeps its heartbeat_at fresh, and any instance marks a running job failed
+// once its heartbeat is STALE_AFTER_MS old (its server stopped or crashed).
+//
+// Each job has a budget (lib/external-calls.js): caps on Google requests and
+// AI tokens chosen when it's queued. Reaching a cap ends the job early.
+// Search jobs also choose how many result pages to follow and, optionally, a
+// grid size for searching the municipality cell by cell.
+const BusinessScraper = require('../routes/scraper');
+const { getBounds, getMunicipality } = require('./municipalities');
+const { refreshBusiness } = require('./refresh');
+const { deletePhoto } = require('./photos');
+const { recordRejection } = require('./rejected-places');
+const aiContent = require('./ai-content');
+const audit = require('./audit');
+const {
+  BUDGET_EXCEEDED, DEFAULT_CONCURRENCY, DEFAULT_MAX_GOOGLE_REQUESTS, DEFAULT_MAX_AI_TOKENS,
+  createBudget, estimateCost, mapLimit
+} = require('./external-calls');
+
+const MAX_PAGES = 5;
+const MAX_GRID_SIZE = 6;
+const POLL_INTERVAL_MS = 5000;
+const HEARTBEAT_INTERVAL_MS = 15000;
+const STALE_AFTER_MS = 2 * 60 * 1000;
+const LOG_LIMIT = 200;
+
+let working = false;
+
+// Worst-case usage and cost of a job before it runs. Search jobs assume every
+// page of every search (one per grid cell) is full of new places, each with
+// a photo and AI content; refresh jobs make one details request per listing.
+async function estimateJob(pool, mode, { typeCount = 0, listingCount = 0, maxPages = 1, gridSize = null } = {}) {
+  if (mode === 'refresh') {
+    return { googleRequests: listingCount, aiTokens: 0, cost: estimateCost({ details: listingCount }) };
+  }
+
+  const searches = typeCount * maxPages * (gridSize || 1) ** 2;
+  const places = searches * BusinessScraper.PAGE_SIZE;
+  const perBusiness = await aiContent.estimateBusinessTokens(pool);
+  const usage = {
+    searches,
+    photos: places,
+    inputTokens: places * perBusiness.inputTokens,
+    outputTokens: places * perBusiness.outputTokens
+  };
+  return {
+    googleRequests: usage.searches + usage.photos,
+    aiTokens: usage.inputTokens + usage.outputTokens,
+    cost: estimateCost(usage)
+  };
+}
+
+// Listings a refresh job would fetch, per municipality id
+async function countRefreshListings(pool) {
+  const result = await pool.query(
+    `SELECT municipality_id, COUNT(*)::int AS count FROM businesses
+     WHERE google_place_id IS NOT NULL AND status IN ('pending', 'approved')
+     GROUP BY municipality_id`
+  );
+  return Object.fromEntries(result.rows.map(row => [row.municipality_id, row.count]));
+}
+
+// Queue a new job and wake the worker. Refresh jobs take no business types.
+// options is { maxGoogleRequests, maxAiTokens, maxPages, gridSize }; missing
+// caps and page limits use the defaults, a missing grid size means no grid.
+async function createJob(pool, municipalityId, businessTypes, mode = 'search', options = {}) {
+  const typeProgress = {};
+  for (const type of businessTypes) {
+    typeProgress[type] = { status: 'pending', found: 0, processed: 0, saved: 0, skipped: 0, errors: 0 };
+  }
+
+  const maxPages = options.maxPages || BusinessScraper.DEFAULT_MAX_PAGES;
+  const gridSize = options.gridSize || null;
+  const listingCount = mode === 'refresh' ? (await countRefreshListings(pool))[municipalityId] || 0 : 0;
+  const estimate = await estimateJob(pool, mode, { typeCount: businessTypes.length, listingCount, maxPages, gridSize });
+
+  const result = await pool.query(
+    `INSERT INTO scrape_jobs (municipality_id, business_types, type_progress, mode,
+       max_google_requests, max_ai_tokens, estimated_cost, max_pages, grid_size)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+    [
+      municipalityId, businessTypes, JSON.stringify(typeProgress), mode,
+      options.maxGoogleRequests || DEFAULT_MAX_GOOGLE_REQUESTS,
+      options.maxAiTokens || DEFAULT_MAX_AI_TOKENS,
+      estimate.cost, maxPages, gridSize
+    ]
+  );
+
+  setImmediate(() => runNextJob(pool));
+  return result.rows[0];
+}
+
+async function getJob(pool, jobId) {
+  const result = await pool.query(
+    `SELECT j.*, m.name AS municipality_name, m.state AS municipality_state
+     FROM scrape_jobs j JOIN municipalities m ON m.id = j.municipality_id
+     WHERE j.id = $1`,
+    [jobId]
+  );
+  return result.rows[0] || null;
+}
+
+async function listRecentJobs(pool, limit = 10) {
+  const result = await pool.query(
+    `SELECT j.*, m.name AS municipality_name
+     FROM scrape_jobs j JOIN municipalities m ON m.id = j.municipality_id
+     ORDER BY j.id DESC LIMIT $1`,
+    [limit]
+  );
+  return result.rows;
+}
+
+// Queued jobs are cancelled straight away; running ones stop at the next place
+async function cancelJob(pool, jobId) {
+  await pool.query(
+    `UPDATE scrape_jobs SET
+       status = CASE WHEN status = 'queued' THEN 'cancelled' ELSE status END,
+       finished_at = CASE WHEN status = 'queued' THEN NOW() ELSE finished_at END,
+       cancel_requested = TRUE, updated_at = NOW()
+     WHERE id = $1 AND status IN ('queued', 'running')`,
+    [jobId]
+  );
+}
+
+// Save a business built by the scraper. Returns its id, which can be taken
+// up front (business.id) so an audit log entry can name it.
+async function insertBusiness(pool, business, municipalityId) {
+  const result = await pool.query(
+    `INSERT INTO businesses (
+      id, google_place_id, name, slug, category, category_id, subcategory, primary_type,
+      description, ai_generated_description, ai_model, ai_generated_at,
+      street, city, state, zip, phone, website, google_maps_url,
+      latitude, longitude, rating, total_ratings, price_level,
+      opening_hours, business_status, image_url, photo_reference,
+      keywords, needs_content, status, scraped_at, municipality_id
+    ) VALUES (COALESCE($33::int, nextval(pg_get_serial_sequence('businesses', 'id'))),
+      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30, $31, $32)
+    RETURNING id`,
+    [
+      business.google_place_id, business.name, business.slug,
+      business.category, business.category_id, business.subcategory,
+      business.primary_type, business.description, business.ai_generated_description,
+      business.ai_model, business.ai_generated_description ? business.scraped_at : null,
+      business.street, business.city, business.state, business.zip,
+      business.phone, business.website, business.google_maps_url,
+      business.latitude, business.longitude, business.rating,
+      business.total_ratings, business.price_level,
+      JSON.stringify(business.opening_hours), business.business_status,
+      business.image_url, business.photo_reference, business.keywords,
+      business.needs_content, business.status, business.scraped_at, municipalityId,
+      business.id || null
+    ]
+  );
+  return result.rows[0].id;
+}
+
+// Claim the oldest queued job (SKIP LOCKED keeps two server instances from
+// taking the same one)
+async function claimNextJob(pool) {
+  const result = await pool.query(
+    `UPDATE scrape_jobs SET status = 'running', started_at = NOW(), heartbeat_at = NOW(), updated_at = NOW()
+     WHERE id = (
+       SELECT id FROM scrape_jobs WHERE status = 'queued'
+       ORDER BY id FOR UPDATE SKIP LOCKED LIMIT 1
+     )
+     RETURNING *`
+  );
+  return result.rows[0] || null;
+}
+
+// Progress bookkeeping shared by both job modes: counters, the budget, the
+// recent log and a cancel flag refreshed every time progress is written
+function createTracker(pool, job) {
+  const tracker = {
+    progress: job.type_progress,
+    totals: { found: 0, saved: 0, skipped: 0, errors: 0, changesQueued: 0, needsContent: 0 },
+    budget: createBudget({ maxGoogleRequests: job.max_google_requests, maxAiTokens: job.max_ai_tokens }),
+    log: [],
+    currentType: null,
+    cancelled: false,
+    stopReason: null, // set when a budget cap ends the job early
+
+    addLog(message) {
+      console.log(`[scrape job ${job.id}] ${message}`);
+      tracker.log.push({ at: new Date().toISOString(), message: message.trim() });
+      if (tracker.log.length > LOG_LIMIT) tracker.log.shift();
+    },
+
+    // Write progress back and pick up a cancel request in the same round trip
+    async save() {
+      const { totals, budget } = tracker;
+      const result = await pool.query(
+        `UPDATE scrape_jobs SET
+           type_progress = $1, current_type = $2, found = $3, saved = $4,
+           skipped = $5, errors = $6, changes_queued = $7, log = $8,
+           google_requests = $9, ai_input_tokens = $10, ai_output_tokens = $11, cost = $12,
+           needs_content = $13, updated_at = NOW()
+         WHERE id = $14
+         RETURNING cancel_requested`,
+        [
+          JSON.stringify(tracker.progress), tracker.currentType, totals.found, totals.saved,
+          totals.skipped, totals.errors, totals.changesQueued, JSON.stringify(tracker.log),
+          budget.googleRequests(), budget.aiInputTokens, budget.aiOutputTokens, budget.cost(),
+          totals.needsContent, job.id
+        ]
+      );
+      tracker.cancelled = result.rows[0].cancel_requested;
+    },
+
+    stop(error) {
+      if (!tracker.stopReason) {
+        tracker.stopReason = error.message;
+        tracker.addLog(`💸 ${error.message} - stopping early`);
+      }
+    }
+  };
+  return tracker;
+}
+
+// Places outside the municipality are recorded for admins to review
+function createScraper(pool, job, municipality, tracker) {
+  return new BusinessScraper(
+    process.env.GOOGLE_PLACES_API_KEY,
+    municipality,
+    {
+      log: tracker.addLog,
+      budget: tracker.budget,
+      concurrency: DEFAULT_CONCURRENCY,
+      maxPages: job.max_pages,
+      gridSize: job.grid_size,
+      bounds: getBounds(municipality),
+      onReject: (place, reason) => recordRejection(pool, { municipalityId: municipality.id, place, reason, jobId: job.id })
+    }
+  );
+}
+
+// Search mode: find businesses by type and save the new ones
+async function runSearchJob(pool, job, municipality, tracker) {
+  const { progress, totals } = tracker;
+  const scraper = createScraper(pool, job, municipality, tracker);
+
+  const finishCurrentType = () => {
+    if (tracker.currentType && progress[tracker.currentType]) progress[tracker.currentType].status = 'done';
+  };
+
+  try {
+    await scraper.scrapeBusinessesByTypes(job.business_types, pool, {
+      shouldStop: () => tracker.cancelled,
+
+      onTypeStart: async (type, places) => {
+        finishCurrentType();
+        tracker.currentType = type;
+        progress[type].status = 'processing';
+        progress[type].found = places.length;
+        totals.found += places.length;
+        await tracker.save();
+      },
+
+      onTypeError: async type => {
+        finishCurrentType();
+        tracker.currentType = null;
+        progress[type].status = 'failed';
+        progress[type].errors++;
+        totals.errors++;
+        await tracker.save();
+      },
+
+      onPlace: async (type, place, business, error) => {
+        const counts = progress[type];
+        counts.processed++;
+
+        if (error) {
+          counts.errors++;
+          totals.errors++;
+        } else if (business === null) {
+          counts.skipped++;
+          totals.skipped++;
+        } else {
+          try {
+            await insertBusiness(pool, business, municipality.id);
+            counts.saved++;
+            totals.saved++;
+            if (business.needs_content) totals.needsContent++;
+            tracker.addLog(`  💾 Saved: ${business.name}${business.needs_content ? ' (needs content)' : ''}`);
+          } catch (err) {
+            counts.errors++;
+            totals.errors++;
+            tracker.addLog(`  ⚠️  Error saving ${business.name}: ${err.message}`);
+            await deletePhoto(business.image_url);
+          }
+        }
+
+        await tracker.save();
+      }
+    });
+  } catch (err) {
+    if (err.code !== BUDGET_EXCEEDED) throw err;
+    tracker.stop(err);
+  }
+
+  const current = tracker.currentType && progress[tracker.currentType];
+  if (current && !tracker.cancelled) {
+    current.status = current.processed < current.found ? 'stopped' : 'done';
+  }
+}
+
+// Refresh mode: re-fetch every listing we have a place id for, least
+// recently refreshed first. "saved" counts updated listings, "skipped"
+// unchanged ones.
+async function runRefreshJob(pool, job, municipality, tracker) {
+  const { totals } = tracker;
+  const scraper = createScraper(pool, job, municipality, tracker);
+
+  const result = await pool.query(
+    `SELECT * FROM businesses
+     WHERE municipality_id = $1 AND google_place_id IS NOT NULL AND status IN ('pending', 'approved')
+     ORDER BY last_refreshed_at NULLS FIRST, id`,
+    [municipality.id]
+  );
+  totals.found = result.rows.length;
+  tracker.addLog(`🔄 Refreshing ${result.rows.length} listings...`);
+  await tracker.save();
+
+  await mapLimit(result.rows, scraper.concurrency, async business => {
+    if (tracker.cancelled || tracker.stopReason) return;
+
+    try {
+      // Audited like a refresh from the review page, minus the listings
+      // Google had nothing new for
+      const outcome = await refreshBusiness(pool, scraper, business, apply => audit.auditBusinessChange(pool, {
+        actor: null,
+        action: 'refresh',
+        businessIds: [business.id],
+        skipUnchanged: true
+      }, apply));
+      if (!outcome.found) {
+        totals.errors++;
+      } else if (outcome.changes.length === 0) {
+        totals.skipped++;
+      } else {
+        totals.saved++;
+        totals.changesQueued += outcome.queued;
+        const fields = outcome.changes.map(change => change.field).join(', ');
+        tracker.addLog(`  🔄 ${business.name}: ${fields} changed (${outcome.applied} applied, ${outcome.queued} queued for review)`);
+      }
+    } catch (err) {
+      if (err.code === BUDGET_EXCEEDED) {
+        tracker.stop(err);
+      } else {
+        totals.errors++;
+        tracker.addLog(`  ⚠️  Error refreshing ${business.name}: ${err.message}`);
+      }
+    }
+
+    await tracker.save();
+  });
+}
+
+async function runJob(pool, job) {
+  const municipality = await getMunicipality(pool, job.municipality_id);
+  const tracker = createTracker(pool, job);
+
+  tracker.addLog(`🏙️  ${job.mode === 'refresh' ? 'Refreshing' : 'Scraping'} for: ${municipality.name}, ${municipality.state}`);
+
+  if (job.mode === 'refresh') {
+    await runRefreshJob(pool, job, municipality, tracker);
+  } else {
+    await runSearchJob(pool, job, municipality, tracker);
+  }
+
+  const { totals } = tracker;
+  const summary = job.mode === 'refresh'
+    ? `Updated: ${totals.saved}, Unchanged: ${totals.skipped}, Changes queued: ${totals.changesQueued}, Errors: ${totals.errors}`
+    : `Saved: ${totals.saved} (${totals.needsContent} needing content), Skipped: ${totals.skipped}, Errors: ${totals.errors}`;
+  const cost = `Cost: ~$${tracker.budget.cost().toFixed(2)}`;
+  tracker.addLog(tracker.cancelled ? `🛑 Cancelled. ${summary}. ${cost}` : `✅ Complete! ${summary}. ${cost}`);
+  await tracker.save();
+
+  // A job stopped by its budget still completes; the reason is kept in error
+  await pool.query(
+    `UPDATE scrape_jobs SET status = $1, error = $2, current_type = NULL, finished_at = NOW(), updated_at = NOW()
+     WHERE id = $3`,
+    [
+      tracker.cancelled ? 'cancelled' : 'completed',
+      tracker.stopReason ? `Stopped early: ${tracker.stopReason}` : null,
+      job.id
+    ]
+  );
+}
+
+// Jobs whose worker stopped sending heartbeats can't be resumed, so they're
+// marked failed
+async function failStaleJobs(pool) {
+  await pool.query(
+    `UPDATE scrape_jobs SET status = 'failed', error = 'Interrupted: the server running it stopped',
+       finished_at = NOW(), updated_at = NOW()
+     WHERE status = 'running'
+       AND COALESCE(heartbeat_at, updated_at) < NOW() - make_interval(secs => $1)`,
+    [STALE_AFTER_MS / 1000]
+  );
+}
+
+// Run queued jobs until there are none left. Only one job runs at a time per
+// server process.
+async function runNextJob(pool) {
+  if (working) return;
+  working = true;
+
+  try {
+    await failStaleJobs(pool);
+
+    let job;
+    while ((job = await claimNextJob(pool))) {
+      // Keeps other instances from taking the job for an interrupted one
+      const heartbeat = setInterval(() => {
+        pool.query('UPDATE scrape_jobs SET heartbeat_at = NOW() WHERE id = $1', [job.id])
+          .catch(err => console.error(`Scrape job ${job.id} heartbeat failed:`, err.message));
+      }, HEARTBEAT_INTERVAL_MS);
+
+      try {
+        await runJob(pool, job);
+      } catch (err) {
+        console.error(`Scrape job ${job.id} failed:`, err);
+        await pool.query(
+          `UPDATE scrape_jobs SET status = 'failed', error = $1, finished_at = NOW(), updated_at = NOW()
+           WHERE id = $2`,
+          [err.message, job.id]
+        );
+      } finally {
+        clearInterval(heartbeat);
+      }
+    }
+  } catch (err) {
+    console.error('Scrape worker error:', err.message);
+  } finally {
+    working = false;
+  }
+}
+
+// Start the background worker. Each poll also fails jobs left running by a
+// server that has gone away (including this one, before a restart).
+function startWorker(pool) {
+  setInterval(() => runNextJob(pool), POLL_INTERVAL_MS);
+  runNextJob(pool);
+  console.log('✓ Scrape worker started');
+}
+
+module.exports = {
+  MAX_PAGES,
+  MAX_GRID_SIZE,
+  estimateJob,
+  countRefreshListings,
+  createJob,
+  insertBusiness,
+  getJob,
+  listRecentJobs,
+  cancelJob,
+  startWorker
+};
@@ -0,0 +1,43 @@
+// Full-text search over business listings.
+// Matches the weighted `search_vector` (see migrations/002_search.sql) and falls
+// back to pg_trgm word similarity on the short fields, which catches misspellings
+// and word forms the stemmer doesn't join up ("plumber" vs "plumbing").
+
+// ts_headline wraps matches in these markers; they're swapped for <mark> tags
+// after the rest of the snippet has been HTML-escaped
+const MARK_START = '⟦';
+const MARK_END = '⟧';
+const HEADLINE_OPTIONS = `StartSel=${MARK_START}, StopSel=${MARK_END}, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "`;
+
+// Returns SQL fragments for a search term. The term is appended to `params`,
+// so the fragments can be dropped into a query alongside other filters.
+function buildSearch(term, params) {
+  params.push(term);
+  const p = `$${params.length}`;
+  const tsquery = `websearch_to_tsquery('english', ${p})`;
+
+  return {
+    condition: `(search_vector @@ ${tsquery} OR ${p} <% search_text)`,
+    rank: `(ts_rank(search_vector, ${tsquery}) + 0.5 * word_similarity(${p}, search_text))`,
+    snippet: `ts_headline('english', COALESCE(description, ''), ${tsquery}, '${HEADLINE_OPTIONS}')`
+  };
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Turn a ts_headline result into safe HTML with <mark> around the matches
+function highlightSnippet(headline) {
+  if (!headline) return '';
+  return escapeHtml(headline)
+    .split(MARK_START).join('<mark>')
+    .split(MARK_END).join('</mark>');
+}
+
+module.exports = { buildSearch, highlightSnippet };
@@ -0,0 +1,380 @@
+// Page metadata and structured data for the public pages.
+// Each *Page function returns the `seo` object that views/partials/seo.ejs
+// renders: title, description, canonical and prev/next links, robots, share
+// tags and JSON-LD. Structured data is built as plain objects and serialised
+// with jsonLd, so descriptions with quotes, newlines or "</script>" can't
+// break the page. URLs are absolute, from BASE_URL (see lib/config.js).
+const config = require('./config');
+const { extractZip } = require('./boundaries');
+const { toOpeningHoursSpecification } = require('./hours');
+
+const DESCRIPTION_LENGTH = 160;
+
+// Query parameters of the home page listing. Only CANONICAL_PARAMS make a
+// different page: sorted or narrowed (rating, price, open now, nearest to
+// lat/lng) listings use the listing without those as their canonical URL.
+const LISTING_PARAMS = ['search', 'category', 'rating', 'price', 'open', 'sort', 'lat', 'lng'];
+const CANONICAL_PARAMS = ['search', 'category'];
+
+// JSON for a <script type="application/ld+json"> element. <, > and & are
+// escaped so the text can't close the element; U+2028/2029 for old parsers.
+function jsonLd(data) {
+  return JSON.stringify(data)
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e')
+    .replace(/&/g, '\\u0026')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+// Plain text for a meta description: no markdown emphasis or headings,
+// whitespace collapsed, cut at a word boundary
+function summarize(text, length = DESCRIPTION_LENGTH) {
+  const plain = (text || '').replace(/[*_#`]+/g, '').replace(/\s+/g, ' ').trim();
+  if (plain.length <= length) return plain;
+  const cut = plain.substring(0, length - 1);
+  return `${cut.substring(0, cut.lastIndexOf(' ')) || cut}…`;
+}
+
+function directoryName(municipality) {
+  return `${municipality.name} Business Directory`;
+}
+
+// A path with a query string from the given parameters (empty ones dropped)
+function withQuery(path, params) {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  ).toString();
+  return query ? `${path}?${query}` : path;
+}
+
+function breadcrumbList(items) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'BreadcrumbList',
+    itemListElement: items.map((item, index) => ({
+      '@type': 'ListItem',
+      position: index + 1,
+      name: item.name,
+      item: config.absoluteUrl(item.path)
+    }))
+  };
+}
+
+// items are { name, path }; positions start after `offset` (for later pages)
+function itemList(name, items, offset = 0) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'ItemList',
+    name,
+    itemListElement: items.map((item, index) => ({
+      '@type': 'ListItem',
+      position: offset + index + 1,
+      name: item.name,
+      url: config.absoluteUrl(item.path)
+    }))
+  };
+}
+
+// Fill in what every page shares. page.url is the page's own (absolute) URL.
+function buildMeta(municipality, page) {
+  const image = config.absoluteUrl(page.image || config.SHARE_IMAGE);
+  return {
+    title: page.title,
+    description: page.description,
+    keywords: page.keywords || '',
+    author: directoryName(municipality),
+    siteName: config.SITE_NAME,
+    canonical: page.noindex ? null : page.url,
+    prev: page.prev ? config.absoluteUrl(page.prev) : null,
+    next: page.next ? config.absoluteUrl(page.next) : null,
+    robots: page.noindex ? 'noindex, follow' : null,
+    googleSiteVerification: config.GOOGLE_SITE_VERIFICATION,
+    og: {
+      type: page.ogType || 'website',
+      url: page.url,
+      title: page.shareTitle || page.title,
+      description: page.shareDescription || page.description,
+      image
+    },
+    twitter: {
+      card: page.image ? 'summary_large_image' : 'summary',
+      title: page.twitterTitle || page.shareTitle || page.title,
+      description: page.twitterDescription || page.shareDescription || page.description,
+      image
+    },
+    structuredData: page.structuredData || []
+  };
+}
+
+// reviews is { summary, items } from lib/reviews.js (approved reviews only)
+function localBusiness(business, municipality, url, image, reviews) {
+  const data = {
+    '@context': 'https://schema.org',
+    '@type': 'LocalBusiness',
+    '@id': `${url}#business`,
+    name: business.name,
+    url: business.website || url,
+    mainEntityOfPage: url,
+    description: summarize(business.description, 5000) || undefined,
+    image: config.absoluteUrl(image),
+    address: {
+      '@type': 'PostalAddress',
+      streetAddress: business.street || undefined,
+      addressLocality: business.city || municipality.name,
+      addressRegion: business.state || municipality.state,
+      postalCode: extractZip(business.zip) || undefined,
+      addressCountry: 'US'
+    }
+  };
+
+  if (business.phone) data.telephone = business.phone;
+  const latitude = parseFloat(business.latitude);
+  const longitude = parseFloat(business.longitude);
+  if (Number.isFinite(latitude) && Number.isFinite(longitude)) {
+    data.geo = { '@type': 'GeoCoordinates', latitude, longitude };
+  }
+  // Ratings come from our own moderated reviews only; Google's rating is
+  // shown on the page but isn't ours to mark up
+  if (reviews && reviews.summary.count > 0) {
+    data.aggregateRating = {
+      '@type': 'AggregateRating',
+      ratingValue: reviews.summary.rating,
+      reviewCount: reviews.summary.count,
+      bestRating: 5,
+      worstRating: 1
+    };
+    data.review = reviews.items.map(review => ({
+      '@type': 'Review',
+      author: { '@type': 'Person', name: review.author_name },
+      datePublished: new Date(review.created_at).toISOString().substring(0, 10),
+      reviewBody: review.body,
+      reviewRating: { '@type': 'Rating', ratingValue: review.rating, bestRating: 5, worstRating: 1 }
+    }));
+  }
+  const hoursSpecification = toOpeningHoursSpecification(business.opening_hours);
+  if (hoursSpecification.length > 0) data.openingHoursSpecification = hoursSpecification;
+  if (business.price_level) data.priceRange = '$'.repeat(business.price_level);
+  return data;
+}
+
+// category and parent (if it's a subcategory) are rows from lib/categories.js
+function businessPage({ business, municipality, basePath, category, parent, reviews }) {
+  const url = config.absoluteUrl(`${basePath}/business/${business.slug}`);
+  const type = business.subcategory || business.category;
+  const place = `${municipality.name}, ${municipality.state}`;
+  const description = summarize(business.description) ||
+    `${business.name} - ${type} located at ${business.street}, ${place}`;
+  const image = business.image_url || config.SHARE_IMAGE;
+
+  const crumbs = [{ name: directoryName(municipality), path: `${basePath}/` }];
+  if (parent) crumbs.push({ name: parent.name, path: `${basePath}/category/${parent.slug}` });
+  if (category) crumbs.push({ name: category.name, path: `${basePath}/category/${category.slug}` });
+  crumbs.push({ name: business.name, path: `${basePath}/business/${business.slug}` });
+
+  return buildMeta(municipality, {
+    url,
+    title: `${business.name} - ${type} in ${place}`,
+    description,
+    keywords: [...(business.keywords || []), municipality.name, business.category].filter(Boolean).join(', '),
+    ogType: 'business.business',
+    image: business.image_url,
+    shareTitle: `${business.name} - ${place}`,
+    twitterTitle: business.name,
+    twitterDescription: `${type} in ${place}`,
+    structuredData: [localBusiness(business, municipality, url, image, reviews), breadcrumbList(crumbs)]
+  });
+}
+
+// The home page and search/filter results. query is req.query; result is
+// from fetchListingPage.
+function listingPage({ municipality, basePath, query, result, businesses }) {
+  const search = (query.search || '').trim();
+  const place = `${municipality.name}, ${municipality.state}`;
+  const page = result.page;
+  const pageSuffix = page > 1 ? ` - Page ${page}` : '';
+
+  const canonicalParams = {};
+  CANONICAL_PARAMS.forEach(key => { canonicalParams[key] = query[key]; });
+  const listingParams = {};
+  LISTING_PARAMS.forEach(key => { listingParams[key] = query[key]; });
+  const pagePath = number => withQuery(`${basePath}/`, { ...listingParams, page: number > 1 ? number : null });
+
+  const structuredData = [];
+  if (!search && page === 1) {
+    structuredData.push({
+      '@context': 'https://schema.org',
+      '@type': 'WebSite',
+      name: directoryName(municipality),
+      description: `Local business directory for ${place}`,
+      url: config.absoluteUrl(`${basePath}/`),
+      potentialAction: {
+        '@type': 'SearchAction',
+        target: `${config.absoluteUrl(`${basePath}/`)}?search={search_term}`,
+        'query-input': 'required name=search_term'
+      }
+    });
+  }
+  if (businesses.length > 0) {
+    structuredData.push(itemList(
+      search ? `${search} in ${place}` : `Businesses in ${place}`,
+      businesses.map(business => ({ name: business.name, path: `${basePath}/business/${business.slug}` })),
+      (page - 1) * result.perPage
+    ));
+  }
+  if (search) {
+    structuredData.push(breadcrumbList([
+      { name: directoryName(municipality), path: `${basePath}/` },
+      { name: `Search: ${search}`, path: withQuery(`${basePath}/`, { search }) }
+    ]));
+  }
+
+  return buildMeta(municipality, {
+    url: config.absoluteUrl(withQuery(`${basePath}/`, { ...canonicalParams, page: page > 1 ? page : null })),
+    // Search results are for visitors, not for the index
+    noindex: Boolean(search),
+    title: search
+      ? `${search} - ${directoryName(municipality)}${pageSuffix}`
+      : `${directoryName(municipality)} - Local Services & Businesses in ${place}${pageSuffix}`,
+    description: search
+      ? `Find ${search} in ${place}. Browse ${result.total} local businesses with reviews, ratings, and contact information.`
+      : `Discover ${result.total} local businesses in ${place}. Find restaurants, services, healthcare, retail, and more with reviews and ratings.`,
+    keywords: [
+      `${municipality.name} businesses`,
+      `${municipality.name} ${municipality.state}`,
+      'local services',
+      `${municipality.name} directory`,
+      municipality.county ? `${municipality.county} County businesses` : null
+    ].filter(Boolean).join(', '),
+    prev: page > 1 ? pagePath(page - 1) : null,
+    next: page < result.totalPages ? pagePath(page + 1) : null,
+    shareTitle: search ? `${search} - ${directoryName(municipality)}` : `${directoryName(municipality)} - Local Services & Businesses`,
+    shareDescription: search
+      ? `Find ${search} in ${place}. Browse ${result.total} local businesses.`
+      : `Discover ${result.total} local businesses in ${place}.`,
+    twitterTitle: directoryName(municipality),
+    twitterDescription: `Discover local businesses in ${place}`,
+    structuredData
+  });
+}
+
+function categoryPage({ category, parent, businesses, municipality, basePath }) {
+  const place = `${municipality.name}, ${municipality.state}`;
+  const path = `${basePath}/category/${category.slug}`;
+  const crumbs = [
+    { name: directoryName(municipality), path: `${basePath}/` },
+    { name: 'Categories', path: `${basePath}/categories` }
+  ];
+  if (parent) crumbs.push({ name: parent.name, path: `${basePath}/category/${parent.slug}` });
+  crumbs.push({ name: category.name, path });
+
+  return buildMeta(municipality, {
+    // Sorting doesn't make a different page
+    url: config.absoluteUrl(path),
+    title: `${category.name} in ${place} - ${businesses.length} Local Businesses`,
+    description: summarize(category.description) ||
+      `Find ${businesses.length} ${category.name.toLowerCase()} businesses in ${place}. Browse local services with reviews, ratings, and contact information.`,
+    keywords: [
+      category.name,
+      `${municipality.name} ${category.name.toLowerCase()}`,
+      `${municipality.name} ${municipality.state}`,
+      municipality.county ? `${municipality.county} County ${category.name.toLowerCase()}` : null
+    ].filter(Boolean).join(', '),
+    shareTitle: `${category.name} in ${place}`,
+    shareDescription: `Browse ${businesses.length} ${category.name.toLowerCase()} businesses in ${municipality.name}`,
+    twitterTitle: `${category.name} - ${municipality.name}`,
+    twitterDescription: `${businesses.length} local businesses`,
+    structuredData: [
+      breadcrumbList(crumbs),
+      itemList(
+        `${category.name} in ${place}`,
+        businesses.map(business => ({ name: business.name, path: `${basePath}/business/${business.slug}` }))
+      )
+    ]
+  });
+}
+
+// categories is the tree from categories.listWithCounts
+function categoriesPage({ categories, municipality, basePath }) {
+  const place = `${municipality.name}, ${municipality.state}`;
+  return buildMeta(municipality, {
+    url: config.absoluteUrl(`${basePath}/categories`),
+    title: `Browse Business Categories - ${place} Directory`,
+    description: `Browse businesses in ${place} by category. Find home services, restaurants, healthcare, retail, and more local businesses with reviews.`,
+    keywords: [
+      `${municipality.name} categories`,
+      `${municipality.name} businesses`,
+      municipality.county ? `${municipality.county} County services` : null,
+      `${municipality.name} directory`
+    ].filter(Boolean).join(', '),
+    shareTitle: `Browse Business Categories - ${place}`,
+    shareDescription: `Find local businesses organized by category in ${place}`,
+    twitterTitle: `${municipality.name} Business Categories`,
+    twitterDescription: 'Browse businesses by category',
+    structuredData: [
+      breadcrumbList([
+        { name: directoryName(municipality), path: `${basePath}/` },
+        { name: 'Categories', path: `${basePath}/categories` }
+      ]),
+      itemList(
+        `Business categories in ${place}`,
+        categories.map(category => ({ name: category.name, path: `${basePath}/category/${category.slug}` }))
+      )
+    ]
+  });
+}
+
+// The /map page. Filtered maps point at the unfiltered one.
+function mapPage({ municipality, basePath }) {
+  const place = `${municipality.name}, ${municipality.state}`;
+  return buildMeta(municipality, {
+    url: config.absoluteUrl(`${basePath}/map`),
+    title: `Map of Local Businesses - ${place} Directory`,
+    description: `See businesses in ${place} on a map. Find restaurants, services, healthcare, retail, and more near you.`,
+    keywords: [
+      `${municipality.name} map`,
+      `${municipality.name} businesses near me`,
+      `${municipality.name} directory`
+    ].join(', '),
+    shareTitle: `Map of Local Businesses - ${place}`,
+    twitterTitle: `${municipality.name} Business Map`,
+    structuredData: [
+      breadcrumbList([
+        { name: directoryName(municipality), path: `${basePath}/` },
+        { name: 'Map', path: `${basePath}/map` }
+      ])
+    ]
+  });
+}
+
+// The /suggest form. Kept out of the index like the report form.
+function suggestPage({ municipality, basePath }) {
+  const place = `${municipality.name}, ${municipality.state}`;
+  return buildMeta(municipality, {
+    url: config.absoluteUrl(`${basePath}/suggest`),
+    noindex: true,
+    title: `Suggest a Business - ${directoryName(municipality)}`,
+    description: `Know a business in ${place} that's missing from the directory? Tell us about it.`
+  });
+}
+
+function reportPage({ business, municipality, basePath }) {
+  return buildMeta(municipality, {
+    url: config.absoluteUrl(`${basePath}/business/${business.slug}/report`),
+    noindex: true,
+    title: `Report an Issue with ${business.name} - ${directoryName(municipality)}`,
+    description: `Let us know if the listing for ${business.name} is out of date.`
+  });
+}
+
+module.exports = {
+  jsonLd,
+  summarize,
+  businessPage,
+  listingPage,
+  categoryPage,
+  categoriesPage,
+  mapPage,
+  suggestPage,
+  reportPage
+};
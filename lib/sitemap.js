@@ -0,0 +1,187 @@
+// XML sitemaps (https://www.sitemaps.org/protocol.html) built from the database.
+// /sitemap.xml is an index of child sitemaps:
+//   /sitemaps/<municipality>.xml             home, categories, map and category pages
+//   /sitemaps/<municipality>/<category>.xml  business pages, with their photos
+// Only municipalities and categories with approved businesses are listed.
+// lastmod is the newest updated_at of the businesses a page shows.
+// Sitemaps are cached in memory until a business or category changes (see
+// invalidate) or CACHE_TTL_MS passes. The TTL is kept short for writes made
+// outside the server, such as regenerate-descriptions.js.
+const { BASE_URL, absoluteUrl } = require('./config');
+const { getMunicipalities, basePathFor } = require('./municipalities');
+
+const CACHE_TTL_MS = 15 * 60 * 1000;
+const SITEMAP_NS = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+const IMAGE_NS = 'http://www.google.com/schemas/sitemap-image/1.1';
+
+const cache = new Map();
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function lastmodTag(date) {
+  return date ? `    <lastmod>${new Date(date).toISOString()}</lastmod>\n` : '';
+}
+
+function urlEntry({ path, lastmod, changefreq, priority, images = [] }) {
+  let xml = '  <url>\n';
+  xml += `    <loc>${escapeXml(absoluteUrl(path))}</loc>\n`;
+  xml += lastmodTag(lastmod);
+  xml += `    <changefreq>${changefreq}</changefreq>\n`;
+  xml += `    <priority>${priority}</priority>\n`;
+  for (const image of images) {
+    xml += `    <image:image><image:loc>${escapeXml(absoluteUrl(image))}</image:loc></image:image>\n`;
+  }
+  return xml + '  </url>\n';
+}
+
+function urlset(entries) {
+  const imageNs = entries.some(entry => entry.images && entry.images.length > 0) ? ` xmlns:image="${IMAGE_NS}"` : '';
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<urlset xmlns="${SITEMAP_NS}"${imageNs}>\n` +
+    entries.map(urlEntry).join('') +
+    '</urlset>\n';
+}
+
+// Child sitemaps with something in them, as { name, path, lastmod }. name is
+// "<municipality>" or "<municipality>/<category>".
+async function listSitemaps(pool) {
+  const municipalities = await getMunicipalities(pool);
+  const result = await pool.query(
+    `SELECT b.municipality_id, c.slug AS category_slug, MAX(b.updated_at) AS lastmod
+     FROM businesses b JOIN categories c ON c.id = b.category_id
+     WHERE b.status = 'approved'
+     GROUP BY b.municipality_id, c.slug
+     ORDER BY c.slug`
+  );
+
+  const sitemaps = [];
+  for (const municipality of municipalities) {
+    const rows = result.rows.filter(row => row.municipality_id === municipality.id);
+    if (rows.length === 0) continue;
+
+    const lastmod = rows.reduce((newest, row) => (row.lastmod > newest ? row.lastmod : newest), rows[0].lastmod);
+    sitemaps.push({ name: municipality.slug, path: `/sitemaps/${municipality.slug}.xml`, lastmod });
+    for (const row of rows) {
+      const name = `${municipality.slug}/${row.category_slug}`;
+      sitemaps.push({ name, path: `/sitemaps/${name}.xml`, lastmod: row.lastmod });
+    }
+  }
+  return sitemaps;
+}
+
+async function buildIndex(pool) {
+  const sitemaps = await listSitemaps(pool);
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<sitemapindex xmlns="${SITEMAP_NS}">\n` +
+    sitemaps.map(sitemap =>
+      '  <sitemap>\n' +
+      `    <loc>${escapeXml(absoluteUrl(sitemap.path))}</loc>\n` +
+      lastmodTag(sitemap.lastmod) +
+      '  </sitemap>\n'
+    ).join('') +
+    '</sitemapindex>\n';
+}
+
+// Home, categories overview and every category page with businesses (a
+// parent category page shows its subcategories' businesses too)
+async function buildMunicipalitySitemap(pool, municipality) {
+  const basePath = basePathFor(municipality);
+  const result = await pool.query(
+    `SELECT c.slug, MAX(b.updated_at) AS lastmod
+     FROM categories c
+     JOIN categories shown ON shown.id = c.id OR shown.parent_id = c.id
+     JOIN businesses b ON b.category_id = shown.id
+     WHERE b.status = 'approved' AND b.municipality_id = $1
+     GROUP BY c.slug
+     ORDER BY c.slug`,
+    [municipality.id]
+  );
+  if (result.rows.length === 0) return null;
+
+  const lastmod = result.rows.reduce((newest, row) => (row.lastmod > newest ? row.lastmod : newest), result.rows[0].lastmod);
+  return urlset([
+    { path: `${basePath}/`, lastmod, changefreq: 'daily', priority: '1.0' },
+    { path: `${basePath}/categories`, lastmod, changefreq: 'weekly', priority: '0.9' },
+    { path: `${basePath}/map`, lastmod, changefreq: 'weekly', priority: '0.6' },
+    ...result.rows.map(row => ({
+      path: `${basePath}/category/${row.slug}`,
+      lastmod: row.lastmod,
+      changefreq: 'weekly',
+      priority: '0.8'
+    }))
+  ]);
+}
+
+// Business pages of one category (not its subcategories, which have their own)
+async function buildCategorySitemap(pool, municipality, categorySlug) {
+  const basePath = basePathFor(municipality);
+  const result = await pool.query(
+    `SELECT b.slug, b.updated_at, b.image_url
+     FROM businesses b JOIN categories c ON c.id = b.category_id
+     WHERE b.status = 'approved' AND b.municipality_id = $1 AND c.slug = $2
+     ORDER BY b.slug`,
+    [municipality.id, categorySlug]
+  );
+  if (result.rows.length === 0) return null;
+
+  return urlset(result.rows.map(business => ({
+    path: `${basePath}/business/${business.slug}`,
+    lastmod: business.updated_at,
+    changefreq: 'monthly',
+    priority: '0.7',
+    images: business.image_url ? [business.image_url] : []
+  })));
+}
+
+// The XML of a sitemap by name: "index", "<municipality>" or
+// "<municipality>/<category>". Returns null if there's no such sitemap.
+async function getSitemap(pool, name) {
+  const cached = cache.get(name);
+  if (cached && Date.now() - cached.builtAt < CACHE_TTL_MS) {
+    return cached.xml;
+  }
+
+  let xml = null;
+  if (name === 'index') {
+    xml = await buildIndex(pool);
+  } else {
+    const [municipalitySlug, categorySlug] = name.split('/');
+    const municipality = (await getMunicipalities(pool)).find(m => m.slug === municipalitySlug);
+    if (municipality) {
+      xml = categorySlug
+        ? await buildCategorySitemap(pool, municipality, categorySlug)
+        : await buildMunicipalitySitemap(pool, municipality);
+    }
+  }
+
+  if (xml) cache.set(name, { xml, builtAt: Date.now() });
+  return xml;
+}
+
+// Drop every cached sitemap; called whenever businesses or categories change
+function invalidate() {
+  cache.clear();
+}
+
+function robotsTxt() {
+  return [
+    'User-agent: *',
+    'Allow: /',
+    '',
+    '# Admin and business owner pages',
+    'Disallow: /admin/',
+    'Disallow: /owner/',
+    '',
+    `Sitemap: ${BASE_URL}/sitemap.xml`,
+    ''
+  ].join('\n');
+}
+
+module.exports = { listSitemaps, getSitemap, invalidate, robotsTxt };
@@ -0,0 +1,62 @@
+// Business slugs (see migrations/016_slug_history.sql).
+// A slug is free when no business has it now and none had it before, so old
+// URLs keep redirecting to the business they belonged to. Scraped slugs end in
+// part of the Google place id, which is mixed case, so slugs are compared
+// ignoring case. Taken slugs get a numeric suffix: joes-pizza, joes-pizza-2...
+const { findMergedTarget } = require('./duplicates');
+
+const MAX_LENGTH = 255;
+const SLUG_PATTERN = /^[A-Za-z0-9]+(-[A-Za-z0-9]+)*$/;
+
+// Is the slug used by another business, now or in the past?
+async function isTaken(pool, slug, businessId = null) {
+  const result = await pool.query(
+    `SELECT 1 FROM businesses WHERE lower(slug) = lower($1) AND id IS DISTINCT FROM $2
+     UNION ALL
+     SELECT 1 FROM slug_history WHERE lower(slug) = lower($1) AND business_id IS DISTINCT FROM $2
+     LIMIT 1`,
+    [slug, businessId]
+  );
+  return result.rows.length > 0;
+}
+
+// The first free slug of base, base-2, base-3... for a new business
+// (businessId null) or an existing one
+async function uniqueSlug(pool, base, businessId = null) {
+  const trimmed = base.substring(0, MAX_LENGTH - 4).replace(/-$/, '') || 'business';
+  for (let n = 1; ; n++) {
+    const slug = n === 1 ? trimmed : `${trimmed}-${n}`;
+    if (!await isTaken(pool, slug, businessId)) return slug;
+  }
+}
+
+// Check a slug an admin typed in. Returns { slug } or { error }.
+async function validateSlug(pool, input, businessId) {
+  const slug = (input || '').trim();
+  if (!SLUG_PATTERN.test(slug) || slug.length > MAX_LENGTH) {
+    return { error: 'Slugs can only contain letters, numbers and single hyphens' };
+  }
+  if (await isTaken(pool, slug, businessId)) {
+    return { error: `The slug "${slug}" is used by another business` };
+  }
+  return { slug };
+}
+
+// Where an old slug lives now: the current slug of the business that had it,
+// or of the listing it was merged into. Only approved businesses count.
+// Returns { slug, municipality_id, municipality_slug } or null.
+async function findRedirect(pool, slug) {
+  const result = await pool.query(
+    `SELECT b.slug, b.status, b.municipality_id, m.slug AS municipality_slug
+     FROM slug_history h
+     JOIN businesses b ON b.id = h.business_id
+     JOIN municipalities m ON m.id = b.municipality_id
+     WHERE h.slug = $1`,
+    [slug]
+  );
+  const renamed = result.rows[0];
+  if (renamed && renamed.status === 'approved') return renamed;
+  return findMergedTarget(pool, renamed ? renamed.slug : slug);
+}
+
+module.exports = { isTaken, uniqueSlug, validateSlug, findRedirect };
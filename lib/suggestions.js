@@ -0,0 +1,208 @@
+// Businesses suggested by visitors from the public /suggest form.
+// A suggestion becomes a pending listing straight away, made from what the
+// visitor typed. Google Places isn't called for anonymous visitors (every
+// search is billed): the admin reviewing the listing can look the name (and
+// street, if given) up, and a match in the municipality replaces the
+// listing's details with Google's (see matchSuggestion). AI content and
+// photos are left for that admin too (the listing is flagged as needing
+// content). What the visitor sent is kept in business_suggestions.
+const BusinessScraper = require('../routes/scraper');
+const categories = require('./categories');
+const slugs = require('./slugs');
+const { auditBusinessChange } = require('./audit');
+const { insertBusiness } = require('./scrape-jobs');
+const { checkField } = require('./business-fields');
+const { isHoneypotFilled, hashIp, insertWithinLimit } = require('./public-forms');
+const { normalizeEmail, isValidEmail } = require('./email');
+
+const MAX_NOTES_LENGTH = 2000;
+const SUGGESTION_LIMIT = { max: 5, hours: 24 };
+
+// Copied from the Google match by matchSuggestion. The slug stays, and so
+// does the category when the visitor picked one.
+const MATCH_COLUMNS = [
+  'google_place_id', 'name', 'subcategory', 'primary_type', 'street', 'city', 'state', 'zip',
+  'phone', 'website', 'google_maps_url', 'latitude', 'longitude', 'rating', 'total_ratings',
+  'price_level', 'opening_hours', 'business_status', 'photo_reference'
+];
+
+// Check and normalise the form. Returns { values } or { error }.
+async function validateSuggestion(pool, fields) {
+  const name = (fields.name || '').trim();
+  const street = (fields.street || '').trim();
+  const notes = (fields.notes || '').trim();
+  const email = normalizeEmail(fields.email);
+
+  if (!name || name.length > 255) {
+    return { error: 'Enter the business name (up to 255 characters)' };
+  }
+  if (street.length > 255) {
+    return { error: 'The address can be at most 255 characters' };
+  }
+  const values = { name, street: street || null, phone: null, website: null, category: null, notes: notes || null, email: email || null };
+
+  for (const field of ['phone', 'website']) {
+    const checked = checkField(field, fields[field]);
+    if (checked.error) return { error: `${checked.error}, or leave it empty` };
+    values[field] = checked.value;
+  }
+  if (fields.category_id) {
+    const allCategories = await categories.getCategories(pool);
+    values.category = allCategories.find(c => c.id === parseInt(fields.category_id)) || null;
+    if (!values.category) return { error: 'Choose a category from the list' };
+  }
+  if (notes.length > MAX_NOTES_LENGTH) {
+    return { error: `Notes can be at most ${MAX_NOTES_LENGTH} characters` };
+  }
+  if (email && !isValidEmail(email)) {
+    return { error: 'Enter a valid email address, or leave it empty' };
+  }
+  return { values };
+}
+
+// The first Places search result inside the municipality, or null
+async function lookupPlace(municipality, suggestion) {
+  const scraper = new BusinessScraper(process.env.GOOGLE_PLACES_API_KEY, municipality, { maxPages: 1 });
+  const places = await scraper.searchBusinesses([suggestion.name, suggestion.street].filter(Boolean).join(' '));
+  const place = places.find(candidate => scraper.validateLocation(candidate).isValid) || null;
+  return place ? { scraper, place } : null;
+}
+
+// A listing made from what the visitor typed
+async function manualBusiness(pool, municipality, values) {
+  const category = values.category || await categories.getFallbackCategory(pool);
+  return {
+    google_place_id: null,
+    name: values.name,
+    slug: await slugs.uniqueSlug(pool, categories.slugify(values.name) || 'business'),
+    category: category ? category.name : null,
+    category_id: category ? category.id : null,
+    street: values.street,
+    city: municipality.name,
+    state: municipality.state.substring(0, 2),
+    phone: values.phone,
+    website: values.website,
+    total_ratings: 0,
+    opening_hours: null,
+    keywords: [],
+    needs_content: true,
+    status: 'pending',
+    scraped_at: new Date()
+  };
+}
+
+// Keep what the visitor sent (businessId is null when it was listed already)
+async function recordSuggestion(client, businessId, values, ipHash) {
+  await client.query(
+    `INSERT INTO business_suggestions
+       (business_id, name, street, phone, website, category_id, notes, email, ip_hash)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [
+      businessId, values.name, values.street, values.phone, values.website,
+      values.category ? values.category.id : null, values.notes, values.email, ipHash
+    ]
+  );
+}
+
+// Add a suggested business as a pending listing.
+// Returns { business }, { existing } when a listing in the municipality has
+// that name already, { spam: true } for honeypot hits (to be treated as a
+// success) or { error } (with rateLimited when the IP has hit its limit).
+async function suggestBusiness(pool, municipality, fields, ip) {
+  if (isHoneypotFilled(fields)) {
+    return { spam: true };
+  }
+
+  const { values, error } = await validateSuggestion(pool, fields);
+  if (error) return { error };
+
+  const ipHash = hashIp(ip);
+  const { rateLimited, result } = await insertWithinLimit(pool, 'business_suggestions', ipHash, SUGGESTION_LIMIT, async client => {
+    // Listed already under the same name (it costs nothing to check). The
+    // suggestion is still kept, so it counts towards the limit.
+    const existing = await client.query(
+      `SELECT b.id, b.name, b.slug, b.status, m.slug AS municipality_slug
+       FROM businesses b JOIN municipalities m ON m.id = b.municipality_id
+       WHERE b.municipality_id = $1 AND LOWER(b.name) = LOWER($2) AND b.status <> 'deleted'
+       ORDER BY b.status = 'approved' DESC, b.id
+       LIMIT 1`,
+      [municipality.id, values.name]
+    );
+    if (existing.rows.length > 0) {
+      await recordSuggestion(client, null, values, ipHash);
+      return { existing: existing.rows[0] };
+    }
+
+    const business = await manualBusiness(client, municipality, values);
+    business.id = await insertBusiness(client, business, municipality.id);
+    await recordSuggestion(client, business.id, values, ipHash);
+    return { business };
+  });
+  if (rateLimited) {
+    return { error: 'You have suggested several businesses recently. Please try again tomorrow.', rateLimited: true };
+  }
+  return result;
+}
+
+// Look a suggested listing up on Google Places for the admin reviewing it,
+// and replace its details with the match's. business is the listing joined
+// with municipality_name and municipality_state. Returns { matched: true },
+// or { error } when there's no match or the match is listed already.
+async function matchSuggestion(pool, actor, business) {
+  const suggestion = await getSuggestion(pool, business.id);
+  if (!suggestion) {
+    return { error: 'This listing was not suggested by a visitor' };
+  }
+  if (business.google_place_id) {
+    return { error: 'This listing is already linked to Google Places' };
+  }
+  if (!process.env.GOOGLE_PLACES_API_KEY) {
+    return { error: 'Google Places is not configured' };
+  }
+
+  const municipality = { name: business.municipality_name, state: business.municipality_state };
+  const match = await lookupPlace(municipality, suggestion);
+  if (!match) {
+    return { error: 'No match found on Google Places in this municipality' };
+  }
+  const existing = await pool.query(
+    "SELECT name FROM businesses WHERE google_place_id = $1 AND status <> 'deleted'",
+    [match.place.id]
+  );
+  if (existing.rows.length > 0) {
+    return { error: `Google's match is already listed as ${existing.rows[0].name}` };
+  }
+
+  const found = await match.scraper.buildBusiness(match.place, pool, { enrich: false });
+  const columns = suggestion.category_id ? MATCH_COLUMNS : [...MATCH_COLUMNS, 'category', 'category_id'];
+  const values = columns.map(column => column === 'opening_hours' ? JSON.stringify(found[column]) : found[column]);
+
+  await auditBusinessChange(pool, {
+    actor,
+    action: 'suggestion_match',
+    businessIds: [business.id],
+    details: { google_place_id: match.place.id }
+  }, async client => {
+    await client.query(
+      `UPDATE businesses SET ${columns.map((column, i) => `${column} = $${i + 1}`).join(', ')}, updated_at = NOW()
+       WHERE id = $${columns.length + 1} AND google_place_id IS NULL`,
+      [...values, business.id]
+    );
+    await client.query('UPDATE business_suggestions SET matched_place = TRUE WHERE business_id = $1', [business.id]);
+  });
+
+  return { matched: true };
+}
+
+// What a visitor sent for a listing, or null if it wasn't suggested
+async function getSuggestion(pool, businessId) {
+  const result = await pool.query(
+    `SELECT s.*, c.name AS category_name
+     FROM business_suggestions s LEFT JOIN categories c ON c.id = s.category_id
+     WHERE s.business_id = $1`,
+    [businessId]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = { suggestBusiness, matchSuggestion, getSuggestion };
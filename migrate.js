@@ -0,0 +1,55 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const pool = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Apply every migrations/*.sql file that hasn't been run yet, in filename order
+async function migrate() {
+  try {
+    await pool.query(
+      `CREATE TABLE IF NOT EXISTS schema_migrations (
+        filename VARCHAR(255) PRIMARY KEY,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`
+    );
+
+    const applied = await pool.query('SELECT filename FROM schema_migrations');
+    const done = new Set(applied.rows.map(row => row.filename));
+
+    const files = fs.readdirSync(MIGRATIONS_DIR)
+      .filter(file => file.endsWith('.sql'))
+      .sort();
+
+    let count = 0;
+    for (const file of files) {
+      if (done.has(file)) continue;
+
+      console.log(`▶️  Applying ${file}...`);
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        await client.query(sql);
+        await client.query('INSERT INTO schema_migrations (filename) VALUES ($1)', [file]);
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw new Error(`${file}: ${err.message}`);
+      } finally {
+        client.release();
+      }
+      count++;
+    }
+
+    console.log(count ? `\n✅ Applied ${count} migration(s)` : '✓ Database is up to date');
+    process.exit(0);
+  } catch (error) {
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  }
+}
+
+migrate();
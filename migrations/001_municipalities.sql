@@ -0,0 +1,13 @@
+-- Neighbouring towns served from the same deployment
+INSERT INTO municipalities (name, slug, state, county) VALUES
+  ('Glen Rock', 'glen-rock', 'NJ', 'Bergen'),
+  ('Radburn', 'radburn', 'NJ', 'Bergen'),
+  ('Paramus', 'paramus', 'NJ', 'Bergen')
+ON CONFLICT (slug) DO NOTHING;
+
+-- Everything scraped before municipalities existed belongs to Fair Lawn
+UPDATE businesses SET municipality_id = (SELECT id FROM municipalities WHERE slug = 'fair-lawn')
+WHERE municipality_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_businesses_municipality_status
+  ON businesses (municipality_id, status);
@@ -0,0 +1,33 @@
+-- Full-text search: a weighted tsvector for ranking plus a plain-text copy of
+-- the short fields for pg_trgm typo-tolerant matching. Both are kept up to
+-- date by a trigger so every insert/update path gets them for free.
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+ALTER TABLE businesses
+  ADD COLUMN IF NOT EXISTS search_vector tsvector,
+  ADD COLUMN IF NOT EXISTS search_text text;
+
+CREATE OR REPLACE FUNCTION businesses_search_update() RETURNS trigger AS $$
+BEGIN
+  NEW.search_text := concat_ws(' ', NEW.name, NEW.category, NEW.subcategory, array_to_string(NEW.keywords, ' '));
+  NEW.search_vector :=
+    setweight(to_tsvector('english', coalesce(NEW.name, '')), 'A') ||
+    setweight(to_tsvector('english', concat_ws(' ', NEW.category, NEW.subcategory)), 'B') ||
+    setweight(to_tsvector('english', coalesce(array_to_string(NEW.keywords, ' '), '')), 'C') ||
+    setweight(to_tsvector('english', coalesce(NEW.description, '')), 'D');
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS businesses_search_update ON businesses;
+CREATE TRIGGER businesses_search_update
+  BEFORE INSERT OR UPDATE ON businesses
+  FOR EACH ROW EXECUTE FUNCTION businesses_search_update();
+
+-- Backfill existing rows through the trigger
+UPDATE businesses SET search_text = NULL;
+
+CREATE INDEX IF NOT EXISTS idx_businesses_search_vector
+  ON businesses USING gin (search_vector);
+CREATE INDEX IF NOT EXISTS idx_businesses_search_text_trgm
+  ON businesses USING gin (search_text gin_trgm_ops);
@@ -0,0 +1,23 @@
+-- Scrape runs are queued here and executed by the background worker
+-- (lib/scrape-jobs.js) instead of inside the POST /admin/scrape request
+CREATE TABLE IF NOT EXISTS scrape_jobs (
+  id SERIAL PRIMARY KEY,
+  municipality_id INTEGER NOT NULL REFERENCES municipalities(id),
+  business_types TEXT[] NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'queued', -- queued, running, completed, failed, cancelled
+  type_progress JSONB NOT NULL DEFAULT '{}'::jsonb, -- per type: status, found, processed, saved, skipped, errors
+  current_type VARCHAR(100),
+  found INTEGER NOT NULL DEFAULT 0,
+  saved INTEGER NOT NULL DEFAULT 0,
+  skipped INTEGER NOT NULL DEFAULT 0,
+  errors INTEGER NOT NULL DEFAULT 0,
+  log JSONB NOT NULL DEFAULT '[]'::jsonb, -- recent progress messages
+  error TEXT,
+  cancel_requested BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMP,
+  finished_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_scrape_jobs_status ON scrape_jobs (status, id);
@@ -0,0 +1,26 @@
+-- Refreshing listings from Google Places.
+-- Safe numeric changes (rating, total_ratings) are applied directly; anything
+-- else is queued in pending_changes for an admin to accept or reject.
+ALTER TABLE businesses
+  ADD COLUMN IF NOT EXISTS business_status VARCHAR(30), -- Google businessStatus (OPERATIONAL, CLOSED_TEMPORARILY, CLOSED_PERMANENTLY)
+  ADD COLUMN IF NOT EXISTS last_refreshed_at TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS pending_changes (
+  id SERIAL PRIMARY KEY,
+  business_id INTEGER NOT NULL REFERENCES businesses(id) ON DELETE CASCADE,
+  field VARCHAR(50) NOT NULL,
+  old_value JSONB,
+  new_value JSONB,
+  source VARCHAR(30) NOT NULL, -- google_refresh
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, accepted, rejected
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  resolved_at TIMESTAMP
+);
+
+-- One open change per business/field/source; newer values replace older ones
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pending_changes_open
+  ON pending_changes (business_id, field, source) WHERE status = 'pending';
+
+ALTER TABLE scrape_jobs
+  ADD COLUMN IF NOT EXISTS mode VARCHAR(20) NOT NULL DEFAULT 'search', -- search, refresh
+  ADD COLUMN IF NOT EXISTS changes_queued INTEGER NOT NULL DEFAULT 0;
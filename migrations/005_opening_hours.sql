@@ -0,0 +1,28 @@
+-- "Open now" filtering in SQL. Mirrors isOpenAt() in lib/hours.js: Google
+-- periods are turned into minutes since Sunday 00:00 in the given time zone,
+-- a period without a close is open around the clock, and a close at or
+-- before the open wraps past the end of the week.
+CREATE OR REPLACE FUNCTION business_is_open(hours JSONB, at TIMESTAMPTZ, tz TEXT)
+RETURNS BOOLEAN AS $$
+  WITH local AS (
+    SELECT at AT TIME ZONE tz AS t
+  ), now_minute AS (
+    SELECT EXTRACT(DOW FROM t)::int * 1440 + EXTRACT(HOUR FROM t)::int * 60 + EXTRACT(MINUTE FROM t)::int AS m
+    FROM local
+  ), intervals AS (
+    SELECT
+      p->'close' IS NULL AS always_open,
+      COALESCE((p->'open'->>'day')::int, 0) * 1440 + COALESCE((p->'open'->>'hour')::int, 0) * 60 + COALESCE((p->'open'->>'minute')::int, 0) AS open_m,
+      COALESCE((p->'close'->>'day')::int, 0) * 1440 + COALESCE((p->'close'->>'hour')::int, 0) * 60 + COALESCE((p->'close'->>'minute')::int, 0) AS close_m
+    FROM jsonb_array_elements(
+      CASE WHEN jsonb_typeof(hours->'periods') = 'array' THEN hours->'periods' ELSE '[]'::jsonb END
+    ) AS p
+    WHERE p ? 'open'
+  )
+  SELECT EXISTS (
+    SELECT 1 FROM intervals, now_minute
+    WHERE always_open
+       OR (close_m > open_m AND m >= open_m AND m < close_m)
+       OR (close_m <= open_m AND (m >= open_m OR m < close_m))
+  );
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,7 @@
+-- Business photos.
+-- image_url points at a copy stored by lib/photos.js. photo_reference is the
+-- Google Places photo name it came from; it stays set when an admin removes or
+-- replaces the photo, so refresh jobs only fill in photos for listings that
+-- never had one.
+
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS photo_reference TEXT;
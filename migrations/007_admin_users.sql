@@ -0,0 +1,26 @@
+-- Admin accounts and Postgres-backed sessions.
+-- Roles: editor (review, edit, approve) and owner (also delete and run scrapes).
+-- Create the first account with `npm run create-user`.
+
+CREATE TABLE IF NOT EXISTS admin_users (
+  id SERIAL PRIMARY KEY,
+  email VARCHAR(255) NOT NULL UNIQUE,
+  name VARCHAR(255),
+  password_hash TEXT NOT NULL, -- scrypt, see lib/auth.js
+  role VARCHAR(20) NOT NULL DEFAULT 'editor', -- editor, owner
+  failed_login_count INTEGER NOT NULL DEFAULT 0,
+  locked_until TIMESTAMP,
+  last_login_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT admin_users_role_check CHECK (role IN ('editor', 'owner'))
+);
+
+-- Session table used by connect-pg-simple
+CREATE TABLE IF NOT EXISTS "session" (
+  "sid" VARCHAR NOT NULL COLLATE "default" PRIMARY KEY,
+  "sess" JSON NOT NULL,
+  "expire" TIMESTAMP(6) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS "IDX_session_expire" ON "session" ("expire");
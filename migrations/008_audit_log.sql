@@ -0,0 +1,25 @@
+-- Audit log and soft delete for admin actions on businesses.
+-- Deleting a business now sets status = 'deleted' and deleted_at instead of
+-- removing the row, so it can be restored from the audit log. Public pages,
+-- the API and refresh jobs only ever show pending/approved rows.
+
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id SERIAL PRIMARY KEY,
+  admin_user_id INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+  actor_email VARCHAR(255), -- kept in case the admin account is removed
+  action VARCHAR(50) NOT NULL, -- approve, update, delete, restore, revert, ...
+  business_id INTEGER REFERENCES businesses(id) ON DELETE SET NULL,
+  batch_id UUID, -- shared by entries written by one bulk action
+  before JSONB, -- business row before the action
+  after JSONB, -- business row after the action
+  details JSONB, -- extra context, e.g. which pending change was accepted
+  reverts_id INTEGER REFERENCES audit_log(id) ON DELETE SET NULL,
+  reverted_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_business ON audit_log (business_id, id DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_batch ON audit_log (batch_id) WHERE batch_id IS NOT NULL;
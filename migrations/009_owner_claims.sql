@@ -0,0 +1,38 @@
+-- Business owner claims.
+-- An owner claims a listing by proving control of an email address at the
+-- business's website domain or of its listed phone number. Verified owners
+-- sign in with a code sent to their email and propose edits, which land in
+-- pending_changes with source 'owner' for an admin to accept or reject.
+
+CREATE TABLE IF NOT EXISTS business_claims (
+  id SERIAL PRIMARY KEY,
+  business_id INTEGER NOT NULL REFERENCES businesses(id) ON DELETE CASCADE,
+  name VARCHAR(255),
+  email VARCHAR(255) NOT NULL,
+  method VARCHAR(20) NOT NULL, -- email, phone
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, verified, revoked
+  verified_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One verified owner per business
+CREATE UNIQUE INDEX IF NOT EXISTS idx_business_claims_verified
+  ON business_claims (business_id) WHERE status = 'verified';
+CREATE INDEX IF NOT EXISTS idx_business_claims_email ON business_claims (email);
+
+-- One-time codes for claim verification (claim_id set) and owner sign-in
+CREATE TABLE IF NOT EXISTS owner_codes (
+  id SERIAL PRIMARY KEY,
+  email VARCHAR(255) NOT NULL,
+  claim_id INTEGER REFERENCES business_claims(id) ON DELETE CASCADE,
+  code_hash VARCHAR(64) NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_owner_codes_email ON owner_codes (email, created_at DESC);
+
+ALTER TABLE pending_changes
+  ADD COLUMN IF NOT EXISTS claim_id INTEGER REFERENCES business_claims(id) ON DELETE SET NULL;
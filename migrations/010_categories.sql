@@ -0,0 +1,105 @@
+-- Category taxonomy.
+-- Categories used to be a hardcoded map of Google primary types in the
+-- scraper and free text on businesses. Now they live in `categories` (with
+-- optional nesting through parent_id) and `type_mappings` says which category
+-- each Google primary type belongs to. Types seen in scrapes without a mapping
+-- are recorded with a NULL category_id so an admin can map them; until then
+-- their businesses go to the fallback "Services" category.
+-- businesses.category keeps the category name so existing queries and the
+-- API keep working; category_id is the source of truth.
+
+CREATE TABLE IF NOT EXISTS categories (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL UNIQUE,
+  slug VARCHAR(100) NOT NULL UNIQUE,
+  description TEXT,
+  icon VARCHAR(20),
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  parent_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS type_mappings (
+  google_type VARCHAR(100) PRIMARY KEY,
+  category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL, -- NULL = not mapped yet
+  seen_count INTEGER NOT NULL DEFAULT 0,
+  last_seen_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL;
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS primary_type VARCHAR(100);
+
+CREATE INDEX IF NOT EXISTS idx_businesses_category_id ON businesses (category_id);
+CREATE INDEX IF NOT EXISTS idx_businesses_primary_type ON businesses (primary_type);
+
+-- The categories the scraper used to hardcode
+INSERT INTO categories (name, slug, icon, sort_order, description) VALUES
+  ('Home Services', 'home-services', '🔧', 10, 'Plumbers, electricians, contractors, movers and other help around the house.'),
+  ('Food & Dining', 'food-dining', '🍽️', 20, 'Restaurants, cafes, bakeries, bars and takeout.'),
+  ('Healthcare', 'healthcare', '⚕️', 30, 'Doctors, dentists, pharmacies, physical therapists and vets.'),
+  ('Personal Care', 'personal-care', '💇', 40, 'Salons, spas, gyms and laundries.'),
+  ('Retail', 'retail', '🛍️', 50, 'Supermarkets, clothing, hardware, florists and other shops.'),
+  ('Professional Services', 'professional-services', '💼', 60, 'Lawyers, accountants, insurance and real estate agents.'),
+  ('Automotive', 'automotive', '🚗', 70, 'Car repair, car washes, dealers and gas stations.'),
+  ('Financial', 'financial', '💰', 80, 'Banks and ATMs.'),
+  ('Hospitality', 'hospitality', '🏨', 90, 'Hotels and other places to stay.'),
+  ('Education', 'education', '📚', 100, 'Schools and libraries.'),
+  ('Services', 'services', '🏪', 1000, 'Other local businesses and services.')
+ON CONFLICT (name) DO NOTHING;
+
+-- Any other category names already on businesses
+INSERT INTO categories (name, slug, sort_order)
+SELECT DISTINCT b.category,
+  trim(both '-' from regexp_replace(lower(b.category), '[^a-z0-9]+', '-', 'g')),
+  500
+FROM businesses b
+WHERE b.category IS NOT NULL AND b.category <> ''
+  AND NOT EXISTS (SELECT 1 FROM categories c WHERE c.name = b.category)
+ON CONFLICT DO NOTHING;
+
+INSERT INTO type_mappings (google_type, category_id)
+SELECT m.google_type, c.id
+FROM (VALUES
+  ('plumber', 'Home Services'), ('electrician', 'Home Services'), ('roofing_contractor', 'Home Services'),
+  ('painter', 'Home Services'), ('general_contractor', 'Home Services'), ('locksmith', 'Home Services'),
+  ('moving_company', 'Home Services'),
+  ('restaurant', 'Food & Dining'), ('cafe', 'Food & Dining'), ('bakery', 'Food & Dining'),
+  ('pizza_restaurant', 'Food & Dining'), ('bar', 'Food & Dining'), ('meal_delivery', 'Food & Dining'),
+  ('meal_takeaway', 'Food & Dining'),
+  ('doctor', 'Healthcare'), ('dentist', 'Healthcare'), ('pharmacy', 'Healthcare'),
+  ('physiotherapist', 'Healthcare'), ('veterinary_care', 'Healthcare'),
+  ('hair_care', 'Personal Care'), ('beauty_salon', 'Personal Care'), ('spa', 'Personal Care'),
+  ('gym', 'Personal Care'), ('laundry', 'Personal Care'),
+  ('supermarket', 'Retail'), ('convenience_store', 'Retail'), ('hardware_store', 'Retail'),
+  ('clothing_store', 'Retail'), ('shoe_store', 'Retail'), ('florist', 'Retail'), ('jewelry_store', 'Retail'),
+  ('lawyer', 'Professional Services'), ('accounting', 'Professional Services'),
+  ('insurance_agency', 'Professional Services'), ('real_estate_agency', 'Professional Services'),
+  ('car_repair', 'Automotive'), ('car_wash', 'Automotive'), ('car_dealer', 'Automotive'), ('gas_station', 'Automotive'),
+  ('bank', 'Financial'), ('atm', 'Financial'),
+  ('lodging', 'Hospitality'),
+  ('school', 'Education'), ('library', 'Education')
+) AS m (google_type, category_name)
+JOIN categories c ON c.name = m.category_name
+ON CONFLICT (google_type) DO NOTHING;
+
+-- subcategory holds the primary type with underscores turned into spaces
+UPDATE businesses SET primary_type = replace(subcategory, ' ', '_')
+WHERE primary_type IS NULL AND subcategory IS NOT NULL AND subcategory <> 'business';
+
+-- Types already in the directory that nobody has mapped yet
+INSERT INTO type_mappings (google_type, seen_count, last_seen_at)
+SELECT primary_type, COUNT(*), MAX(scraped_at)
+FROM businesses WHERE primary_type IS NOT NULL
+GROUP BY primary_type
+ON CONFLICT (google_type) DO NOTHING;
+
+UPDATE type_mappings t SET seen_count = counts.total
+FROM (SELECT primary_type, COUNT(*) AS total FROM businesses GROUP BY primary_type) counts
+WHERE counts.primary_type = t.google_type AND t.seen_count = 0;
+
+UPDATE businesses b SET category_id = c.id
+FROM categories c
+WHERE c.name = b.category AND b.category_id IS NULL;
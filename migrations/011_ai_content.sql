@@ -0,0 +1,34 @@
+-- AI-written content.
+-- Prompts live in prompt_templates: one default per kind (category_id NULL)
+-- plus optional per-category overrides. Placeholders in {{double braces}} are
+-- filled in by lib/ai-content.js.
+-- The latest AI draft of a description is kept in ai_generated_description;
+-- description is what's published and only changes when an admin accepts a
+-- draft (or edits it by hand).
+
+CREATE TABLE IF NOT EXISTS prompt_templates (
+  id SERIAL PRIMARY KEY,
+  kind VARCHAR(20) NOT NULL, -- description, keywords
+  category_id INTEGER REFERENCES categories(id) ON DELETE CASCADE, -- NULL = default
+  template TEXT NOT NULL,
+  max_tokens INTEGER NOT NULL DEFAULT 300,
+  updated_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_templates_kind_category
+  ON prompt_templates (kind, COALESCE(category_id, 0));
+
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS ai_model VARCHAR(100);
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS ai_generated_at TIMESTAMP;
+
+-- The prompts the scraper used to hardcode
+INSERT INTO prompt_templates (kind, category_id, template, max_tokens) VALUES
+  ('description', NULL, 'Write a friendly, SEO-optimized 150-word description for {{name}}, a {{type}} located at {{address}} in {{municipality}}, {{state}}. Focus on what makes them valuable to the local community. Use natural language and include keywords like "{{municipality}}" and "{{type}}". Write in third person.', 300),
+  ('keywords', NULL, 'Generate 8 SEO keywords for {{name}}, a {{type}} in {{municipality}}, {{state}}. Return only comma-separated keywords that locals might search for. Include variations with "{{municipality}}", "near me", and service-specific terms.', 150)
+ON CONFLICT DO NOTHING;
+
+-- Descriptions so far were all written by the AI
+UPDATE businesses SET ai_generated_description = description
+WHERE ai_generated_description IS NULL AND description IS NOT NULL;
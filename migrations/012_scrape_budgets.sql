@@ -0,0 +1,19 @@
+-- Scrape budgets.
+-- Each job gets caps on Google requests and AI tokens (lib/external-calls.js
+-- stops the run when one is reached) and records what it actually used.
+-- Listings whose AI step failed are saved with needs_content set instead of
+-- silently ending up without a description.
+
+ALTER TABLE scrape_jobs
+  ADD COLUMN IF NOT EXISTS max_google_requests INTEGER,
+  ADD COLUMN IF NOT EXISTS max_ai_tokens INTEGER,
+  ADD COLUMN IF NOT EXISTS estimated_cost NUMERIC(10, 2),
+  ADD COLUMN IF NOT EXISTS google_requests INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS ai_input_tokens INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS ai_output_tokens INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS cost NUMERIC(10, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS needs_content INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS needs_content BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_businesses_needs_content ON businesses (id) WHERE needs_content;
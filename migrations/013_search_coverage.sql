@@ -0,0 +1,27 @@
+-- Search coverage.
+-- A Text Search returns at most 20 places a page, so scrape jobs can follow
+-- nextPageToken for up to max_pages pages. Grid jobs split the municipality's
+-- bounding box into grid_size x grid_size cells and search each cell with a
+-- location bias, so dense types are covered across the whole town.
+
+ALTER TABLE municipalities
+  ADD COLUMN IF NOT EXISTS min_latitude DECIMAL(10, 8),
+  ADD COLUMN IF NOT EXISTS min_longitude DECIMAL(11, 8),
+  ADD COLUMN IF NOT EXISTS max_latitude DECIMAL(10, 8),
+  ADD COLUMN IF NOT EXISTS max_longitude DECIMAL(11, 8);
+
+ALTER TABLE scrape_jobs
+  ADD COLUMN IF NOT EXISTS max_pages INTEGER NOT NULL DEFAULT 1,
+  ADD COLUMN IF NOT EXISTS grid_size INTEGER; -- NULL = one search for the whole municipality
+
+-- Approximate town limits
+UPDATE municipalities m SET
+  min_latitude = b.min_latitude, min_longitude = b.min_longitude,
+  max_latitude = b.max_latitude, max_longitude = b.max_longitude
+FROM (VALUES
+  ('fair-lawn', 40.9155, -74.1450, 40.9575, -74.0950),
+  ('glen-rock', 40.9500, -74.1500, 40.9750, -74.1120),
+  ('radburn', 40.9320, -74.1300, 40.9460, -74.1120),
+  ('paramus', 40.9210, -74.1050, 40.9770, -74.0400)
+) AS b (slug, min_latitude, min_longitude, max_latitude, max_longitude)
+WHERE m.slug = b.slug AND m.min_latitude IS NULL;
@@ -0,0 +1,44 @@
+-- Municipality boundaries.
+-- Scraped places used to be kept when the city part of their address
+-- contained the town name. Now each municipality can carry its boundary as a
+-- GeoJSON Polygon or MultiPolygon (imported with import-boundary.js) and
+-- places are kept when their location falls inside it. Without a boundary
+-- (or a location) the ZIP code of the address is checked against zip_codes.
+-- Places turned away are kept in rejected_places with the reason so an admin
+-- can add them anyway from the dashboard.
+
+ALTER TABLE municipalities
+  ADD COLUMN IF NOT EXISTS boundary JSONB, -- GeoJSON geometry
+  ADD COLUMN IF NOT EXISTS zip_codes TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE TABLE IF NOT EXISTS rejected_places (
+  id SERIAL PRIMARY KEY,
+  municipality_id INTEGER NOT NULL REFERENCES municipalities(id) ON DELETE CASCADE,
+  google_place_id VARCHAR(255) NOT NULL,
+  name VARCHAR(255),
+  address TEXT,
+  latitude DECIMAL(10, 8),
+  longitude DECIMAL(11, 8),
+  reason TEXT NOT NULL,
+  place JSONB NOT NULL, -- the Places API result, so an override can add it without searching again
+  scrape_job_id INTEGER REFERENCES scrape_jobs(id) ON DELETE SET NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, overridden, dismissed
+  resolved_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+  business_id INTEGER REFERENCES businesses(id) ON DELETE SET NULL, -- the listing an override created
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  resolved_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rejected_places_place
+  ON rejected_places (municipality_id, google_place_id);
+CREATE INDEX IF NOT EXISTS idx_rejected_places_status ON rejected_places (status, last_seen_at DESC);
+
+UPDATE municipalities m SET zip_codes = z.zip_codes
+FROM (VALUES
+  ('fair-lawn', ARRAY['07410']),
+  ('glen-rock', ARRAY['07452']),
+  ('radburn', ARRAY['07410']),
+  ('paramus', ARRAY['07652', '07653'])
+) AS z (slug, zip_codes)
+WHERE m.slug = z.slug AND m.zip_codes = '{}';
@@ -0,0 +1,23 @@
+-- Duplicate listings.
+-- The scraper only recognises a place it has seen by google_place_id, so the
+-- same business under another place id (a relocation, a chain re-listing) or
+-- entered by hand ends up listed twice. lib/duplicates.js scores candidate
+-- pairs and /admin/duplicates merges them: one listing is kept and the other
+-- is soft deleted with merged_into_id pointing at it, so its old URL can
+-- redirect. Pairs an admin decided are not duplicates are remembered in
+-- duplicate_dismissals.
+
+ALTER TABLE businesses
+  ADD COLUMN IF NOT EXISTS merged_into_id INTEGER REFERENCES businesses(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_businesses_merged_into
+  ON businesses (merged_into_id) WHERE merged_into_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS duplicate_dismissals (
+  business_id INTEGER NOT NULL REFERENCES businesses(id) ON DELETE CASCADE,
+  other_business_id INTEGER NOT NULL REFERENCES businesses(id) ON DELETE CASCADE,
+  dismissed_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (business_id, other_business_id),
+  CHECK (business_id < other_business_id) -- each pair is stored once, lower id first
+);
@@ -0,0 +1,34 @@
+-- Slug history.
+-- Editing a business used to regenerate its slug from the new name, breaking
+-- links to the old URL. Slugs now only change when an admin sets one, and
+-- every slug a business had is kept in slug_history so /business/:slug can
+-- 301 to the current one. A trigger records the old slug on every update
+-- path (edits, audit reverts) and gives a slug back when a business takes
+-- it again.
+-- Current slugs and old slugs share one namespace: lib/slugs.js won't hand
+-- out a slug that's in either, ignoring case.
+
+CREATE TABLE IF NOT EXISTS slug_history (
+  slug VARCHAR(255) PRIMARY KEY,
+  business_id INTEGER NOT NULL REFERENCES businesses(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_slug_history_business ON slug_history (business_id);
+CREATE INDEX IF NOT EXISTS idx_slug_history_lower_slug ON slug_history (lower(slug));
+CREATE INDEX IF NOT EXISTS idx_businesses_lower_slug ON businesses (lower(slug));
+
+CREATE OR REPLACE FUNCTION businesses_slug_history() RETURNS trigger AS $$
+BEGIN
+  DELETE FROM slug_history WHERE slug = NEW.slug;
+  INSERT INTO slug_history (slug, business_id) VALUES (OLD.slug, NEW.id)
+  ON CONFLICT (slug) DO UPDATE SET business_id = EXCLUDED.business_id, created_at = CURRENT_TIMESTAMP;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS businesses_slug_history ON businesses;
+CREATE TRIGGER businesses_slug_history
+  AFTER UPDATE OF slug ON businesses
+  FOR EACH ROW WHEN (OLD.slug IS DISTINCT FROM NEW.slug)
+  EXECUTE FUNCTION businesses_slug_history();
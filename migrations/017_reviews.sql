@@ -0,0 +1,23 @@
+-- Community reviews.
+-- Residents rate a business (1-5 stars) with a short review from its public
+-- page. Reviews start pending and only show, and count towards the local
+-- rating, once an admin approves them from the dashboard. Google's
+-- rating/total_ratings on businesses are left as they are.
+-- The submitter's IP is only kept as a keyed hash, for the per-IP limit.
+
+CREATE TABLE IF NOT EXISTS reviews (
+  id SERIAL PRIMARY KEY,
+  business_id INTEGER NOT NULL REFERENCES businesses(id) ON DELETE CASCADE,
+  rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  author_name VARCHAR(100) NOT NULL,
+  body TEXT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, approved, rejected
+  ip_hash VARCHAR(64) NOT NULL,
+  moderated_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  moderated_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_reviews_business ON reviews (business_id, status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_reviews_status ON reviews (status, created_at);
+CREATE INDEX IF NOT EXISTS idx_reviews_ip ON reviews (ip_hash, created_at DESC);
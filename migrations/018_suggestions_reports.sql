@@ -0,0 +1,45 @@
+-- Public suggestions and problem reports.
+-- Visitors can suggest a business from /suggest. It's added as a pending
+-- listing (from Google Places when a lookup by name finds it in town) and
+-- business_suggestions keeps what they sent for the admin reviewing it.
+-- Suggestions of businesses that turn out to be listed already are kept
+-- too (without a business_id) so they count towards the per-IP limit.
+-- Visitors can also report a problem with a listing (closed, wrong hours,
+-- wrong contact details, duplicate); reports wait in a queue on the admin
+-- dashboard until they're resolved or dismissed.
+-- As with reviews, IPs are only kept as a keyed hash for the per-IP limits.
+
+CREATE TABLE IF NOT EXISTS business_suggestions (
+  id SERIAL PRIMARY KEY,
+  business_id INTEGER REFERENCES businesses(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  street VARCHAR(255),
+  phone VARCHAR(20),
+  website VARCHAR(255),
+  category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+  notes TEXT,
+  email VARCHAR(255),
+  matched_place BOOLEAN NOT NULL DEFAULT FALSE, -- the listing came from a Places lookup
+  ip_hash VARCHAR(64) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_business_suggestions_business ON business_suggestions (business_id);
+CREATE INDEX IF NOT EXISTS idx_business_suggestions_ip ON business_suggestions (ip_hash, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS business_reports (
+  id SERIAL PRIMARY KEY,
+  business_id INTEGER NOT NULL REFERENCES businesses(id) ON DELETE CASCADE,
+  type VARCHAR(20) NOT NULL, -- closed, wrong_hours, wrong_contact, duplicate
+  details TEXT,
+  email VARCHAR(255),
+  status VARCHAR(20) NOT NULL DEFAULT 'open', -- open, resolved, dismissed
+  ip_hash VARCHAR(64) NOT NULL,
+  resolved_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  resolved_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_business_reports_status ON business_reports (status, created_at);
+CREATE INDEX IF NOT EXISTS idx_business_reports_business ON business_reports (business_id, status);
+CREATE INDEX IF NOT EXISTS idx_business_reports_ip ON business_reports (ip_hash, created_at DESC);
@@ -0,0 +1,30 @@
+-- Phone numbers in E.164.
+-- Phones were stored as Google's national format, "(201) 555-1234". They're
+-- now stored as "+12015551234" (lib/business-fields.js normalises every
+-- phone that's saved) and formatted for display. This converts the US
+-- numbers already stored, and the values of open phone changes, so they
+-- compare equal to newly saved ones. Anything else is left as it was.
+
+UPDATE businesses
+SET phone = '+1' || right(regexp_replace(phone, '\D', '', 'g'), 10)
+WHERE phone NOT LIKE '+%'
+  AND regexp_replace(phone, '\D', '', 'g') ~ '^1?\d{10}$';
+
+UPDATE business_suggestions
+SET phone = '+1' || right(regexp_replace(phone, '\D', '', 'g'), 10)
+WHERE phone NOT LIKE '+%'
+  AND regexp_replace(phone, '\D', '', 'g') ~ '^1?\d{10}$';
+
+UPDATE pending_changes
+SET new_value = to_jsonb('+1' || right(regexp_replace(new_value #>> '{}', '\D', '', 'g'), 10))
+WHERE field = 'phone' AND status = 'pending'
+  AND jsonb_typeof(new_value) = 'string'
+  AND new_value #>> '{}' NOT LIKE '+%'
+  AND regexp_replace(new_value #>> '{}', '\D', '', 'g') ~ '^1?\d{10}$';
+
+UPDATE pending_changes
+SET old_value = to_jsonb('+1' || right(regexp_replace(old_value #>> '{}', '\D', '', 'g'), 10))
+WHERE field = 'phone' AND status = 'pending'
+  AND jsonb_typeof(old_value) = 'string'
+  AND old_value #>> '{}' NOT LIKE '+%'
+  AND regexp_replace(old_value #>> '{}', '\D', '', 'g') ~ '^1?\d{10}$';
@@ -0,0 +1,10 @@
+-- Admin dashboard paging.
+-- The dashboard's business table (lib/admin-listings.js) is filtered by
+-- status and sorted by scrape date by default, and searched by name with
+-- ILIKE substring matches, which a trigram index can serve.
+
+CREATE INDEX IF NOT EXISTS idx_businesses_status_scraped_at
+  ON businesses (status, scraped_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_businesses_name_trgm
+  ON businesses USING gin (name gin_trgm_ops);
@@ -0,0 +1,9 @@
+-- Scrape job heartbeats.
+-- The worker running a job bumps heartbeat_at every few seconds
+-- (lib/scrape-jobs.js). A running job whose heartbeat has gone quiet belongs
+-- to a server that stopped or crashed, and is the only kind marked failed;
+-- jobs other live instances are running are left alone.
+
+ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMP;
+
+UPDATE scrape_jobs SET heartbeat_at = updated_at WHERE status = 'running' AND heartbeat_at IS NULL;
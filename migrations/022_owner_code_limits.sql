@@ -0,0 +1,10 @@
+-- Limits on owner verification codes.
+-- Claim codes can go out as SMS or calls to a listing's phone, so besides
+-- the per-email limit they're limited per requesting IP (stored as a keyed
+-- hash, see lib/public-forms.js) and per business (see lib/owner-claims.js).
+
+ALTER TABLE owner_codes ADD COLUMN IF NOT EXISTS ip_hash VARCHAR(64);
+
+CREATE INDEX IF NOT EXISTS idx_owner_codes_ip ON owner_codes (ip_hash, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_owner_codes_claim ON owner_codes (claim_id);
+CREATE INDEX IF NOT EXISTS idx_business_claims_business ON business_claims (business_id);
@@ -0,0 +1,12 @@
+-- Photo uploads from business owners.
+-- Each upload is stored as a file before an admin reviews it, so uploads are
+-- limited per owner email (see lib/owner-claims.js). One row per upload.
+
+CREATE TABLE IF NOT EXISTS owner_photo_uploads (
+  id SERIAL PRIMARY KEY,
+  email VARCHAR(255) NOT NULL,
+  business_id INTEGER REFERENCES businesses(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_owner_photo_uploads_email ON owner_photo_uploads (email, created_at DESC);
@@ -0,0 +1,310 @@
+const express = require('express');
+const crypto = require('crypto');
+const openapi = require('./openapi.json');
+const { getMunicipalities, DEFAULT_SLUG } = require('../lib/municipalities');
+const { buildListingQuery, fetchListingPage, fetchAllListings } = require('../lib/listings');
+const { parsePoint, parseBounds } = require('../lib/geo');
+const { highlightSnippet } = require('../lib/search');
+const { findRedirect } = require('../lib/slugs');
+
+const DEFAULT_PER_PAGE = 24;
+const MAX_PER_PAGE = 100;
+const MAX_MAP_MARKERS = 1000;
+
+// Public read-only JSON API (mounted at /api/v1).
+// Only approved businesses are ever exposed.
+function createApiRouter(pool) {
+  const router = express.Router();
+
+  // Partners call this from their own sites
+  router.use((req, res, next) => {
+    res.set('Access-Control-Allow-Origin', '*');
+    next();
+  });
+
+  // Optional ?municipality=<slug> filter. Returns undefined for "all
+  // municipalities" and null for an unknown slug.
+  async function municipalityFilter(req) {
+    if (!req.query.municipality) return undefined;
+    const municipalities = await getMunicipalities(pool);
+    return municipalities.find(m => m.slug === req.query.municipality) || null;
+  }
+
+  // Absolute link to the public HTML page for a business
+  function businessUrl(req, business, municipalities) {
+    const municipality = municipalities.find(m => m.id === business.municipality_id);
+    const basePath = municipality && municipality.slug !== DEFAULT_SLUG ? `/${municipality.slug}` : '';
+    return `${req.protocol}://${req.get('host')}${basePath}/business/${business.slug}`;
+  }
+
+  // Public representation of a business row
+  function serializeBusiness(req, business, municipalities) {
+    const municipality = municipalities.find(m => m.id === business.municipality_id);
+    return {
+      id: business.id,
+      slug: business.slug,
+      name: business.name,
+      category: business.category,
+      subcategory: business.subcategory,
+      description: business.description,
+      address: {
+        street: business.street,
+        city: business.city,
+        state: business.state,
+        zip: business.zip
+      },
+      location: business.latitude && business.longitude
+        ? { latitude: parseFloat(business.latitude), longitude: parseFloat(business.longitude) }
+        : null,
+      phone: business.phone,
+      website: business.website,
+      google_maps_url: business.google_maps_url,
+      image_url: business.image_url && business.image_url.startsWith('/')
+        ? `${req.protocol}://${req.get('host')}${business.image_url}`
+        : business.image_url,
+      rating: business.rating !== null ? parseFloat(business.rating) : null,
+      total_ratings: business.total_ratings,
+      price_level: business.price_level,
+      opening_hours: business.opening_hours,
+      keywords: business.keywords || [],
+      municipality: municipality ? municipality.slug : null,
+      url: businessUrl(req, business, municipalities),
+      updated_at: business.updated_at
+    };
+  }
+
+  // ETag/Last-Modified from updated_at; returns true if the client's copy is fresh
+  function isNotModified(req, res, lastModified, etagSource) {
+    if (lastModified) {
+      res.set('Last-Modified', new Date(lastModified).toUTCString());
+    }
+    res.set('ETag', `W/"${crypto.createHash('sha1').update(etagSource).digest('hex')}"`);
+    res.set('Cache-Control', 'public, max-age=300');
+    return req.fresh;
+  }
+
+  // Same URL with a different page number, for pagination links
+  function pageLink(req, page) {
+    const query = new URLSearchParams(req.query);
+    query.set('page', page);
+    return `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}?${query}`;
+  }
+
+  // OpenAPI document describing this API
+  router.get('/openapi.json', (req, res) => {
+    res.json({
+      ...openapi,
+      servers: [{ url: `${req.protocol}://${req.get('host')}${req.baseUrl}` }]
+    });
+  });
+
+  // List / search businesses
+  router.get('/businesses', async (req, res) => {
+    try {
+      const municipality = await municipalityFilter(req);
+      if (municipality === null) {
+        return res.status(400).json({ error: 'Unknown municipality' });
+      }
+
+      const perPage = Math.max(1, Math.min(parseInt(req.query.per_page) || DEFAULT_PER_PAGE, MAX_PER_PAGE));
+      const listing = buildListingQuery({
+        municipalityId: municipality ? municipality.id : null,
+        search: req.query.search,
+        category: req.query.category,
+        rating: req.query.rating,
+        price: req.query.price,
+        openNow: req.query.open_now === 'true',
+        near: parsePoint(req.query.lat, req.query.lng),
+        sort: req.query.sort
+      });
+      const result = await fetchListingPage(pool, listing, req.query.page, perPage);
+
+      const etagSource = `${req.originalUrl}|${result.total}|${result.lastModified ? new Date(result.lastModified).getTime() : ''}`;
+      if (isNotModified(req, res, result.lastModified, etagSource)) {
+        return res.status(304).end();
+      }
+
+      const municipalities = await getMunicipalities(pool);
+      res.json({
+        data: result.rows.map(business => {
+          const data = serializeBusiness(req, business, municipalities);
+          if (listing.search) {
+            data.snippet_html = highlightSnippet(business.snippet);
+          }
+          if (listing.distance) {
+            data.distance_meters = business.distance_meters === null ? null : Math.round(business.distance_meters);
+          }
+          return data;
+        }),
+        meta: {
+          page: result.page,
+          per_page: result.perPage,
+          total: result.total,
+          total_pages: result.totalPages,
+          sort: listing.sortBy
+        },
+        links: {
+          self: pageLink(req, result.page),
+          next: result.page < result.totalPages ? pageLink(req, result.page + 1) : null,
+          prev: result.page > 1 ? pageLink(req, Math.min(result.page - 1, result.totalPages || 1)) : null
+        }
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Map markers: businesses with coordinates inside a bounding box
+  // (bbox=west,south,east,north; anywhere without one), with the same filters
+  // as /businesses.
+  // Capped at MAX_MAP_MARKERS, highest rated first.
+  router.get('/map', async (req, res) => {
+    try {
+      const municipality = await municipalityFilter(req);
+      if (municipality === null) {
+        return res.status(400).json({ error: 'Unknown municipality' });
+      }
+      const bounds = parseBounds(req.query.bbox);
+      if (req.query.bbox && !bounds) {
+        return res.status(400).json({ error: 'bbox must be west,south,east,north' });
+      }
+
+      const listing = buildListingQuery({
+        municipalityId: municipality ? municipality.id : null,
+        search: req.query.search,
+        category: req.query.category,
+        rating: req.query.rating,
+        price: req.query.price,
+        openNow: req.query.open_now === 'true',
+        bounds: bounds || { west: -180, south: -90, east: 180, north: 90 },
+        sort: 'rating'
+      });
+      const rows = await fetchAllListings(pool, listing, MAX_MAP_MARKERS + 1);
+      const businesses = rows.slice(0, MAX_MAP_MARKERS);
+
+      const lastModified = businesses.reduce(
+        (latest, business) => (!latest || business.updated_at > latest ? business.updated_at : latest),
+        null
+      );
+      const etagSource = `${req.originalUrl}|${businesses.map(business => business.id).join(',')}|${lastModified ? new Date(lastModified).getTime() : ''}`;
+      if (isNotModified(req, res, lastModified, etagSource)) {
+        return res.status(304).end();
+      }
+
+      const municipalities = await getMunicipalities(pool);
+      res.json({
+        data: businesses.map(business => ({
+          id: business.id,
+          slug: business.slug,
+          name: business.name,
+          category: business.subcategory || business.category,
+          rating: business.rating !== null ? parseFloat(business.rating) : null,
+          total_ratings: business.total_ratings,
+          latitude: parseFloat(business.latitude),
+          longitude: parseFloat(business.longitude),
+          url: businessUrl(req, business, municipalities)
+        })),
+        meta: {
+          count: businesses.length,
+          truncated: rows.length > MAX_MAP_MARKERS
+        }
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Single business by slug
+  router.get('/businesses/:slug', async (req, res) => {
+    try {
+      const result = await pool.query(
+        "SELECT * FROM businesses WHERE slug = $1 AND status = 'approved'",
+        [req.params.slug]
+      );
+      if (result.rows.length === 0) {
+        // Old slugs and merged listings point at the current slug
+        const target = await findRedirect(pool, req.params.slug);
+        if (target) {
+          return res.redirect(301, `${req.baseUrl}/businesses/${target.slug}`);
+        }
+        return res.status(404).json({ error: 'Business not found' });
+      }
+
+      const business = result.rows[0];
+      const etagSource = `${business.id}|${business.updated_at ? new Date(business.updated_at).getTime() : ''}`;
+      if (isNotModified(req, res, business.updated_at, etagSource)) {
+        return res.status(304).end();
+      }
+
+      const municipalities = await getMunicipalities(pool);
+      res.json({ data: serializeBusiness(req, business, municipalities) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Categories with approved business counts
+  router.get('/categories', async (req, res) => {
+    try {
+      const municipality = await municipalityFilter(req);
+      if (municipality === null) {
+        return res.status(400).json({ error: 'Unknown municipality' });
+      }
+
+      const params = [];
+      let where = "b.status = 'approved'";
+      if (municipality) {
+        params.push(municipality.id);
+        where += ' AND b.municipality_id = $1';
+      }
+
+      // Counts are for the category itself, not including subcategories
+      const result = await pool.query(
+        `SELECT c.id, c.name, c.slug, c.description, c.icon, p.slug AS parent_slug,
+           COUNT(*) AS business_count, MAX(b.updated_at) AS last_modified
+         FROM businesses b
+         JOIN categories c ON c.id = b.category_id
+         LEFT JOIN categories p ON p.id = c.parent_id
+         WHERE ${where}
+         GROUP BY c.id, p.slug
+         ORDER BY c.sort_order, c.name`,
+        params
+      );
+
+      const lastModified = result.rows.reduce(
+        (latest, row) => (!latest || row.last_modified > latest ? row.last_modified : latest),
+        null
+      );
+      const etagSource = `${req.originalUrl}|${result.rows.map(row => `${row.slug}:${row.name}:${row.parent_slug}:${row.business_count}`).join(',')}|${lastModified ? new Date(lastModified).getTime() : ''}`;
+      if (isNotModified(req, res, lastModified, etagSource)) {
+        return res.status(304).end();
+      }
+
+      res.json({
+        data: result.rows.map(row => ({
+          name: row.name,
+          slug: row.slug,
+          description: row.description,
+          icon: row.icon,
+          parent: row.parent_slug,
+          business_count: parseInt(row.business_count)
+        }))
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Unknown API paths get JSON, not the HTML 404
+  router.use((req, res) => {
+    res.status(404).json({ error: 'Not found' });
+  });
+
+  return router;
+}
+
+module.exports = createApiRouter;
@@ -0,0 +1,261 @@
+const express = require('express');
+const ownerClaims = require('../lib/owner-claims');
+const photos = require('../lib/photos');
+const { toDailyHours, buildOpeningHours, readHoursForm } = require('../lib/hours');
+const { checkField } = require('../lib/business-fields');
+const { normalizeEmail } = require('../lib/email');
+const { DEFAULT_SLUG } = require('../lib/municipalities');
+const { csrfProtection } = require('../lib/auth');
+
+const MAX_DESCRIPTION_LENGTH = 2000;
+
+// Business owner pages (mounted at /owner): claiming a listing, signing in
+// with an emailed code and proposing edits for admin review.
+function createOwnerRouter(pool) {
+  const router = express.Router();
+
+  router.use(csrfProtection);
+  router.use((req, res, next) => {
+    res.locals.ownerEmail = req.session.ownerEmail || null;
+    next();
+  });
+
+  function requireOwner(req, res, next) {
+    if (!req.session.ownerEmail) {
+      return res.redirect('/owner/login');
+    }
+    next();
+  }
+
+  // Approved business plus the public path of its page
+  async function findBusiness(businessId) {
+    const result = await pool.query(
+      `SELECT b.*, m.slug AS municipality_slug
+       FROM businesses b LEFT JOIN municipalities m ON m.id = b.municipality_id
+       WHERE b.id = $1 AND b.status = 'approved'`,
+      [parseInt(businessId) || 0]
+    );
+    const business = result.rows[0];
+    if (business) {
+      const basePath = business.municipality_slug && business.municipality_slug !== DEFAULT_SLUG
+        ? `/${business.municipality_slug}` : '';
+      business.publicPath = `${basePath}/business/${business.slug}`;
+    }
+    return business || null;
+  }
+
+  // Start a claim
+  router.get('/claim/:businessId', async (req, res) => {
+    try {
+      const business = await findBusiness(req.params.businessId);
+      if (!business) {
+        return res.status(404).send('Business not found');
+      }
+      res.render('owner/claim', {
+        business,
+        methods: ownerClaims.claimMethods(business),
+        claimed: Boolean(await ownerClaims.getVerifiedClaim(pool, business.id)),
+        values: {}
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).send('Server error');
+    }
+  });
+
+  router.post('/claim/:businessId', async (req, res) => {
+    try {
+      const business = await findBusiness(req.params.businessId);
+      if (!business) {
+        return res.status(404).send('Business not found');
+      }
+
+      const result = await ownerClaims.createClaim(pool, business, req.body, req.ip);
+      if (result.error) {
+        return res.status(result.rateLimited ? 429 : 400).render('owner/claim', {
+          business,
+          methods: ownerClaims.claimMethods(business),
+          claimed: false,
+          values: req.body,
+          error: result.error
+        });
+      }
+
+      req.session.ownerVerification = {
+        email: result.claim.email,
+        claimId: result.claim.id,
+        sentTo: result.sentTo,
+        businessName: business.name
+      };
+      res.redirect('/owner/verify');
+    } catch (err) {
+      console.error(err);
+      res.status(500).send('Server error');
+    }
+  });
+
+  // Enter a code (claim verification or sign-in)
+  router.get('/verify', (req, res) => {
+    if (!req.session.ownerVerification) {
+      return res.redirect('/owner/login');
+    }
+    res.render('owner/verify', { verification: req.session.ownerVerification });
+  });
+
+  router.post('/verify', async (req, res) => {
+    const verification = req.session.ownerVerification;
+    if (!verification) {
+      return res.redirect('/owner/login');
+    }
+
+    try {
+      const result = await ownerClaims.verifyCode(pool, verification.email, verification.claimId, req.body.code);
+      if (result.error) {
+        return res.status(400).render('owner/verify', { verification, error: result.error });
+      }
+
+      // New session id once signed in
+      req.session.regenerate(err => {
+        if (err) {
+          console.error(err);
+          return res.status(500).send('Server error');
+        }
+        req.session.ownerEmail = result.email;
+        res.redirect('/owner');
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).send('Server error');
+    }
+  });
+
+  // Sign in with an emailed code
+  router.get('/login', (req, res) => {
+    if (req.session.ownerEmail) {
+      return res.redirect('/owner');
+    }
+    res.render('owner/login');
+  });
+
+  router.post('/login', async (req, res) => {
+    try {
+      const email = normalizeEmail(req.body.email);
+      await ownerClaims.startSignIn(pool, email, req.ip);
+      req.session.ownerVerification = { email, claimId: null, sentTo: email, businessName: null };
+      res.redirect('/owner/verify');
+    } catch (err) {
+      console.error(err);
+      res.status(500).send('Server error');
+    }
+  });
+
+  router.get('/logout', (req, res) => {
+    req.session.destroy();
+    res.redirect('/owner/login');
+  });
+
+  // Owner dashboard - listings this email has claimed
+  router.get('/', requireOwner, async (req, res) => {
+    try {
+      const businesses = await ownerClaims.listOwnedBusinesses(pool, req.session.ownerEmail);
+      res.render('owner/dashboard', { businesses });
+    } catch (err) {
+      console.error(err);
+      res.status(500).send('Server error');
+    }
+  });
+
+  // Edit form for a claimed listing
+  router.get('/business/:id', requireOwner, async (req, res) => {
+    try {
+      const business = await ownerClaims.getOwnedBusiness(pool, req.session.ownerEmail, req.params.id);
+      if (!business) {
+        return res.status(404).send('Business not found');
+      }
+      await renderEditPage(req, res, business);
+    } catch (err) {
+      console.error(err);
+      res.status(500).send('Server error');
+    }
+  });
+
+  // The edit form. form carries a rejected submission: { values, error }.
+  async function renderEditPage(req, res, business, form = {}) {
+    const hours = form.values ? buildOpeningHours(readHoursForm(form.values)) : business.opening_hours;
+    res.render('owner/edit', {
+      business,
+      values: form.values || null,
+      error: form.error || null,
+      dailyHours: toDailyHours(hours),
+      changes: await ownerClaims.listOwnerChanges(pool, business.id),
+      submitted: req.query.submitted === '1',
+      skipped: req.query.skipped ? String(req.query.skipped).split(',') : []
+    });
+  }
+
+  // Queue the edited fields for admin review
+  router.post('/business/:id', requireOwner, async (req, res) => {
+    try {
+      const business = await ownerClaims.getOwnedBusiness(pool, req.session.ownerEmail, req.params.id);
+      if (!business) {
+        return res.status(404).send('Business not found');
+      }
+
+      // Checked like the admin edit form, so an accepted change always saves
+      const values = {
+        description: (req.body.description || '').trim().substring(0, MAX_DESCRIPTION_LENGTH) || null
+      };
+      for (const field of ['phone', 'website']) {
+        const checked = checkField(field, req.body[field]);
+        if (checked.error) {
+          res.status(400);
+          return renderEditPage(req, res, business, { values: req.body, error: checked.error });
+        }
+        values[field] = checked.value;
+      }
+
+      // Only propose hours when the form differs from what's live
+      const submittedHours = buildOpeningHours(readHoursForm(req.body));
+      if (JSON.stringify(toDailyHours(submittedHours)) !== JSON.stringify(toDailyHours(business.opening_hours))) {
+        values.opening_hours = submittedHours;
+      }
+
+      const result = await ownerClaims.proposeChanges(pool, business, values);
+      const query = result.skipped.length > 0 ? `&skipped=${result.skipped.join(',')}` : '';
+      res.redirect(`/owner/business/${business.id}?submitted=1${query}`);
+    } catch (err) {
+      console.error(err);
+      res.status(500).send('Server error');
+    }
+  });
+
+  // Propose a new photo; sent as the raw file body like the admin upload
+  router.post('/business/:id/photo', express.raw({ type: 'image/*', limit: photos.MAX_UPLOAD_BYTES }), async (req, res) => {
+    if (!req.session.ownerEmail) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+    if (!photos.isSupportedImage(req.get('Content-Type'), req.body)) {
+      return res.status(400).json({ error: 'Upload a JPEG, PNG or WebP image' });
+    }
+
+    try {
+      const business = await ownerClaims.getOwnedBusiness(pool, req.session.ownerEmail, req.params.id);
+      if (!business) {
+        return res.status(404).json({ error: 'Business not found' });
+      }
+
+      const result = await ownerClaims.proposePhoto(pool, business, req.session.ownerEmail, req.body);
+      if (result.error) {
+        return res.status(429).json({ error: result.error });
+      }
+      res.json({ success: true, queued: result.queued });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createOwnerRouter;
@@ -1,14 +1,67 @@
 const axios = require('axios');
-const Anthropic = require('@anthropic-ai/sdk');
+const { downloadPlacePhoto } = require('../lib/photos');
+const { categorizeType, slugify } = require('../lib/categories');
+const { uniqueSlug } = require('../lib/slugs');
+const { normalizePhone } = require('../lib/business-fields');
+const aiContent = require('../lib/ai-content');
+const { checkLocation } = require('../lib/boundaries');
+const { BUDGET_EXCEEDED, DEFAULT_CONCURRENCY, describeError, withRetry, mapLimit } = require('../lib/external-calls');
 
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
+const REQUEST_TIMEOUT_MS = 30000;
+const PAGE_SIZE = 20; // the most Text Search returns per page
+const DEFAULT_MAX_PAGES = parseInt(process.env.SCRAPE_MAX_PAGES) || 3;
+
+// Split a bounding box ({ low, high }, each { latitude, longitude }) into
+// size x size equal cells
+function gridCells(bounds, size) {
+  const latStep = (bounds.high.latitude - bounds.low.latitude) / size;
+  const lngStep = (bounds.high.longitude - bounds.low.longitude) / size;
+  const cells = [];
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      cells.push({
+        low: { latitude: bounds.low.latitude + row * latStep, longitude: bounds.low.longitude + col * lngStep },
+        high: { latitude: bounds.low.latitude + (row + 1) * latStep, longitude: bounds.low.longitude + (col + 1) * lngStep }
+      });
+    }
+  }
+  return cells;
+}
 
 class BusinessScraper {
-  constructor(googleApiKey, municipality = { name: 'Fair Lawn', state: 'NJ' }) {
+  // options.log receives progress messages (defaults to console.log)
+  // options.budget (see lib/external-calls.js) caps Google requests and AI tokens
+  // options.concurrency is how many places are processed at once
+  // options.maxPages is how many result pages each search follows
+  // options.gridSize and options.bounds turn on grid search: the bounding box
+  // is split into gridSize x gridSize cells and each one is searched
+  // options.onReject(place, reason) is called (and awaited) for each place
+  // turned away for being outside the municipality
+  // The municipality can be a full municipalities row, whose boundary and
+  // zip_codes are used to validate locations (see lib/boundaries.js)
+  constructor(googleApiKey, municipality = { name: 'Fair Lawn', state: 'NJ' }, options = {}) {
     this.googleApiKey = googleApiKey;
     this.municipality = municipality;
+    this.log = options.log || console.log;
+    this.budget = options.budget || null;
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    this.maxPages = options.maxPages || DEFAULT_MAX_PAGES;
+    this.gridSize = options.gridSize || null;
+    this.bounds = options.bounds || null;
+    this.onReject = options.onReject || null;
+  }
+
+  // Every Google call goes through here: counted against the budget and
+  // retried on rate limits and server errors
+  async googleRequest(kind, label, config) {
+    return withRetry(() => {
+      if (this.budget) this.budget.useGoogle(kind);
+      return axios({
+        timeout: REQUEST_TIMEOUT_MS,
+        ...config,
+        headers: { 'X-Goog-Api-Key': this.googleApiKey, ...config.headers }
+      });
+    }, { label, log: this.log });
   }
 
   // Convert Google's price level strings to integers
@@ -23,23 +76,10 @@ class BusinessScraper {
     
     return priceLevelMap[priceLevel] || null;
   }
-// Validate that business is actually in the target municipality
-  validateLocation(formattedAddress) {
-    // Parse the address - Google format is typically: "Street, City State ZIP, Country"
-    const addressParts = formattedAddress.split(',').map(part => part.trim());
-    
-    // The city is typically in the second part (index 1)
-    // Example: "123 Main St, Fair Lawn, NJ 07410, USA"
-    const cityStatePart = addressParts[1] || '';
-    
-    // Check if the city matches our target municipality
-    const cityMatch = cityStatePart.toLowerCase().includes(this.municipality.name.toLowerCase());
-    
-    return {
-      isValid: cityMatch,
-      detectedCity: cityStatePart,
-      reason: cityMatch ? null : `Business located in ${cityStatePart}, not ${this.municipality.name}`
-    };
+// Validate that business is actually in the target municipality: inside its
+  // boundary, else by ZIP code, else by the city in the address
+  validateLocation(place) {
+    return checkLocation(this.municipality, place);
   }
   // Check if business already exists in database
   async checkDuplicate(googlePlaceId, pool) {
@@ -56,121 +96,159 @@ class BusinessScraper {
       return false;
     }
   }
-  // Search for businesses by type in Fair Lawn
-  async searchBusinesses(businessType, maxResults = 20) {
-    try {
-      const response = await axios.post(
-        'https://places.googleapis.com/v1/places:searchText',
-        {
-          textQuery: `${businessType} in ${this.municipality.name}, ${this.municipality.state}`,
-          maxResultCount: maxResults
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'X-Goog-Api-Key': this.googleApiKey,
-            'X-Goog-FieldMask': 'places.id,places.displayName,places.formattedAddress,places.location,places.rating,places.userRatingCount,places.priceLevel,places.regularOpeningHours,places.websiteUri,places.nationalPhoneNumber,places.googleMapsUri,places.primaryType,places.types'
-          }
+  // Search for businesses by type in Fair Lawn, following nextPageToken for
+  // up to this.maxPages pages. With a cell ({ low, high }) the search is
+  // biased towards that rectangle instead of naming the town.
+  // Throws if a request fails.
+  async searchBusinesses(businessType, cell = null) {
+    const query = cell
+      ? { textQuery: businessType, locationBias: { rectangle: cell } }
+      : { textQuery: `${businessType} in ${this.municipality.name}, ${this.municipality.state}` };
+    const places = [];
+    let pageToken = null;
+
+    for (let page = 1; page <= this.maxPages; page++) {
+      const response = await this.googleRequest('search', `Search for "${businessType}" (page ${page})`, {
+        method: 'post',
+        url: 'https://places.googleapis.com/v1/places:searchText',
+        data: { ...query, pageSize: PAGE_SIZE, ...(pageToken ? { pageToken } : {}) },
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Goog-FieldMask': 'nextPageToken,places.id,places.displayName,places.formattedAddress,places.location,places.rating,places.userRatingCount,places.priceLevel,places.regularOpeningHours,places.websiteUri,places.nationalPhoneNumber,places.googleMapsUri,places.primaryType,places.types,places.businessStatus,places.photos'
         }
-      );
+      });
 
-      console.log(`✓ Found ${response.data.places?.length || 0} businesses for "${businessType}"`);
-      return response.data.places || [];
-    } catch (error) {
-      console.error('Error searching businesses:', error.response?.data || error.message);
-      return [];
+      places.push(...(response.data.places || []));
+      pageToken = response.data.nextPageToken;
+      if (!pageToken) break;
     }
+
+    return places;
   }
 
-  // Get photo URL for a place
-  async getPhotoUrl(photoName) {
-    if (!photoName) return null;
-    
-    try {
-      const response = await axios.get(
-        `https://places.googleapis.com/v1/${photoName}/media`,
-        {
-          headers: {
-            'X-Goog-Api-Key': this.googleApiKey
-          },
-          params: {
-            maxWidthPx: 800,
-            maxHeightPx: 600
-          }
-        }
-      );
-      return response.request.res.responseUrl;
-    } catch (error) {
-      console.error('Error getting photo:', error.message);
-      return null;
+  // Every place for a business type: one search for the whole municipality,
+  // or one per grid cell when grid search is on. Places are de-duplicated
+  // by id.
+  async findPlaces(businessType) {
+    if (this.gridSize && !this.bounds) {
+      this.log(`⚠️  No bounding box for ${this.municipality.name} - searching the whole town instead of a grid`);
+    }
+    const cells = this.gridSize && this.bounds ? gridCells(this.bounds, this.gridSize) : [null];
+    const places = new Map();
+
+    for (const [index, cell] of cells.entries()) {
+      const found = await this.searchBusinesses(businessType, cell);
+      const before = places.size;
+      for (const place of found) {
+        if (!places.has(place.id)) places.set(place.id, place);
+      }
+      if (cell) {
+        this.log(`  ✓ Cell ${index + 1}/${cells.length}: ${found.length} found, ${places.size - before} new`);
+      }
     }
+
+    this.log(`✓ Found ${places.size} businesses for "${businessType}"`);
+    return [...places.values()];
   }
 
-  // Generate AI description using Claude
-  async generateDescription(businessName, businessType, address) {
+  // Fetch current details for a place we already have (used by refresh jobs).
+  // Returns null if Google doesn't know the place any more; other failures
+  // are thrown.
+  async getPlaceDetails(placeId) {
     try {
-      const message = await anthropic.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 300,
-        messages: [{
-          role: 'user',
-          content: `Write a friendly, SEO-optimized 150-word description for ${businessName}, a ${businessType} located at ${address} in ${this.municipality.name}, ${this.municipality.state}. Focus on what makes them valuable to the local community. Use natural language and include keywords like "${this.municipality.name}" and "${businessType}". Write in third person.`
-        }]
+      const response = await this.googleRequest('details', `Details for ${placeId}`, {
+        method: 'get',
+        url: `https://places.googleapis.com/v1/places/${placeId}`,
+        headers: {
+          'X-Goog-FieldMask': 'id,displayName,rating,userRatingCount,regularOpeningHours,websiteUri,nationalPhoneNumber,businessStatus,primaryType,photos'
+        }
       });
-
-      return message.content[0].text;
+      return response.data;
     } catch (error) {
-      console.error('Error generating AI description:', error.message);
-      return null;
+      if (error.response?.status === 404) {
+        this.log(`⚠️  Place ${placeId} not found: ${describeError(error)}`);
+        return null;
+      }
+      throw error;
     }
   }
 
-  // Generate SEO keywords
-  async generateKeywords(businessName, businessType) {
+  // Download a place photo, resized by Google to fit maxWidth x maxHeight.
+  // Returns { data, contentType } or null.
+  async downloadPhoto(photoName, maxWidth = 800, maxHeight = 600) {
+    if (!photoName) return null;
+    
+    // Photos are optional, so failures (including a spent budget) just mean no photo
     try {
-      const message = await anthropic.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 150,
-        messages: [{
-          role: 'user',
-          content: `Generate 8 SEO keywords for ${businessName}, a ${businessType} in ${this.municipality.name}, ${this.municipality.state}. Return only comma-separated keywords that locals might search for. Include variations with "${this.municipality.name}", "near me", and service-specific terms.`
-        }]
+      const response = await this.googleRequest('photo', 'Photo download', {
+        method: 'get',
+        url: `https://places.googleapis.com/v1/${photoName}/media`,
+        params: {
+          maxWidthPx: maxWidth,
+          maxHeightPx: maxHeight
+        },
+        responseType: 'arraybuffer'
       });
-
-      const keywordsText = message.content[0].text;
-      return keywordsText.split(',').map(k => k.trim());
+      return { data: Buffer.from(response.data), contentType: response.headers['content-type'] };
     } catch (error) {
-      console.error('Error generating keywords:', error.message);
-      return [];
+      this.log(`⚠️  Error downloading photo: ${error.message}`);
+      return null;
     }
   }
 
   // Process a single business and enrich with AI
   async processBusiness(place, pool = null) {
     const name = place.displayName?.text || 'Unknown';
-    const businessType = place.primaryType?.replace(/_/g, ' ') || 'business';
-   const address = place.formattedAddress || '';
 const googlePlaceId = place.id;
 
-console.log(`  Processing: ${name}...`);
+this.log(`  Processing: ${name}...`);
 
 // Check for duplicates FIRST (before expensive operations)
 const isDuplicate = await this.checkDuplicate(googlePlaceId, pool);
 if (isDuplicate) {
-  console.log(`  ⏭️  Skipped: ${name} - Already exists in database`);
+  this.log(`  ⏭️  Skipped: ${name} - Already exists in database`);
   return null;
 }
 
 // Validate location BEFORE doing expensive AI work
-const locationCheck = this.validateLocation(address);
+const locationCheck = this.validateLocation(place);
 if (!locationCheck.isValid) {
-  console.log(`  ❌ Skipped: ${name} - ${locationCheck.reason}`);
+  this.log(`  ❌ Skipped: ${name} - ${locationCheck.reason}`);
+  if (this.onReject) await this.onReject(place, locationCheck.reason);
   return null; // Skip this business
 }
 
-// Generate AI content
-    const description = await this.generateDescription(name, businessType, address);
-    const keywords = await this.generateKeywords(name, businessType);
+    return this.buildBusiness(place, pool);
+  }
+
+  // Turn a place into a business row: category, AI content and photo. No
+  // duplicate or location checks (an admin overriding a rejected place
+  // comes straight here). With options.enrich false the AI content and photo
+  // are skipped and the listing is flagged as needing content (for public
+  // suggestions, so visitors can't spend the AI budget).
+  async buildBusiness(place, pool = null, options = {}) {
+    const enrich = options.enrich !== false;
+    const name = place.displayName?.text || 'Unknown';
+    const businessType = place.primaryType?.replace(/_/g, ' ') || 'business';
+    const address = place.formattedAddress || '';
+
+    // Generate AI content (prompts can differ per category, see lib/ai-content.js).
+    // If that fails the listing is still saved, flagged as needing content.
+    const category = await this.categorizeType(place.primaryType, pool);
+    const aiBusiness = { name, subcategory: businessType, category: category.name, category_id: category.id, street: address };
+    const aiOptions = { budget: this.budget, log: this.log };
+    let draft = null;
+    let keywords = [];
+    let needsContent = !enrich;
+    if (enrich) {
+      try {
+        draft = await aiContent.generateDescription(pool, aiBusiness, this.municipality, aiOptions);
+        keywords = await aiContent.generateKeywords(pool, aiBusiness, this.municipality, aiOptions);
+      } catch (error) {
+        needsContent = true;
+        this.log(`  ✍️  AI content failed for ${name} (${describeError(error)}) - saving it as needing content`);
+      }
+    }
 
     // Parse address
     const addressParts = address.split(',');
@@ -178,18 +256,31 @@ if (!locationCheck.isValid) {
     const cityState = addressParts[1]?.trim() || `${this.municipality.name}, ${this.municipality.state}`;
     const zip = addressParts[2]?.trim() || '';
 
+    const baseSlug = `${slugify(name)}-${place.id.substring(0, 8)}`;
+    const slug = pool ? await uniqueSlug(pool, baseSlug) : baseSlug;
+
+    // Keep our own copy of the first photo - Google's photo URLs expire
+    const photoReference = place.photos?.[0]?.name || null;
+    const imageUrl = enrich ? await downloadPlacePhoto(this, photoReference, slug) : null;
+
     return {
       google_place_id: place.id,
       name: name.substring(0, 255),
-      slug: `${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '')}-${place.id.substring(0, 8)}`,
-      category: this.categorizeType(place.primaryType),
+      slug: slug,
+      category: category.name,
+      category_id: category.id,
       subcategory: businessType,
-      description: description,
+      primary_type: place.primaryType || null,
+      // The AI text is only a draft; an admin publishes it (or writes their
+      // own) when reviewing the listing
+      description: null,
+      ai_generated_description: draft ? draft.text : null,
+      ai_model: draft ? draft.model : null,
       street: street,
       city: this.municipality.name,
       state: this.municipality.state.substring(0, 20),
       zip: zip.substring(0, 10),
-      phone: place.nationalPhoneNumber || null,
+      phone: normalizePhone(place.nationalPhoneNumber) || place.nationalPhoneNumber || null,
       website: place.websiteUri || null,
       google_maps_url: place.googleMapsUri || null,
       latitude: place.location?.latitude || null,
@@ -198,102 +289,87 @@ if (!locationCheck.isValid) {
       total_ratings: place.userRatingCount || 0,
       price_level: this.convertPriceLevel(place.priceLevel),
       opening_hours: place.regularOpeningHours || null,
+      business_status: place.businessStatus || null,
+      image_url: imageUrl,
+      photo_reference: photoReference,
       keywords: keywords,
+      needs_content: needsContent,
       status: 'pending',
       scraped_at: new Date()
     };
   }
 
-  // Categorize business types into main categories
-  categorizeType(type) {
-    const categoryMap = {
-      // Home Services
-      'plumber': 'Home Services',
-      'electrician': 'Home Services',
-      'roofing_contractor': 'Home Services',
-      'painter': 'Home Services',
-      'general_contractor': 'Home Services',
-      'locksmith': 'Home Services',
-      'moving_company': 'Home Services',
-      
-      // Food & Dining
-      'restaurant': 'Food & Dining',
-      'cafe': 'Food & Dining',
-      'bakery': 'Food & Dining',
-      'pizza_restaurant': 'Food & Dining',
-      'bar': 'Food & Dining',
-      'meal_delivery': 'Food & Dining',
-      'meal_takeaway': 'Food & Dining',
-      
-      // Healthcare
-      'doctor': 'Healthcare',
-      'dentist': 'Healthcare',
-      'pharmacy': 'Healthcare',
-      'physiotherapist': 'Healthcare',
-      'veterinary_care': 'Healthcare',
-      
-      // Personal Care
-      'hair_care': 'Personal Care',
-      'beauty_salon': 'Personal Care',
-      'spa': 'Personal Care',
-      'gym': 'Personal Care',
-      'laundry': 'Personal Care',
-      
-      // Retail
-      'supermarket': 'Retail',
-      'convenience_store': 'Retail',
-      'hardware_store': 'Retail',
-      'clothing_store': 'Retail',
-      'shoe_store': 'Retail',
-      'florist': 'Retail',
-      'jewelry_store': 'Retail',
-      
-      // Professional Services
-      'lawyer': 'Professional Services',
-      'accounting': 'Professional Services',
-      'insurance_agency': 'Professional Services',
-      'real_estate_agency': 'Professional Services',
-      
-      // Automotive
-      'car_repair': 'Automotive',
-      'car_wash': 'Automotive',
-      'car_dealer': 'Automotive',
-      'gas_station': 'Automotive',
-      
-      // Other
-      'bank': 'Financial',
-      'atm': 'Financial',
-      'lodging': 'Hospitality',
-      'school': 'Education',
-      'library': 'Education'
-    };
-
-    return categoryMap[type] || 'Services';
+  // Categorize a Google primary type using the admin-managed type mappings
+  // (lib/categories.js). Without a database everything goes to the fallback.
+  async categorizeType(type, pool = null) {
+    if (!pool) return { id: null, name: 'Services' };
+    return categorizeType(pool, type);
   }
 
-  // Main scraping function
-  async scrapeBusinessesByTypes(businessTypes, maxPerType = 20, pool = null) {
+  // Main scraping function. Each type is searched with findPlaces and its
+  // places are processed this.concurrency at a time. A failed search is
+  // logged and its type skipped; running out of budget stops the run by
+  // throwing (with code BUDGET_EXCEEDED) once the places already started
+  // have finished.
+  // Optional hooks let a caller follow along (all may be async):
+  //   onTypeStart(type, places)              - after each search
+  //   onTypeError(type, error)               - when a search fails
+  //   onPlace(type, place, business, error)  - after each place; business is null if
+  //                                            skipped or failed (error is set if it failed)
+  //   shouldStop()                           - checked before each place, return true to stop early
+  async scrapeBusinessesByTypes(businessTypes, pool = null, hooks = {}) {
     const allBusinesses = [];
+    let stopped = false;
+    const shouldStop = async () => stopped || (hooks.shouldStop && await hooks.shouldStop());
 
     for (const type of businessTypes) {
-      console.log(`\n🔍 Searching for: ${type}...`);
-      const places = await this.searchBusinesses(type, maxPerType);
-
-     for (const place of places) {
-  const business = await this.processBusiness(place, pool);
-  
-  // Only add if business passed validation (not null)
-  if (business !== null) {
-    allBusinesses.push(business);
-  }
-  
-  // Small delay to avoid rate limits
-  await new Promise(resolve => setTimeout(resolve, 500));
-}
+      if (await shouldStop()) break;
+
+      this.log(`\n🔍 Searching for: ${type}...`);
+      let places;
+      try {
+        places = await this.findPlaces(type);
+      } catch (error) {
+        if (error.code === BUDGET_EXCEEDED) throw error;
+        this.log(`⚠️  Error searching for "${type}": ${describeError(error)}`);
+        if (hooks.onTypeError) await hooks.onTypeError(type, error);
+        continue;
+      }
+      if (hooks.onTypeStart) await hooks.onTypeStart(type, places);
+
+      let budgetError = null;
+      await mapLimit(places, this.concurrency, async place => {
+        if (await shouldStop()) return;
+
+        let business = null;
+        let failure = null;
+        try {
+          business = await this.processBusiness(place, pool);
+        } catch (error) {
+          failure = error;
+          this.log(`  ⚠️  Error processing ${place.displayName?.text || place.id}: ${describeError(error)}`);
+          if (error.code === BUDGET_EXCEEDED) {
+            budgetError = error;
+            stopped = true;
+          }
+        }
+
+        // Only add if business passed validation (not null)
+        if (business !== null) {
+          allBusinesses.push(business);
+        }
+        if (hooks.onPlace) await hooks.onPlace(type, place, business, failure);
+      });
+
+      if (budgetError) throw budgetError;
     }
 
     return allBusinesses;
   }
 }
 
+BusinessScraper.PAGE_SIZE = PAGE_SIZE;
+BusinessScraper.DEFAULT_MAX_PAGES = DEFAULT_MAX_PAGES;
+BusinessScraper.gridCells = gridCells;
+
 module.exports = BusinessScraper;
\ No newline at end of file
@@ -1,19 +1,43 @@
 require('dotenv').config();
 const express = require('express');
-const { Pool } = require('pg');
 const session = require('express-session');
+const PgSession = require('connect-pg-simple')(session);
 const path = require('path');
+const pool = require('./db');
 const BusinessScraper = require('./routes/scraper');
+const createApiRouter = require('./routes/api');
+const { getMunicipalities, getMunicipality, resolveMunicipality, getBounds, basePathFor } = require('./lib/municipalities');
+const scrapeJobs = require('./lib/scrape-jobs');
+const pendingChanges = require('./lib/pending-changes');
+const { refreshBusiness } = require('./lib/refresh');
+const { highlightSnippet } = require('./lib/search');
+const { buildListingQuery, fetchListingPage, fetchAllListings } = require('./lib/listings');
+const geo = require('./lib/geo');
+const photos = require('./lib/photos');
+const auth = require('./lib/auth');
+const audit = require('./lib/audit');
+const ownerClaims = require('./lib/owner-claims');
+const categories = require('./lib/categories');
+const aiContent = require('./lib/ai-content');
+const externalCalls = require('./lib/external-calls');
+const rejectedPlaces = require('./lib/rejected-places');
+const duplicates = require('./lib/duplicates');
+const slugs = require('./lib/slugs');
+const sitemap = require('./lib/sitemap');
+const seo = require('./lib/seo');
+const businessTransfer = require('./lib/business-transfer');
+const reviews = require('./lib/reviews');
+const publicForms = require('./lib/public-forms');
+const suggestions = require('./lib/suggestions');
+const reports = require('./lib/reports');
+const businessFields = require('./lib/business-fields');
+const adminListings = require('./lib/admin-listings');
+const createOwnerRouter = require('./routes/owner');
+const { requireRole } = auth;
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Database connection
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-});
-
 // Test database connection
 pool.query('SELECT NOW()', (err, res) => {
   if (err) {
@@ -24,128 +48,127 @@ pool.query('SELECT NOW()', (err, res) => {
 });
 
 // Middleware
+// CSV imports are posted as a form field and can be larger than the default
+// 100kb; the general parser below skips bodies that are already parsed
+app.use('/admin/import', express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
 app.use(express.static('public'));
+app.use(photos.PHOTO_URL_PATH, express.static(photos.PHOTO_DIR));
+// Sessions are stored in Postgres (migrations/007_admin_users.sql) so they
+// survive restarts and work across instances
+if (process.env.NODE_ENV === 'production') {
+  app.set('trust proxy', 1);
+}
 app.use(session({
+  store: new PgSession({ pool: pool, tableName: 'session' }),
   secret: process.env.SESSION_SECRET,
   resave: false,
-  saveUninitialized: false
+  saveUninitialized: false,
+  cookie: {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: 8 * 60 * 60 * 1000
+  }
 }));
 
 // Set view engine
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
-// Scraper will be initialized with municipality in the scrape route
-// (no global scraper instance needed)
+// Opening hours helpers for the templates (badges, weekly tables, JSON-LD)
+app.locals.hours = require('./lib/hours');
+app.locals.jsonLd = seo.jsonLd;
+app.locals.formatDistance = geo.formatDistance;
+app.locals.honeypotField = publicForms.HONEYPOT_FIELD;
+app.locals.formatPhone = businessFields.formatPhone;
+
+// Scrapes run as background jobs (see lib/scrape-jobs.js), each job
+// creating its own scraper for the municipality it targets
 
 // ==================== PUBLIC ROUTES ====================
 
+// Public pages are scoped to one municipality (see lib/municipalities.js).
+// The router is mounted at / for the default town (or a town subdomain) and
+// again at /:municipalitySlug after the admin routes.
+const publicRoutes = express.Router({ mergeParams: true });
+publicRoutes.use(resolveMunicipality(pool));
+
+// Settings for views/partials/business-map.ejs: the listing filters as
+// /api/v1/map parameters and where to start the map
+function mapSettings(municipality, filters, hidden = false) {
+  const pageFilters = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+  return {
+    hidden: hidden,
+    // The same filters on the full /map page
+    pageQuery: Object.keys(pageFilters).length > 0 ? `?${new URLSearchParams(pageFilters)}` : '',
+    bounds: getBounds(municipality),
+    query: Object.fromEntries(Object.entries({
+      municipality: municipality.slug,
+      search: filters.search,
+      category: filters.category,
+      rating: filters.rating,
+      price: filters.price,
+      open_now: filters.open === 'now' ? 'true' : ''
+    }).filter(([, value]) => value))
+  };
+}
+
 // Homepage - show all approved businesses with optional search and filters
-app.get('/', async (req, res) => {
+publicRoutes.get('/', async (req, res) => {
   try {
     const searchQuery = req.query.search || '';
     const categoryFilter = req.query.category || '';
     const minRating = req.query.rating || '';
     const priceLevel = req.query.price || '';
+    const openNow = req.query.open === 'now';
+    const near = geo.parsePoint(req.query.lat, req.query.lng);
     
-    let query = "SELECT * FROM businesses WHERE status = 'approved'";
-    let params = [];
-    let paramCount = 0;
-    
-    // Search filter
-    if (searchQuery) {
-      paramCount++;
-      query += ` AND (
-        name ILIKE $${paramCount} OR 
-        description ILIKE $${paramCount} OR 
-        category ILIKE $${paramCount} OR 
-        subcategory ILIKE $${paramCount} OR
-        $${paramCount + 1} = ANY(keywords)
-      )`;
-      params.push(`%${searchQuery}%`, searchQuery);
-      paramCount++;
-    }
-    
-    // Category filter
-    if (categoryFilter) {
-      paramCount++;
-      query += ` AND category = $${paramCount}`;
-      params.push(categoryFilter);
-    }
-    
-    // Rating filter
-    if (minRating) {
-      paramCount++;
-      query += ` AND rating >= $${paramCount}`;
-      params.push(parseFloat(minRating));
-    }
-    
-    // Price level filter
-    if (priceLevel) {
-      paramCount++;
-      query += ` AND price_level = $${paramCount}`;
-      params.push(parseInt(priceLevel));
-    }
-    
-    // Sorting
-const sortBy = req.query.sort || 'name';
-const sortOptions = {
-  'name': 'name ASC',
-  'rating': 'rating DESC NULLS LAST',
-  'reviews': 'total_ratings DESC',
-  'newest': 'scraped_at DESC'
-};
-
-query += ` ORDER BY ${sortOptions[sortBy] || 'name ASC'}`;
-
-// Get total count first (for pagination) - build separate count query
-let countQuery = "SELECT COUNT(*) FROM businesses WHERE status = 'approved'";
-// Add same filters as main query
-if (searchQuery) {
-  countQuery += ` AND (name ILIKE $1 OR description ILIKE $1 OR category ILIKE $1 OR subcategory ILIKE $1 OR $2 = ANY(keywords))`;
-}
-if (categoryFilter) {
-  const paramNum = paramCount;
-  countQuery += ` AND category = $${paramNum}`;
-}
-if (minRating) {
-  const paramNum = paramCount - (priceLevel ? 1 : 0);
-  countQuery += ` AND rating >= $${paramNum}`;
-}
-if (priceLevel) {
-  countQuery += ` AND price_level = $${paramCount}`;
-}
-const countResult = await pool.query(countQuery, params);
-const totalBusinesses = parseInt(countResult.rows[0].count);
-    
-    // Pagination
-    const page = parseInt(req.query.page) || 1;
-    const perPage = 24;
-    const totalPages = Math.ceil(totalBusinesses / perPage);
-    const offset = (page - 1) * perPage;
-    
-    query += ` LIMIT ${perPage} OFFSET ${offset}`;
-    
-    const result = await pool.query(query, params);
+    const listing = buildListingQuery({
+      municipalityId: req.municipality.id,
+      search: searchQuery,
+      category: categoryFilter,
+      rating: minRating,
+      price: priceLevel,
+      openNow: openNow,
+      near: near,
+      sort: req.query.sort
+    });
+    const result = await fetchListingPage(pool, listing, req.query.page, 24);
     
-    // Get unique categories for filter dropdown
-    const categoriesResult = await pool.query(
-      "SELECT DISTINCT category FROM businesses WHERE status = 'approved' ORDER BY category"
-    );
+    const businesses = result.rows.map(business => ({
+      ...business,
+      snippetHtml: listing.search ? highlightSnippet(business.snippet) : null
+    }));
     
-   res.render('index', { 
-      businesses: result.rows,
-      categories: categoriesResult.rows,
+    res.render('index', { 
+      businesses: businesses,
+      seo: seo.listingPage({
+        municipality: req.municipality,
+        basePath: res.locals.basePath,
+        query: req.query,
+        result: result,
+        businesses: businesses
+      }),
+      categories: await categories.listWithCounts(pool, req.municipality.id),
       searchQuery: searchQuery,
       categoryFilter: categoryFilter,
       minRating: minRating,
       priceLevel: priceLevel,
-      sortBy: sortBy,
-      currentPage: page,
-      totalPages: totalPages,
-      totalBusinesses: totalBusinesses
+      openNow: openNow,
+      near: near,
+      sortBy: listing.sortBy,
+      map: mapSettings(req.municipality, {
+        search: searchQuery,
+        category: categoryFilter,
+        rating: minRating,
+        price: priceLevel,
+        open: openNow ? 'now' : ''
+      }, true),
+      currentPage: result.page,
+      totalPages: result.totalPages,
+      totalBusinesses: result.total
     });
   } catch (err) {
     console.error(err);
@@ -153,62 +176,252 @@ const totalBusinesses = parseInt(countResult.rows[0].count);
   }
 });
 // Categories overview page
-app.get('/categories', async (req, res) => {
+publicRoutes.get('/categories', async (req, res) => {
   try {
-    // Get all categories with business counts
-    const result = await pool.query(
-      `SELECT category, COUNT(*) as business_count 
-       FROM businesses 
-       WHERE status = 'approved' 
-       GROUP BY category 
-       ORDER BY category`
-    );
-    
-    res.render('categories', { categories: result.rows });
+    // Category tree with business counts
+    const categoryTree = await categories.listWithCounts(pool, req.municipality.id);
+    res.render('categories', {
+      categories: categoryTree,
+      seo: seo.categoriesPage({
+        categories: categoryTree,
+        municipality: req.municipality,
+        basePath: res.locals.basePath
+      })
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Map of every approved business, with the homepage's filters
+publicRoutes.get('/map', async (req, res) => {
+  try {
+    const filters = {
+      search: req.query.search || '',
+      category: req.query.category || '',
+      rating: req.query.rating || '',
+      price: req.query.price || '',
+      open: req.query.open === 'now' ? 'now' : ''
+    };
+    res.render('map', {
+      filters: filters,
+      categories: await categories.listWithCounts(pool, req.municipality.id),
+      map: { ...mapSettings(req.municipality, filters), height: '70vh' },
+      seo: seo.mapPage({ municipality: req.municipality, basePath: res.locals.basePath })
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Suggest a business that's missing from the directory (see
+// lib/suggestions.js). Like reviews, the form has no CSRF token.
+async function renderSuggestPage(req, res, extra = {}) {
+  res.render('suggest', {
+    categories: categories.buildTree(await categories.getCategories(pool)),
+    values: {},
+    submitted: req.query.submitted === '1',
+    seo: seo.suggestPage({ municipality: req.municipality, basePath: res.locals.basePath }),
+    ...extra
+  });
+}
+
+publicRoutes.get('/suggest', async (req, res) => {
+  try {
+    await renderSuggestPage(req, res);
   } catch (err) {
     console.error(err);
     res.status(500).send('Server error');
   }
 });
 
+publicRoutes.post('/suggest', async (req, res) => {
+  try {
+    const result = await suggestions.suggestBusiness(pool, req.municipality, req.body, req.ip);
+    if (result.error) {
+      res.status(result.rateLimited ? 429 : 400);
+      return renderSuggestPage(req, res, { values: req.body, error: result.error });
+    }
+    if (result.existing) {
+      // Already listed: point at its page if it's live
+      const existing = result.existing;
+      return renderSuggestPage(req, res, {
+        existing: existing,
+        existingPath: existing.status === 'approved'
+          ? `${basePathFor({ slug: existing.municipality_slug })}/business/${existing.slug}` : null
+      });
+    }
+    res.redirect(303, `${res.locals.basePath}/suggest?submitted=1`);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Render a business page. reviewForm holds a rejected submission's values
+// and error, so the form comes back filled in.
+async function renderBusinessPage(req, res, business, reviewForm = {}) {
+  const allCategories = await categories.getCategories(pool);
+  const category = allCategories.find(c => c.id === business.category_id) || null;
+  const localReviews = {
+    summary: await reviews.getSummary(pool, business.id),
+    items: await reviews.listApproved(pool, business.id)
+  };
+  res.render('business', {
+    business: business,
+    claimed: Boolean(await ownerClaims.getVerifiedClaim(pool, business.id)),
+    reviews: localReviews,
+    reviewForm: reviewForm,
+    reviewSubmitted: req.query.review === 'submitted',
+    reportSubmitted: req.query.report === 'submitted',
+    seo: seo.businessPage({
+      business: business,
+      municipality: req.municipality,
+      basePath: res.locals.basePath,
+      category: category,
+      parent: category ? allCategories.find(c => c.id === category.parent_id) || null : null,
+      reviews: localReviews
+    })
+  });
+}
+
+async function findApprovedBusiness(req) {
+  const result = await pool.query(
+    "SELECT * FROM businesses WHERE slug = $1 AND status = 'approved' AND municipality_id = $2",
+    [req.params.slug, req.municipality.id]
+  );
+  return result.rows[0] || null;
+}
+
 // Individual business page
-app.get('/business/:slug', async (req, res) => {
+publicRoutes.get('/business/:slug', async (req, res) => {
   try {
-    const result = await pool.query(
-      "SELECT * FROM businesses WHERE slug = $1 AND status = 'approved'",
-      [req.params.slug]
-    );
-    if (result.rows.length === 0) {
+    const business = await findApprovedBusiness(req);
+    if (!business) {
+      // Old slugs and merged listings redirect to the current page
+      const target = await slugs.findRedirect(pool, req.params.slug);
+      if (target) {
+        const basePath = target.municipality_id === req.municipality.id ? res.locals.basePath
+          : basePathFor({ slug: target.municipality_slug });
+        return res.redirect(301, `${basePath}/business/${target.slug}`);
+      }
       return res.status(404).send('Business not found');
     }
-    res.render('business', { business: result.rows[0] });
+    await renderBusinessPage(req, res, business);
   } catch (err) {
     console.error(err);
     res.status(500).send('Server error');
   }
 });
 
-// Category page with sort
-app.get('/category/:category', async (req, res) => {
+// Submit a community review. It's queued for moderation (see lib/reviews.js).
+// No CSRF token: the form is anonymous and a token would need a session for
+// every visitor; the honeypot, per-IP limit and moderation cover abuse.
+publicRoutes.post('/business/:slug/reviews', async (req, res) => {
   try {
-    const sortBy = req.query.sort || 'name';
-    const sortOptions = {
-      'name': 'name ASC',
-      'rating': 'rating DESC NULLS LAST',
-      'reviews': 'total_ratings DESC',
-      'newest': 'scraped_at DESC'
-    };
-    
-    const orderBy = sortOptions[sortBy] || 'name ASC';
+    const business = await findApprovedBusiness(req);
+    if (!business) {
+      return res.status(404).send('Business not found');
+    }
+
+    const result = await reviews.submitReview(pool, business, req.body, req.ip);
+    if (result.error) {
+      res.status(result.rateLimited ? 429 : 400);
+      return renderBusinessPage(req, res, business, { values: req.body, error: result.error });
+    }
+    res.redirect(303, `${res.locals.basePath}/business/${business.slug}?review=submitted#reviews`);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Report a problem with a listing (see lib/reports.js). No CSRF token, as
+// for reviews.
+function renderReportPage(req, res, business, extra = {}) {
+  res.render('report', {
+    business: business,
+    reportTypes: reports.REPORT_TYPES,
+    values: { type: req.query.type },
+    seo: seo.reportPage({ business: business, municipality: req.municipality, basePath: res.locals.basePath }),
+    ...extra
+  });
+}
+
+publicRoutes.get('/business/:slug/report', async (req, res) => {
+  try {
+    const business = await findApprovedBusiness(req);
+    if (!business) {
+      return res.status(404).send('Business not found');
+    }
+    renderReportPage(req, res, business);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+publicRoutes.post('/business/:slug/report', async (req, res) => {
+  try {
+    const business = await findApprovedBusiness(req);
+    if (!business) {
+      return res.status(404).send('Business not found');
+    }
+
+    const result = await reports.createReport(pool, business, req.body, req.ip);
+    if (result.error) {
+      res.status(result.rateLimited ? 429 : 400);
+      return renderReportPage(req, res, business, { values: req.body, error: result.error });
+    }
+    res.redirect(303, `${res.locals.basePath}/business/${business.slug}?report=submitted`);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Category page with sort (includes the category's subcategories)
+publicRoutes.get('/category/:slug', async (req, res) => {
+  try {
+    const category = await categories.getBySlug(pool, req.params.slug);
+    if (!category) {
+      // Category pages used to be addressed by name (/category/Food%20%26%20Dining)
+      const renamed = await categories.getByName(pool, req.params.slug);
+      if (renamed) {
+        const query = req.query.sort ? `?sort=${encodeURIComponent(req.query.sort)}` : '';
+        return res.redirect(301, `${res.locals.basePath}/category/${renamed.slug}${query}`);
+      }
+      return res.status(404).send('Category not found');
+    }
     
-    const result = await pool.query(
-      `SELECT * FROM businesses WHERE category = $1 AND status = 'approved' ORDER BY ${orderBy}`,
-      [req.params.category]
-    );
+    // Every business in the category and its subcategories, unpaged
+    const near = geo.parsePoint(req.query.lat, req.query.lng);
+    const listing = buildListingQuery({
+      municipalityId: req.municipality.id,
+      category: category.slug,
+      near: near,
+      sort: req.query.sort
+    });
+    const businesses = await fetchAllListings(pool, listing);
+    const allCategories = await categories.getCategories(pool);
+    const parent = allCategories.find(c => c.id === category.parent_id) || null;
     res.render('category', { 
-      category: req.params.category, 
-      businesses: result.rows,
-      sortBy: sortBy
+      category: category,
+      parent: parent,
+      subcategories: allCategories.filter(c => c.parent_id === category.id),
+      businesses: businesses,
+      sortBy: listing.sortBy,
+      near: near,
+      map: mapSettings(req.municipality, { category: category.slug }, true),
+      seo: seo.categoryPage({
+        category: category,
+        parent: parent,
+        businesses: businesses,
+        municipality: req.municipality,
+        basePath: res.locals.basePath
+      })
     });
   } catch (err) {
     console.error(err);
@@ -216,40 +429,93 @@ app.get('/category/:category', async (req, res) => {
   }
 });
 
+// Sitemaps and robots.txt are generated from the database (see lib/sitemap.js)
+async function sendSitemap(res, name) {
+  try {
+    const xml = await sitemap.getSitemap(pool, name);
+    if (!xml) {
+      return res.status(404).send('Sitemap not found');
+    }
+    res.type('application/xml').send(xml);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+}
+
+app.get('/sitemap.xml', (req, res) => sendSitemap(res, 'index'));
+app.get('/sitemaps/:municipality.xml', (req, res) => sendSitemap(res, req.params.municipality));
+app.get('/sitemaps/:municipality/:category.xml', (req, res) =>
+  sendSitemap(res, `${req.params.municipality}/${req.params.category}`)
+);
+
+app.get('/robots.txt', (req, res) => {
+  res.type('text/plain').send(sitemap.robotsTxt());
+});
+
+app.use('/', publicRoutes);
+
+// ==================== PUBLIC API ====================
+
+app.use('/api/v1', createApiRouter(pool));
+
 // ==================== ADMIN ROUTES ====================
 
+// Every admin request gets the signed-in user and CSRF checking
+app.use('/admin', auth.loadAdminUser(pool), auth.csrfProtection);
+
 // Admin login
 app.get('/admin', (req, res) => {
+  if (req.adminUser) {
+    return res.redirect('/admin/dashboard');
+  }
   res.render('admin/login');
 });
 
-app.post('/admin/login', (req, res) => {
-  const { password } = req.body;
-  if (password === 'WTRF3*GEFj7giXfiuJab') {
-    req.session.isAdmin = true;
-    res.redirect('/admin/dashboard');
-  } else {
-    res.render('admin/login', { error: 'Invalid password' });
+app.post('/admin/login', auth.loginRateLimit, async (req, res) => {
+  const { email, password } = req.body;
+
+  try {
+    const result = await auth.authenticate(pool, email, password);
+    if (!result.user) {
+      return res.status(401).render('admin/login', { error: result.error, email: email });
+    }
+
+    auth.clearLoginAttempts(req);
+    // New session id on login so a pre-login session can't be reused
+    req.session.regenerate(err => {
+      if (err) {
+        console.error(err);
+        return res.status(500).send('Server error');
+      }
+      req.session.adminUserId = result.user.id;
+      res.redirect('/admin/dashboard');
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
   }
 });
 
-// Admin dashboard - show all businesses
-app.get('/admin/dashboard', async (req, res) => {
-  if (!req.session.isAdmin) {
-    return res.redirect('/admin');
-  }
-  
+// Admin dashboard - stats, the work queues and a filtered, paged business table
+app.get('/admin/dashboard', requireRole('editor'), async (req, res) => {
+  const filters = adminListings.parseFilters(req.query);
+
   try {
-    const pending = await pool.query(
-      "SELECT * FROM businesses WHERE status = 'pending' ORDER BY scraped_at DESC"
-    );
-    const approved = await pool.query(
-      "SELECT * FROM businesses WHERE status = 'approved' ORDER BY name"
-    );
-    
-    res.render('admin/dashboard', { 
-      pendingBusinesses: pending.rows,
-      approvedBusinesses: approved.rows
+    const allCategories = await categories.getCategories(pool);
+    const listing = await adminListings.listBusinesses(pool, filters, req.query.page);
+    res.render('admin/dashboard', {
+      ...listing,
+      filters,
+      filterQuery: adminListings.filterQuery,
+      sorts: adminListings.SORTS,
+      stats: await adminListings.getStats(pool, allCategories),
+      categoryTree: categories.buildTree(allCategories),
+      municipalities: await getMunicipalities(pool),
+      rejectedPlaces: await rejectedPlaces.listPending(pool),
+      pendingReviews: await reviews.listPending(pool),
+      openReports: await reports.listOpen(pool),
+      reportTypes: reports.REPORT_TYPES
     });
   } catch (err) {
     console.error(err);
@@ -258,202 +524,1166 @@ app.get('/admin/dashboard', async (req, res) => {
 });
 
 // Run scraper
-app.get('/admin/scrape', async (req, res) => {
-  if (!req.session.isAdmin) {
-    return res.redirect('/admin');
+app.get('/admin/scrape', requireRole('owner'), async (req, res) => {
+  try {
+    const municipalities = await getMunicipalities(pool);
+    const jobs = await scrapeJobs.listRecentJobs(pool);
+    res.render('admin/scrape', {
+      municipalities,
+      jobs,
+      // Worst case for one page of one search, scaled by the page as the form changes
+      perPageEstimate: await scrapeJobs.estimateJob(pool, 'search', { typeCount: 1 }),
+      refreshListingCounts: await scrapeJobs.countRefreshListings(pool),
+      detailsCost: externalCalls.estimateCost({ details: 1 }),
+      pageSize: BusinessScraper.PAGE_SIZE,
+      maxPages: scrapeJobs.MAX_PAGES,
+      maxGridSize: scrapeJobs.MAX_GRID_SIZE,
+      defaults: {
+        maxGoogleRequests: externalCalls.DEFAULT_MAX_GOOGLE_REQUESTS,
+        maxAiTokens: externalCalls.DEFAULT_MAX_AI_TOKENS,
+        maxPages: BusinessScraper.DEFAULT_MAX_PAGES
+      }
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
   }
-  res.render('admin/scrape');
 });
 
-app.post('/admin/scrape', async (req, res) => {
-  if (!req.session.isAdmin) {
-    return res.redirect('/admin');
+// Job options from the scrape forms: per-run caps, pages per search and the
+// grid size (only when the grid box is ticked). Blank fields use the
+// defaults. Returns { options } or { error }.
+function parseScrapeOptions(body) {
+  const options = {};
+  for (const [field, label] of [['maxGoogleRequests', 'Google requests'], ['maxAiTokens', 'AI tokens']]) {
+    const value = (body[field] || '').toString().trim();
+    if (!value) continue;
+    if (!/^\d{1,9}$/.test(value) || parseInt(value) === 0) {
+      return { error: `The cap on ${label} must be a positive whole number` };
+    }
+    options[field] = parseInt(value);
+  }
+
+  if (body.maxPages) {
+    options.maxPages = parseInt(body.maxPages);
+    if (!(options.maxPages >= 1 && options.maxPages <= scrapeJobs.MAX_PAGES)) {
+      return { error: `Pages per search must be between 1 and ${scrapeJobs.MAX_PAGES}` };
+    }
   }
+  if (body.grid) {
+    options.gridSize = parseInt(body.gridSize);
+    if (!(options.gridSize >= 2 && options.gridSize <= scrapeJobs.MAX_GRID_SIZE)) {
+      return { error: `The grid must be between 2 and ${scrapeJobs.MAX_GRID_SIZE} cells across` };
+    }
+  }
+  return { options };
+}
 
-  const { businessTypes } = req.body;
-  const types = businessTypes.split(',').map(t => t.trim());
+// Queue a scrape job - the background worker does the actual scraping
+app.post('/admin/scrape', requireRole('owner'), async (req, res) => {
+  const { businessTypes, municipalityId } = req.body;
+  const types = (businessTypes || '').split(',').map(t => t.trim()).filter(Boolean);
+  const { options, error } = parseScrapeOptions(req.body);
 
   try {
-    // Fetch municipality from database (for now, hardcoded to Fair Lawn ID = 1)
     const municipalityResult = await pool.query(
-      'SELECT id, name, state FROM municipalities WHERE id = $1',
-      [1] // Fair Lawn
+      'SELECT id FROM municipalities WHERE id = $1',
+      [parseInt(municipalityId)]
     );
     
     if (municipalityResult.rows.length === 0) {
-      return res.status(500).send('Municipality not found in database');
+      return res.status(400).send('Municipality not found in database');
     }
-    
-    const municipality = municipalityResult.rows[0];
-    console.log(`\n🏙️  Scraping for: ${municipality.name}, ${municipality.state}`);
-    
-    // Initialize scraper with municipality config
-    const scraper = new BusinessScraper(
-      process.env.GOOGLE_PLACES_API_KEY,
-      { name: municipality.name, state: municipality.state }
-    );
-    
-    console.log('\n🚀 Starting scrape...');
-    const businesses = await scraper.scrapeBusinessesByTypes(types, 20, pool);
-
-    console.log(`\n💾 Saving ${businesses.length} businesses to database...`);
-    
-    let saved = 0;
-    let skipped = 0;
-
-    for (const business of businesses) {
-      try {
-        await pool.query(
-          `INSERT INTO businesses (
-            google_place_id, name, slug, category, subcategory, description,
-            street, city, state, zip, phone, website, google_maps_url,
-            latitude, longitude, rating, total_ratings, price_level,
-            opening_hours, keywords, status, scraped_at, municipality_id
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23)`,
-          [
-            business.google_place_id, business.name, business.slug,
-            business.category, business.subcategory, business.description,
-            business.street, business.city, business.state, business.zip,
-            business.phone, business.website, business.google_maps_url,
-            business.latitude, business.longitude, business.rating,
-            business.total_ratings, business.price_level,
-            JSON.stringify(business.opening_hours), business.keywords,
-            business.status, business.scraped_at, municipality.id
-          ]
-        );
-        saved++;
-      } catch (err) {
-        console.error(`Error saving ${business.name}:`, err.message);
-        skipped++;
-      }
+    if (types.length === 0) {
+      return res.status(400).send('Enter at least one business type');
     }
-
-    console.log(`\n✅ Complete! Saved: ${saved}, Skipped: ${skipped}`);
-    res.redirect('/admin/dashboard');
+    if (error) {
+      return res.status(400).send(error);
+    }
+    
+    const job = await scrapeJobs.createJob(pool, municipalityResult.rows[0].id, types, 'search', options);
+    res.redirect(`/admin/scrape/${job.id}`);
   } catch (err) {
     console.error('Scraping error:', err);
     res.status(500).send('Scraping failed: ' + err.message);
   }
 });
 
-// Review/edit business
-app.get('/admin/business/:id/review', async (req, res) => {
-  if (!req.session.isAdmin) {
-    return res.redirect('/admin');
+// Queue a refresh of a municipality's existing listings from Google Places
+app.post('/admin/scrape/refresh', requireRole('owner'), async (req, res) => {
+  const { options, error } = parseScrapeOptions(req.body);
+  try {
+    const municipalityResult = await pool.query(
+      'SELECT id FROM municipalities WHERE id = $1',
+      [parseInt(req.body.municipalityId)]
+    );
+    
+    if (municipalityResult.rows.length === 0) {
+      return res.status(400).send('Municipality not found in database');
+    }
+    if (error) {
+      return res.status(400).send(error);
+    }
+    
+    const job = await scrapeJobs.createJob(pool, municipalityResult.rows[0].id, [], 'refresh', options);
+    res.redirect(`/admin/scrape/${job.id}`);
+  } catch (err) {
+    console.error('Refresh error:', err);
+    res.status(500).send('Refresh failed: ' + err.message);
   }
-  
+});
+
+// Scrape job progress page
+app.get('/admin/scrape/:jobId', requireRole('owner'), async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM businesses WHERE id = $1', [req.params.id]);
-    if (result.rows.length === 0) {
-      return res.status(404).send('Business not found');
+    const job = await scrapeJobs.getJob(pool, parseInt(req.params.jobId) || 0);
+    if (!job) {
+      return res.status(404).send('Scrape job not found');
     }
-    res.render('admin/review', { business: result.rows[0] });
+    res.render('admin/scrape-job', { job });
   } catch (err) {
     console.error(err);
     res.status(500).send('Server error');
   }
 });
 
-// Approve business
-app.post('/admin/business/:id/approve', async (req, res) => {
-  if (!req.session.isAdmin) {
-    return res.redirect('/admin');
+// Scrape job progress (polled by the progress page)
+app.get('/admin/scrape/:jobId/status', requireRole('owner', { json: true }), async (req, res) => {
+  try {
+    const job = await scrapeJobs.getJob(pool, parseInt(req.params.jobId) || 0);
+    if (!job) {
+      return res.status(404).json({ error: 'Scrape job not found' });
+    }
+    res.json(job);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
   }
-  
+});
+
+// Cancel a queued or running scrape job
+app.post('/admin/scrape/:jobId/cancel', requireRole('owner'), async (req, res) => {
   try {
-    await pool.query(
-      "UPDATE businesses SET status = 'approved', reviewed_at = NOW() WHERE id = $1",
-      [req.params.id]
-    );
-    res.redirect('/admin/dashboard');
+    const job = await scrapeJobs.getJob(pool, parseInt(req.params.jobId) || 0);
+    if (!job) {
+      return res.status(404).send('Scrape job not found');
+    }
+    await scrapeJobs.cancelJob(pool, job.id);
+    res.redirect(`/admin/scrape/${job.id}`);
   } catch (err) {
     console.error(err);
     res.status(500).send('Server error');
   }
 });
-// Bulk approve businesses
-app.post('/admin/businesses/bulk-approve', async (req, res) => {
-  if (!req.session.isAdmin) {
-    return res.status(403).json({ error: 'Unauthorized' });
+
+// Add a place the scraper rejected as outside the municipality. It goes
+// through the same AI/photo enrichment as scraped places and starts pending.
+app.post('/admin/rejected-places/:id/override', requireRole('editor'), async (req, res) => {
+  try {
+    // Claimed before the AI and photo work, so a double submit stops here
+    const rejection = await rejectedPlaces.claimRejection(pool, parseInt(req.params.id) || 0, req.adminUser.id);
+    if (!rejection) {
+      return res.status(404).send('Rejected place not found');
+    }
+    
+    let business = null;
+    try {
+      const scraper = new BusinessScraper(process.env.GOOGLE_PLACES_API_KEY, await getMunicipality(pool, rejection.municipality_id));
+      if (await scraper.checkDuplicate(rejection.google_place_id, pool)) {
+        await rejectedPlaces.releaseRejection(pool, rejection.id);
+        return res.status(400).send('This place is already in the directory');
+      }
+      
+      business = await scraper.buildBusiness(rejection.place, pool);
+      const ids = await pool.query("SELECT nextval(pg_get_serial_sequence('businesses', 'id'))::int AS id");
+      business.id = ids.rows[0].id;
+      await audit.auditBusinessChange(pool, {
+        actor: req.adminUser,
+        action: 'override_rejection',
+        businessIds: [business.id],
+        details: { rejected_place_id: rejection.id, reason: rejection.reason }
+      }, async client => {
+        await scrapeJobs.insertBusiness(client, business, rejection.municipality_id);
+        await rejectedPlaces.linkRejection(client, rejection.id, business.id);
+      });
+    } catch (err) {
+      await rejectedPlaces.releaseRejection(pool, rejection.id);
+      if (business) await photos.deletePhoto(business.image_url);
+      throw err;
+    }
+    res.redirect(`/admin/business/${business.id}/review`);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
   }
-  
-  const { ids } = req.body;
-  
+});
+
+// Agree with the scraper: the place stays out
+app.post('/admin/rejected-places/:id/dismiss', requireRole('editor'), async (req, res) => {
   try {
-    await pool.query(
-      "UPDATE businesses SET status = 'approved', reviewed_at = NOW() WHERE id = ANY($1)",
-      [ids]
-    );
-    res.json({ success: true });
+    await rejectedPlaces.resolveRejection(pool, parseInt(req.params.id) || 0, {
+      status: 'dismissed',
+      adminUserId: req.adminUser.id
+    });
+    res.redirect('/admin/dashboard#rejected');
   } catch (err) {
     console.error(err);
-    res.status(500).json({ error: 'Server error' });
+    res.status(500).send('Server error');
   }
 });
 
-// Bulk delete businesses
-app.post('/admin/businesses/bulk-delete', async (req, res) => {
-  if (!req.session.isAdmin) {
-    return res.status(403).json({ error: 'Unauthorized' });
+// Publish a community review
+app.post('/admin/reviews/:id/approve', requireRole('editor'), async (req, res) => {
+  try {
+    const review = await reviews.moderateReview(pool, parseInt(req.params.id) || 0, {
+      status: 'approved',
+      adminUserId: req.adminUser.id
+    });
+    if (!review) {
+      return res.status(404).send('Review not found');
+    }
+    res.redirect('/admin/dashboard#reviews');
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
   }
-  
-  const { ids } = req.body;
-  
+});
+
+// Reject a queued review, or take down a published one (from the business's
+// review page, which `from` sends the admin back to)
+app.post('/admin/reviews/:id/reject', requireRole('editor'), async (req, res) => {
   try {
-    await pool.query('DELETE FROM businesses WHERE id = ANY($1)', [ids]);
-    res.json({ success: true });
+    const review = await reviews.moderateReview(pool, parseInt(req.params.id) || 0, {
+      status: 'rejected',
+      adminUserId: req.adminUser.id
+    });
+    if (!review) {
+      return res.status(404).send('Review not found');
+    }
+    res.redirect(req.body.from === 'business'
+      ? `/admin/business/${review.business_id}/review#reviews`
+      : '/admin/dashboard#reviews');
   } catch (err) {
     console.error(err);
-    res.status(500).json({ error: 'Server error' });
+    res.status(500).send('Server error');
   }
 });
-// Update business
-app.post('/admin/business/:id/update', async (req, res) => {
-  if (!req.session.isAdmin) {
-    return res.redirect('/admin');
+
+// Close a reported problem without editing the listing: resolved (fixed some
+// other way, e.g. by deleting the listing) or dismissed (nothing wrong).
+// From the business's review page, `from` sends the admin back there.
+async function closeReport(req, res, status) {
+  try {
+    const report = await reports.closeReport(pool, parseInt(req.params.id) || 0, {
+      status: status,
+      adminUserId: req.adminUser.id
+    });
+    if (!report) {
+      return res.status(404).send('Report not found');
+    }
+    res.redirect(req.body.from === 'business'
+      ? `/admin/business/${report.business_id}/review`
+      : '/admin/dashboard#reports');
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
   }
+}
 
-  const { name, description, phone, website, status } = req.body;
-  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
+app.post('/admin/reports/:id/resolve', requireRole('editor'), (req, res) => closeReport(req, res, 'resolved'));
+app.post('/admin/reports/:id/dismiss', requireRole('editor'), (req, res) => closeReport(req, res, 'dismissed'));
 
+// Possible duplicate listings (see lib/duplicates.js)
+app.get('/admin/duplicates', requireRole('editor'), async (req, res) => {
   try {
-    await pool.query(
-      `UPDATE businesses SET 
-        name = $1, slug = $2, description = $3, phone = $4, 
-        website = $5, status = $6, reviewed_at = NOW(), updated_at = NOW()
-      WHERE id = $7`,
-      [name, slug, description, phone, website, status, req.params.id]
-    );
-    res.redirect('/admin/dashboard');
+    const pairs = await duplicates.findCandidates(pool);
+    res.render('admin/duplicates', {
+      pairs: pairs.slice(0, 100),
+      totalPairs: pairs.length,
+      minScore: duplicates.MIN_SCORE
+    });
   } catch (err) {
     console.error(err);
     res.status(500).send('Server error');
   }
 });
 
-// Delete business
-app.post('/admin/business/:id/delete', async (req, res) => {
-  if (!req.session.isAdmin) {
-    return res.redirect('/admin');
+// Two listings side by side, picking which values the merged listing keeps
+app.get('/admin/duplicates/:id/:otherId', requireRole('editor'), async (req, res) => {
+  try {
+    const pair = await duplicates.getPair(pool, parseInt(req.params.id) || 0, parseInt(req.params.otherId) || 0);
+    if (!pair) {
+      return res.status(404).send('Both listings must exist and not be deleted');
+    }
+    res.render('admin/duplicate-merge', {
+      pair: pair,
+      mergeFields: duplicates.MERGE_FIELDS
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Keep one of the pair and fold the other into it
+app.post('/admin/duplicates/:id/:otherId/merge', requireRole('editor'), async (req, res) => {
+  const ids = [parseInt(req.params.id), parseInt(req.params.otherId)];
+  const keepId = parseInt(req.body.keep_id);
+  if (!ids.includes(keepId)) {
+    return res.status(400).send('Choose which listing to keep');
   }
   
   try {
-    await pool.query('DELETE FROM businesses WHERE id = $1', [req.params.id]);
-    res.redirect('/admin/dashboard');
+    const result = await duplicates.mergeBusinesses(pool, req.adminUser, {
+      keepId: keepId,
+      mergeId: ids.find(id => id !== keepId),
+      choices: req.body.fields || {}
+    });
+    if (result.error) {
+      return res.status(400).send(result.error);
+    }
+    res.redirect('/admin/duplicates');
   } catch (err) {
     console.error(err);
     res.status(500).send('Server error');
   }
 });
 
-// Logout
-app.get('/admin/logout', (req, res) => {
-  req.session.destroy();
-  res.redirect('/admin');
+// Not duplicates - stop suggesting the pair
+app.post('/admin/duplicates/:id/:otherId/dismiss', requireRole('editor'), async (req, res) => {
+  const id = parseInt(req.params.id);
+  const otherId = parseInt(req.params.otherId);
+  if (!id || !otherId || id === otherId) {
+    return res.status(400).send('Invalid pair');
+  }
+  
+  try {
+    await duplicates.dismissPair(pool, id, otherId, req.adminUser.id);
+    res.redirect('/admin/duplicates');
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Import / Export page (see lib/business-transfer.js)
+async function renderImportPage(res, locals = {}) {
+  res.render('admin/import', {
+    municipalities: await getMunicipalities(pool),
+    categoryTree: categories.buildTree(await categories.getCategories(pool)),
+    statuses: businessTransfer.EXPORT_STATUSES,
+    fields: businessTransfer.IMPORT_FIELDS,
+    maxRows: businessTransfer.MAX_IMPORT_ROWS,
+    imported: null,
+    file: null,
+    plan: null,
+    ...locals
+  });
+}
+
+app.get('/admin/import', requireRole('editor'), async (req, res) => {
+  try {
+    const imported = req.query.imported ? {
+      created: parseInt(req.query.created) || 0,
+      updated: parseInt(req.query.updated) || 0,
+      skipped: parseInt(req.query.skipped) || 0
+    } : null;
+    await renderImportPage(res, { imported });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Preview an uploaded CSV (a dry run), or import it when step is "import".
+// The preview form posts the CSV back with the column mapping.
+app.post('/admin/import', requireRole('editor'), async (req, res) => {
+  const file = businessTransfer.readCsv(req.body.csv);
+  if (file.error) {
+    return res.status(400).send(file.error);
+  }
+
+  try {
+    const mapping = req.body.mapping
+      ? businessTransfer.cleanMapping(req.body.mapping, file.headers)
+      : businessTransfer.guessMapping(file.headers);
+    const plan = await businessTransfer.planImport(pool, file.rows, mapping, req.body.municipality_id);
+    const summary = businessTransfer.summarize(plan);
+
+    if (req.body.step === 'import') {
+      const imported = await businessTransfer.applyImport(pool, req.adminUser, plan);
+      return res.redirect(`/admin/import?imported=1&created=${imported.created}&updated=${imported.updated}&skipped=${summary.error}`);
+    }
+
+    await renderImportPage(res, {
+      file,
+      plan,
+      summary,
+      mapping,
+      csvText: req.body.csv,
+      municipalityId: parseInt(req.body.municipality_id) || null
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Download businesses as CSV or JSON, filtered by status, category and municipality
+app.get('/admin/export', requireRole('editor'), async (req, res) => {
+  const format = req.query.format === 'json' ? 'json' : 'csv';
+
+  try {
+    const businesses = await businessTransfer.exportBusinesses(pool, {
+      status: req.query.status,
+      category: req.query.category,
+      municipality: req.query.municipality
+    });
+    res.attachment(`businesses-${new Date().toISOString().slice(0, 10)}.${format}`);
+    if (format === 'json') {
+      return res.json(businesses);
+    }
+    res.type('text/csv').send(businessTransfer.toCsv(businesses));
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// The review/edit page. form carries what was submitted when the edit form
+// is shown again: { values, errors, conflict }.
+async function renderReviewPage(req, res, business, form = {}) {
+  const allCategories = await categories.getCategories(pool);
+  res.render('admin/review', {
+    business,
+    changes: await pendingChanges.listChanges(pool, business.id),
+    fieldLabels: pendingChanges.FIELD_LABELS,
+    claims: await ownerClaims.listClaims(pool, business.id),
+    reviews: await reviews.listApproved(pool, business.id, null),
+    suggestion: await suggestions.getSuggestion(pool, business.id),
+    reports: await reports.listOpenForBusiness(pool, business.id),
+    reportTypes: reports.REPORT_TYPES,
+    // Opened from a report in the dashboard queue: saving the form resolves it
+    activeReportId: parseInt(form.values ? form.values.report_id : req.query.report) || null,
+    categoryTree: categories.buildTree(allCategories),
+    businessStatuses: businessFields.BUSINESS_STATUSES,
+    priceLevels: businessFields.PRICE_LEVELS,
+    edit: form.values || businessFields.formValues(business),
+    editErrors: form.errors || {},
+    conflict: form.conflict || null
+  });
+}
+
+// updated_at as text is the version the edit form was opened at
+const REVIEW_BUSINESS_QUERY = 'SELECT *, updated_at::text AS version FROM businesses WHERE id = $1';
+
+// Review/edit business
+app.get('/admin/business/:id/review', requireRole('editor'), async (req, res) => {
+  try {
+    const result = await pool.query(REVIEW_BUSINESS_QUERY, [parseInt(req.params.id) || 0]);
+    if (result.rows.length === 0) {
+      return res.status(404).send('Business not found');
+    }
+    await renderReviewPage(req, res, result.rows[0]);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Re-fetch a single business from Google Places right away
+app.post('/admin/business/:id/refresh', requireRole('editor'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT b.*, m.name AS municipality_name, m.state AS municipality_state
+       FROM businesses b LEFT JOIN municipalities m ON m.id = b.municipality_id
+       WHERE b.id = $1`,
+      [parseInt(req.params.id) || 0]
+    );
+    const business = result.rows[0];
+    if (!business) {
+      return res.status(404).send('Business not found');
+    }
+    if (!business.google_place_id) {
+      return res.status(400).send('Business has no Google place id');
+    }
+    
+    const scraper = new BusinessScraper(
+      process.env.GOOGLE_PLACES_API_KEY,
+      { name: business.municipality_name, state: business.municipality_state }
+    );
+    // Google is called first; only the diff and writes hold the row lock
+    const outcome = await refreshBusiness(pool, scraper, business, apply => audit.auditBusinessChange(pool, {
+      actor: req.adminUser,
+      action: 'refresh',
+      businessIds: [business.id]
+    }, apply));
+    if (!outcome.found) {
+      return res.status(502).send('Could not fetch this place from Google');
+    }
+    res.redirect(`/admin/business/${business.id}/review`);
+  } catch (err) {
+    console.error(err);
+    if (externalCalls.errorStatus(err)) {
+      return res.status(502).send('Could not fetch this place from Google');
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// Look a visitor's suggestion up on Google Places and use the match's details
+app.post('/admin/business/:id/suggestion/match', requireRole('editor'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT b.*, m.name AS municipality_name, m.state AS municipality_state
+       FROM businesses b JOIN municipalities m ON m.id = b.municipality_id
+       WHERE b.id = $1`,
+      [parseInt(req.params.id) || 0]
+    );
+    const business = result.rows[0];
+    if (!business) {
+      return res.status(404).send('Business not found');
+    }
+
+    const outcome = await suggestions.matchSuggestion(pool, req.adminUser, business);
+    if (outcome.error) {
+      return res.status(400).send(outcome.error);
+    }
+    res.redirect(`/admin/business/${business.id}/review`);
+  } catch (err) {
+    console.error(err);
+    if (externalCalls.errorStatus(err)) {
+      return res.status(502).send('Could not search Google Places');
+    }
+    res.status(500).send('Server error');
+  }
 });
 
+// Write a new AI description draft; the published description stays as is
+app.post('/admin/business/:id/ai/regenerate', requireRole('editor'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT b.*, m.name AS municipality_name, m.state AS municipality_state
+       FROM businesses b JOIN municipalities m ON m.id = b.municipality_id
+       WHERE b.id = $1`,
+      [parseInt(req.params.id) || 0]
+    );
+    const business = result.rows[0];
+    if (!business) {
+      return res.status(404).send('Business not found');
+    }
+    
+    let draft;
+    try {
+      draft = await aiContent.generateDescription(pool, business, {
+        name: business.municipality_name,
+        state: business.municipality_state
+      });
+    } catch (err) {
+      console.error('AI draft error:', err.message);
+      return res.status(502).send('Could not generate a description: ' + externalCalls.describeError(err));
+    }
+    await audit.auditBusinessChange(pool, {
+      actor: req.adminUser,
+      action: 'ai_draft',
+      businessIds: [business.id],
+      details: { model: draft.model }
+    }, client => aiContent.saveDraft(client, business.id, draft));
+    res.redirect(`/admin/business/${business.id}/review`);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Publish the AI draft as the business description
+app.post('/admin/business/:id/ai/accept', requireRole('editor'), async (req, res) => {
+  try {
+    const accepted = await audit.auditBusinessChange(pool, {
+      actor: req.adminUser,
+      action: 'ai_accept',
+      businessIds: [parseInt(req.params.id) || 0]
+    }, client => aiContent.acceptDraft(client, parseInt(req.params.id) || 0));
+    if (!accepted) {
+      return res.status(404).send('No AI draft to publish');
+    }
+    res.redirect(`/admin/business/${parseInt(req.params.id) || 0}/review`);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Replace a business photo with an uploaded image. The review page sends the
+// file as the raw request body with its image content type.
+app.post('/admin/business/:id/photo', requireRole('editor', { json: true }), express.raw({ type: 'image/*', limit: photos.MAX_UPLOAD_BYTES }), async (req, res) => {
+  if (!photos.isSupportedImage(req.get('Content-Type'), req.body)) {
+    return res.status(400).json({ error: 'Upload a JPEG, PNG or WebP image' });
+  }
+  
+  try {
+    const result = await pool.query('SELECT * FROM businesses WHERE id = $1', [parseInt(req.params.id) || 0]);
+    const business = result.rows[0];
+    if (!business) {
+      return res.status(404).json({ error: 'Business not found' });
+    }
+    
+    const imageUrl = await photos.savePhoto(business.slug, req.body);
+    await audit.auditBusinessChange(pool, {
+      actor: req.adminUser,
+      action: 'photo_update',
+      businessIds: [business.id],
+      details: { source: 'upload' }
+    }, client => photos.setBusinessPhoto(client, business, imageUrl));
+    res.json({ success: true, image_url: imageUrl });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Replace a business photo with the first photo Google has for the place
+app.post('/admin/business/:id/photo/google', requireRole('editor'), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM businesses WHERE id = $1', [parseInt(req.params.id) || 0]);
+    const business = result.rows[0];
+    if (!business) {
+      return res.status(404).send('Business not found');
+    }
+    if (!business.google_place_id) {
+      return res.status(400).send('Business has no Google place id');
+    }
+    
+    const scraper = new BusinessScraper(process.env.GOOGLE_PLACES_API_KEY);
+    const place = await scraper.getPlaceDetails(business.google_place_id);
+    const photoReference = place?.photos?.[0]?.name;
+    if (!photoReference) {
+      return res.status(404).send('Google has no photos for this place');
+    }
+    
+    const imageUrl = await photos.downloadPlacePhoto(scraper, photoReference, business.slug);
+    if (!imageUrl) {
+      return res.status(502).send('Could not download the photo from Google');
+    }
+    await audit.auditBusinessChange(pool, {
+      actor: req.adminUser,
+      action: 'photo_update',
+      businessIds: [business.id],
+      details: { source: 'google' }
+    }, client => photos.setBusinessPhoto(client, business, imageUrl, photoReference));
+    res.redirect(`/admin/business/${business.id}/review`);
+  } catch (err) {
+    console.error(err);
+    if (externalCalls.errorStatus(err)) {
+      return res.status(502).send('Could not fetch this place from Google');
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// Remove a business photo
+app.post('/admin/business/:id/photo/remove', requireRole('editor'), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM businesses WHERE id = $1', [parseInt(req.params.id) || 0]);
+    const business = result.rows[0];
+    if (!business) {
+      return res.status(404).send('Business not found');
+    }
+    
+    await audit.auditBusinessChange(pool, {
+      actor: req.adminUser,
+      action: 'photo_remove',
+      businessIds: [business.id]
+    }, client => photos.setBusinessPhoto(client, business, null));
+    res.redirect(`/admin/business/${business.id}/review`);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Accept a pending change - writes the proposed value to the business
+app.post('/admin/changes/:id/accept', requireRole('editor'), async (req, res) => {
+  try {
+    const pending = await pendingChanges.getChange(pool, parseInt(req.params.id) || 0);
+    if (!pending || pending.status !== 'pending') {
+      return res.status(404).send('Change not found');
+    }
+    const change = await audit.auditBusinessChange(pool, {
+      actor: req.adminUser,
+      action: 'change_accept',
+      businessIds: [pending.business_id],
+      details: { change_id: pending.id, field: pending.field, source: pending.source }
+    }, client => pendingChanges.acceptChange(client, pending.id));
+    if (!change) {
+      return res.status(404).send('Change not found');
+    }
+    res.redirect(`/admin/business/${change.business_id}/review`);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Reject a pending change - keeps the current value
+app.post('/admin/changes/:id/reject', requireRole('editor'), async (req, res) => {
+  try {
+    const pending = await pendingChanges.getChange(pool, parseInt(req.params.id) || 0);
+    if (!pending || pending.status !== 'pending') {
+      return res.status(404).send('Change not found');
+    }
+    const change = await audit.auditBusinessChange(pool, {
+      actor: req.adminUser,
+      action: 'change_reject',
+      businessIds: [pending.business_id],
+      details: { change_id: pending.id, field: pending.field, source: pending.source, rejected_value: pending.new_value }
+    }, client => pendingChanges.rejectChange(client, pending.id));
+    if (!change) {
+      return res.status(404).send('Change not found');
+    }
+    res.redirect(`/admin/business/${change.business_id}/review`);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Forms on filtered or paged admin pages post back the page they came from
+// (filters included) as returnTo
+function returnPath(req, fallback) {
+  const returnTo = req.body.returnTo || '';
+  return returnTo.startsWith('/admin/') ? returnTo : fallback;
+}
+
+// Approve business
+app.post('/admin/business/:id/approve', requireRole('editor'), async (req, res) => {
+  const id = parseInt(req.params.id) || 0;
+  try {
+    const found = await pool.query('SELECT 1 FROM businesses WHERE id = $1', [id]);
+    if (found.rows.length === 0) {
+      return res.status(404).send('Business not found');
+    }
+    await audit.auditBusinessChange(pool, {
+      actor: req.adminUser,
+      action: 'approve',
+      businessIds: [id]
+    }, client => client.query(
+      "UPDATE businesses SET status = 'approved', reviewed_at = NOW(), updated_at = NOW() WHERE id = $1 AND status <> 'deleted'",
+      [id]
+    ));
+    res.redirect(returnPath(req, '/admin/dashboard'));
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+// Bulk approve businesses
+app.post('/admin/businesses/bulk-approve', requireRole('editor', { json: true }), async (req, res) => {
+  const ids = (Array.isArray(req.body.ids) ? req.body.ids : []).map(id => parseInt(id)).filter(id => id > 0);
+  if (ids.length === 0) {
+    return res.status(400).json({ error: 'No businesses selected' });
+  }
+  
+  try {
+    await audit.auditBusinessChange(pool, {
+      actor: req.adminUser,
+      action: 'bulk_approve',
+      businessIds: ids
+    }, client => client.query(
+      "UPDATE businesses SET status = 'approved', reviewed_at = NOW(), updated_at = NOW() WHERE id = ANY($1) AND status <> 'deleted'",
+      [ids]
+    ));
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Bulk delete businesses (soft delete - restorable from the audit log)
+app.post('/admin/businesses/bulk-delete', requireRole('owner', { json: true }), async (req, res) => {
+  const ids = (Array.isArray(req.body.ids) ? req.body.ids : []).map(id => parseInt(id)).filter(id => id > 0);
+  if (ids.length === 0) {
+    return res.status(400).json({ error: 'No businesses selected' });
+  }
+  
+  try {
+    await audit.auditBusinessChange(pool, {
+      actor: req.adminUser,
+      action: 'bulk_delete',
+      businessIds: ids
+    }, client => client.query(
+      "UPDATE businesses SET status = 'deleted', deleted_at = NOW(), updated_at = NOW() WHERE id = ANY($1) AND status <> 'deleted'",
+      [ids]
+    ));
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+const EDIT_CONFLICT = 'EDIT_CONFLICT';
+
+// What changed a business since an edit form was opened at version, from the
+// audit log: { actors, errors } with a message for each form field changed
+async function findEditConflict(business, version) {
+  const result = await pool.query(
+    `SELECT actor_email, before, after FROM audit_log
+     WHERE business_id = $1 AND created_at > COALESCE(NULLIF($2, '')::timestamp, '-infinity'::timestamp)
+     ORDER BY id`,
+    [business.id, version || '']
+  );
+  const actorName = entry => entry.actor_email || 'an automatic update';
+  const errors = {};
+  for (const entry of result.rows) {
+    for (const column of audit.changedFields(entry.before, entry.after)) {
+      // The category name says it better than its id; coordinates are one field
+      if (column === 'category_id') continue;
+      const field = { category: 'category_id', longitude: 'latitude' }[column] || column;
+      if (!businessFields.FIELD_LABELS[field]) continue;
+      const value = {
+        phone: businessFields.formatPhone(business.phone),
+        business_status: businessFields.BUSINESS_STATUSES[business.business_status]
+      }[column] || business[column];
+      errors[field] = typeof value === 'string' && value.length <= 80 && field !== 'latitude'
+        ? `Changed to "${value}" by ${actorName(entry)}`
+        : `Changed by ${actorName(entry)}`;
+    }
+  }
+  return { actors: [...new Set(result.rows.map(actorName))], errors };
+}
+
+// Update business. The form sends the version (updated_at) it was opened
+// at; if the listing was saved since, nothing is written and the form comes
+// back with the fields someone else changed.
+app.post('/admin/business/:id/update', requireRole('editor'), async (req, res) => {
+  try {
+    const current = await pool.query(REVIEW_BUSINESS_QUERY, [parseInt(req.params.id) || 0]);
+    const business = current.rows[0];
+    if (!business || business.status === 'deleted') {
+      return res.status(404).send('Business not found');
+    }
+
+    const form = businessFields.submittedValues(req.body);
+    const { values, errors } = await businessFields.validateBusiness(pool, req.body, business);
+    if (Object.keys(errors).length > 0) {
+      res.status(400);
+      return renderReviewPage(req, res, business, { values: form, errors });
+    }
+
+    try {
+      await audit.auditBusinessChange(pool, {
+        actor: req.adminUser,
+        action: 'update',
+        businessIds: [business.id]
+      }, async client => {
+        const fields = Object.keys(values);
+        const sets = fields.map((field, i) => `${field} = $${i + 1}`);
+        const result = await client.query(
+          `UPDATE businesses SET ${sets.join(', ')}, reviewed_at = NOW(), updated_at = NOW(),
+             needs_content = needs_content AND COALESCE($${fields.indexOf('description') + 1}, '') = ''
+           WHERE id = $${fields.length + 1} AND status <> 'deleted'
+             AND updated_at IS NOT DISTINCT FROM NULLIF($${fields.length + 2}, '')::timestamp`,
+          [
+            ...fields.map(field => (field === 'opening_hours' && values[field] ? JSON.stringify(values[field]) : values[field])),
+            business.id,
+            req.body.version || ''
+          ]
+        );
+        if (result.rowCount === 0) {
+          const error = new Error('The business was changed by someone else');
+          error.code = EDIT_CONFLICT;
+          throw error;
+        }
+      });
+    } catch (err) {
+      if (err.code !== EDIT_CONFLICT) throw err;
+      const latest = (await pool.query(REVIEW_BUSINESS_QUERY, [business.id])).rows[0];
+      const conflict = await findEditConflict(latest, req.body.version);
+      // Saving the form again overwrites the other changes on purpose
+      res.status(409);
+      return renderReviewPage(req, res, latest, {
+        values: { ...form, version: latest.version },
+        errors: conflict.errors,
+        conflict
+      });
+    }
+
+    if (req.body.report_id) {
+      await reports.closeReport(pool, parseInt(req.body.report_id) || 0, {
+        status: 'resolved',
+        adminUserId: req.adminUser.id,
+        businessId: business.id
+      });
+    }
+    res.redirect('/admin/dashboard');
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Delete business (soft delete - restorable from the audit log)
+app.post('/admin/business/:id/delete', requireRole('owner'), async (req, res) => {
+  const id = parseInt(req.params.id) || 0;
+  try {
+    const found = await pool.query('SELECT 1 FROM businesses WHERE id = $1', [id]);
+    if (found.rows.length === 0) {
+      return res.status(404).send('Business not found');
+    }
+    await audit.auditBusinessChange(pool, {
+      actor: req.adminUser,
+      action: 'delete',
+      businessIds: [id]
+    }, client => client.query(
+      "UPDATE businesses SET status = 'deleted', deleted_at = NOW(), updated_at = NOW() WHERE id = $1 AND status <> 'deleted'",
+      [id]
+    ));
+    res.redirect(returnPath(req, '/admin/dashboard'));
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Audit log of admin actions, newest first
+app.get('/admin/audit', requireRole('editor'), async (req, res) => {
+  const filters = {
+    action: req.query.action || '',
+    businessId: req.query.business_id || '',
+    adminUserId: req.query.user_id || '',
+    search: req.query.search || ''
+  };
+  
+  try {
+    const log = await audit.listEntries(pool, filters, req.query.page);
+    const users = await pool.query('SELECT id, email, name FROM admin_users ORDER BY email');
+    res.render('admin/audit', {
+      ...log,
+      filters: filters,
+      users: users.rows,
+      actionLabels: audit.ACTION_LABELS
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Undo one audit log entry (restores a deleted business)
+app.post('/admin/audit/:id/revert', requireRole('owner'), async (req, res) => {
+  try {
+    const entry = await audit.getEntry(pool, parseInt(req.params.id) || 0);
+    if (!entry) {
+      return res.status(404).send('Audit log entry not found');
+    }
+    const blocker = audit.revertBlocker(entry);
+    if (blocker) {
+      return res.status(409).send(blocker);
+    }
+    
+    await audit.revertEntry(pool, entry, req.adminUser);
+    res.redirect(returnPath(req, '/admin/audit'));
+  } catch (err) {
+    if (err.code === audit.REVERT_CONFLICT) {
+      return res.status(409).send(`${err.message}. Edit the listing instead of reverting.`);
+    }
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Undo every entry of a bulk action
+app.post('/admin/audit/batch/:batchId/revert', requireRole('owner'), async (req, res) => {
+  if (!/^[0-9a-f-]{36}$/i.test(req.params.batchId)) {
+    return res.status(404).send('Batch not found');
+  }
+  
+  try {
+    const { reverted, conflicted } = await audit.revertBatch(pool, req.params.batchId, req.adminUser);
+    if (reverted === 0) {
+      return res.status(409).send(conflicted > 0
+        ? 'Every business left in this batch has been changed again since, so nothing was reverted'
+        : 'Nothing left to revert in this batch');
+    }
+    res.redirect(returnPath(req, '/admin/audit'));
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Category taxonomy and Google type mappings
+app.get('/admin/categories', requireRole('editor'), async (req, res) => {
+  try {
+    const allCategories = await categories.getCategories(pool);
+    res.render('admin/categories', {
+      tree: categories.buildTree(allCategories),
+      categories: allCategories,
+      mappings: await categories.listTypeMappings(pool),
+      moved: req.query.moved !== undefined ? parseInt(req.query.moved) || 0 : null
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+app.post('/admin/categories', requireRole('editor'), async (req, res) => {
+  try {
+    const result = await categories.createCategory(pool, req.body);
+    if (result.error) {
+      return res.status(400).send(result.error);
+    }
+    res.redirect('/admin/categories');
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Move businesses into the category their Google type is mapped to
+// (one type, or all of them when no type is given)
+app.post('/admin/categories/recategorize', requireRole('editor'), async (req, res) => {
+  try {
+    const moved = await categories.recategorize(pool, req.adminUser, req.body.google_type || null);
+    res.redirect(`/admin/categories?moved=${moved}`);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+app.post('/admin/categories/:id', requireRole('editor'), async (req, res) => {
+  try {
+    const result = await categories.updateCategory(pool, parseInt(req.params.id) || 0, req.body, req.adminUser);
+    if (result.error) {
+      return res.status(400).send(result.error);
+    }
+    res.redirect('/admin/categories');
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+app.post('/admin/categories/:id/delete', requireRole('owner'), async (req, res) => {
+  try {
+    const result = await categories.deleteCategory(pool, parseInt(req.params.id) || 0);
+    if (result.error) {
+      return res.status(400).send(result.error);
+    }
+    res.redirect('/admin/categories');
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Map a Google type to a category (empty category = unmapped), optionally
+// re-categorising that type's businesses straight away
+app.post('/admin/type-mappings', requireRole('editor'), async (req, res) => {
+  const googleType = (req.body.google_type || '').trim();
+  if (!/^[a-z0-9_]{1,100}$/.test(googleType)) {
+    return res.status(400).send('Enter a Google place type like "pizza_restaurant"');
+  }
+  
+  try {
+    const categoryId = parseInt(req.body.category_id) || null;
+    if (categoryId && !(await categories.getCategories(pool)).some(c => c.id === categoryId)) {
+      return res.status(400).send('Category not found');
+    }
+    
+    await categories.setTypeMapping(pool, googleType, categoryId);
+    if (req.body.recategorize) {
+      const moved = await categories.recategorize(pool, req.adminUser, googleType);
+      return res.redirect(`/admin/categories?moved=${moved}`);
+    }
+    res.redirect('/admin/categories');
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Prompt templates for AI descriptions and keywords
+app.get('/admin/prompts', requireRole('editor'), async (req, res) => {
+  try {
+    res.render('admin/prompts', {
+      templates: await aiContent.listTemplates(pool),
+      categories: await categories.getCategories(pool),
+      kinds: aiContent.KINDS,
+      placeholders: aiContent.PLACEHOLDERS,
+      provider: aiContent.providerName()
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+app.post('/admin/prompts', requireRole('editor'), async (req, res) => {
+  try {
+    const result = await aiContent.saveTemplate(pool, {
+      kind: req.body.kind,
+      categoryId: parseInt(req.body.category_id) || null,
+      template: req.body.template,
+      maxTokens: req.body.max_tokens,
+      adminUserId: req.adminUser.id
+    });
+    if (result.error) {
+      return res.status(400).send(result.error);
+    }
+    res.redirect('/admin/prompts');
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+app.post('/admin/prompts/:id/delete', requireRole('editor'), async (req, res) => {
+  try {
+    await aiContent.deleteTemplate(pool, parseInt(req.params.id) || 0);
+    res.redirect('/admin/prompts');
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Take a listing away from its verified owner
+app.post('/admin/claims/:id/revoke', requireRole('editor'), async (req, res) => {
+  try {
+    const claim = await ownerClaims.revokeClaim(pool, parseInt(req.params.id) || 0);
+    if (!claim) {
+      return res.status(404).send('Claim not found');
+    }
+    res.redirect(`/admin/business/${claim.business_id}/review`);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Logout
+app.get('/admin/logout', (req, res) => {
+  req.session.destroy();
+  res.redirect('/admin');
+});
+
+// Business owner claims and self-service edits
+app.use('/owner', createOwnerRouter(pool));
+
+// Municipality-prefixed public pages (/glen-rock/, /paramus/category/Retail, ...)
+app.use('/:municipalitySlug', publicRoutes);
+
 // Start server
 app.listen(PORT, () => {
   console.log(`✓ Server running on port ${PORT}`);
   console.log(`✓ Admin panel: http://localhost:${PORT}/admin`);
+  if (!aiContent.providerName()) {
+    console.log('⚠️  No AI provider configured - scraped listings will be flagged as needing content');
+  }
+  scrapeJobs.startWorker(pool);
 });
\ No newline at end of file